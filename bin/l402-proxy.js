@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * bin/l402-proxy.js — L402 reverse proxy for any HTTP service
+ *
+ * Gates an upstream service written in any language: Python, Go, a static
+ * file server. Routes, resource IDs and prices come from a JSON config file
+ * (see lib/proxy.js); the secret and Lightning backend come from the same
+ * environment variables as l402.js.
+ *
+ * Usage:
+ *   export L402_SECRET=$(node -e "console.log(require('crypto').randomBytes(32).toString('hex'))")
+ *   export LND_MACAROON_PATH=/path/to/invoice.macaroon
+ *   l402-proxy proxy.json
+ *
+ * The config file is the first argument, or L402_PROXY_CONFIG. The proxy
+ * listens on PORT (or the config's "port", default 8402) and HOST (or the
+ * config's "host", default all interfaces).
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const l402 = require('../l402');
+const { createProxyHandler } = require('../lib/proxy');
+
+const USAGE = 'Usage: l402-proxy <config.json>   (or set L402_PROXY_CONFIG)';
+
+function fail(message) {
+    console.error(`[L402] ${message}`);
+    process.exit(1);
+}
+
+const arg = process.argv[2];
+if (arg === '--help' || arg === '-h') {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+const configPath = arg || process.env.L402_PROXY_CONFIG;
+if (!configPath) {
+    fail(USAGE);
+}
+
+let config;
+try {
+    config = JSON.parse(fs.readFileSync(path.resolve(configPath), 'utf8'));
+} catch (err) {
+    fail(`Cannot read proxy config ${configPath}: ${err.message}`);
+}
+
+let handler;
+try {
+    handler = createProxyHandler(l402, config);
+} catch (err) {
+    fail(err.message);
+}
+
+// Unlike the example servers, never run with L402 disabled: that would
+// serve every paid route for free
+if (!l402.initLnd()) {
+    fail('L402 is not configured (see the warnings above). Refusing to start an open proxy.');
+}
+
+const port = process.env.PORT !== undefined ? parseInt(process.env.PORT) : (config.port !== undefined ? config.port : 8402);
+const host = process.env.HOST || config.host || undefined;
+
+const server = http.createServer((req, res) => {
+    handler(req, res).catch(err => {
+        console.error('[L402] Proxy error:', err.message);
+        if (!res.headersSent) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Proxy error' }));
+        } else {
+            res.destroy();
+        }
+    });
+});
+
+server.listen(port, host, () => {
+    const address = server.address();
+    console.log(`[L402] Proxy listening on ${host || '0.0.0.0'}:${address.port} → ${config.upstream}`);
+    console.log(`[L402] Routes: ${config.routes.length}, unmatched requests: ${config.unmatched === 'free' ? 'passed through' : '404'}`);
+});
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        console.log(`[L402] ${signal} received, closing`);
+        server.close(() => process.exit(0));
+        // Long downloads and event streams would hold close() open
+        setTimeout(() => process.exit(0), 5000).unref();
+    });
+}
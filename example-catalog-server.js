@@ -10,6 +10,8 @@
  * - Protocol hints before data arrays (Pattern 8)
  * - Inline flow steps (Pattern 9)
  * - Token economics in every 402 body (Pattern 10)
+ * - /api, /openapi.json and /.well-known/l402 generated from the declared routes
+ * - HLS streaming with the token checked on every segment, and a browser player
  *
  * Usage:
  *   export L402_SECRET=$(node -e "console.log(require('crypto').randomBytes(32).toString('hex'))")
@@ -18,21 +20,52 @@
  *   export LND_REST_HOST=https://your-lnd-node:8080
  *   node example-catalog-server.js
  *
+ * The video item streams from media/clip-lightning-explainer/ (or MEDIA_DIR).
+ * Generate a test clip with ffmpeg:
+ *   mkdir -p media/clip-lightning-explainer && cd media/clip-lightning-explainer
+ *   ffmpeg -f lavfi -i testsrc=duration=90:size=640x360:rate=25 -f lavfi -i sine=duration=90 \
+ *       -c:v libx264 -c:a aac -f hls -hls_time 6 -hls_playlist_type vod \
+ *       -hls_segment_filename 'seg_%03d.ts' -master_pl_name master.m3u8 index.m3u8
+ *
  * Endpoints:
  *   GET /api                 — Service info (free)
  *   GET /api/catalog         — Browse all resources (free)
  *   GET /api/search?q=       — Search resources (free)
- *   GET /api/resource/:id    — L402-protected resource (10 sats)
+ *   GET /api/resource/:id    — L402-protected resource (priced per item)
+ *                              ?mode=download for items sold per capability
+ *   GET /api/stream/:id/*    — HLS playlists and segments (L402, stream capability;
+ *                              ?token= for players that can't set headers)
+ *   GET /player.html?v=&token= — Browser player for the video item
+ *   GET /vendor/hls.min.js   — hls.js for the player, from node_modules
+ *   GET /api/pass/day        — Buy a 24-hour pass to every item (L402)
+ *   GET /api/payment/:hash   — Payment status; returns the token once paid
+ *                              (?wait=60 long-polls, Accept: text/event-stream streams)
+ *   GET /openapi.json        — OpenAPI 3 spec (free)
+ *   GET /.well-known/l402    — Service manifest for L402 directories (free)
  */
 
+const fs = require('fs');
 const http = require('http');
+const path = require('path');
 const l402 = require('./l402');
 
 const PORT = process.env.PORT || 3001;
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(__dirname, 'media');
+const PLAYER_PAGE = path.join(__dirname, 'player.html');
+
+// hls.js for the player comes from node_modules (a pinned devDependency), so
+// the page makes no outside requests. Without it only native HLS (Safari) plays.
+let HLS_SCRIPT = null;
+try {
+    HLS_SCRIPT = require.resolve('hls.js/dist/hls.min.js');
+} catch (err) {
+    // Not installed: run npm install
+}
 
 const CATALOG = [
     {
         id: 'report-btc-2025',
+        priceSats: 50,
         title: 'Bitcoin Mining Report 2025',
         type: 'report',
         description: 'Analysis of mining economics post-halving.',
@@ -41,6 +74,9 @@ const CATALOG = [
     },
     {
         id: 'clip-lightning-explainer',
+        priceSats: 100,
+        // Streaming and downloading are sold separately; a download token also streams
+        capabilities: { stream: 100, download: 400 },
         title: 'Lightning Network Explainer',
         type: 'video',
         description: '90-second animated explainer of payment channels.',
@@ -54,6 +90,7 @@ const CATALOG = [
     },
     {
         id: 'dataset-node-stats',
+        priceSats: 250,
         title: 'Lightning Node Statistics CSV',
         type: 'dataset',
         description: 'Channel counts, capacity, and uptime for top 100 nodes.',
@@ -62,6 +99,7 @@ const CATALOG = [
     },
     {
         id: 'quote-satoshi',
+        priceSats: 5,
         title: 'Random Satoshi Quote',
         type: 'quote',
         description: 'A verified quote from Satoshi Nakamoto forum posts.',
@@ -70,10 +108,106 @@ const CATALOG = [
     },
 ];
 
+// One token for every item — offered in each 402 alongside the single-item price
+const ALL_ACCESS = {
+    id: 'catalog-all',
+    price: 300,
+    description: 'Every item in the catalog with one token',
+};
+
+l402.setBundleResolver(name => name === ALL_ACCESS.id ? CATALOG.map(item => item.id) : null);
+
+// Time pass: everything for 24 hours, advertised in every 402
+const DAY_PASS_PRICE = 500;
+
+l402.definePass('day', {
+    price: DAY_PASS_PRICE,
+    durationSeconds: 24 * 60 * 60,
+    description: 'All items for 24 hours',
+    purchaseUrl: '/api/pass/day',
+});
+
+function findItem(id) {
+    return CATALOG.find(item => item.id === id) || null;
+}
+
+// Routes, declared once: /api, /openapi.json and /.well-known/l402 are generated from these
+l402.defineService({
+    name: 'L402 Media Catalog',
+    description: 'Browse resources for free, pay per item to access. Lightning-gated via L402.',
+    rootPath: ['/api', '/'],
+    pricing: 'per item — see cost_sats on each /api/catalog result',
+    price_sats_range: {
+        min: Math.min(...CATALOG.map(item => item.priceSats)),
+        max: Math.max(...CATALOG.map(item => item.priceSats)),
+    },
+    bundles: [
+        { id: ALL_ACCESS.id, price_sats: ALL_ACCESS.price, description: ALL_ACCESS.description },
+    ],
+    notes: [
+        'Bundle: every 402 also carries a bundle object with its own macaroon and invoice. Pay that invoice instead, and the bundle token works for every item.',
+    ],
+});
+
+l402.defineRoute('catalog', {
+    path: '/api/catalog',
+    auth: 'none',
+    description: 'Browse all resources.',
+});
+
+l402.defineRoute('search', {
+    path: '/api/search',
+    auth: 'none',
+    query: { q: 'Keyword matched against titles and descriptions' },
+    description: 'Search by keyword.',
+});
+
+l402.defineRoute('resource', {
+    path: '/api/resource/:id',
+    resourceId: params => params.id,
+    price: (req, id) => findItem(id).priceSats,
+    pricing: 'per item (see cost_sats on /api/catalog results); items with capabilities are priced per ?mode=',
+    query: { mode: 'Capability to buy for items sold per capability, e.g. stream or download' },
+    bundle: ALL_ACCESS,
+    description: 'Access a resource. Requires L402 payment.',
+});
+
+l402.defineRoute('stream', {
+    path: '/api/stream/:id/*file',
+    resourceId: params => params.id,
+    pricing: 'the item\'s stream capability (see capabilities on /api/catalog results)',
+    query: { token: 'macaroon:preimage, for players that cannot set an Authorization header' },
+    description: 'HLS playlist or segment of a video item. Start at master.m3u8; every request needs the token.',
+});
+
+l402.defineRoute('day_pass', {
+    path: '/api/pass/day',
+    resourceId: 'day',
+    price: DAY_PASS_PRICE,
+    description: 'Buy a 24-hour pass. The token works for every /api/resource/{id} until it expires.',
+});
+
+// Per-capability prices and URLs for a catalog result
+function capabilityUrls(item) {
+    return Object.entries(item.capabilities).map(([mode, price]) => ({
+        mode: mode,
+        cost_sats: price,
+        l402_url: `${l402.routeUrl('resource', { id: item.id })}?mode=${mode}`,
+    }));
+}
+
+// Link the payment status route from every 402, for wallets that don't show the preimage
+l402.CONFIG.paymentStatusPath = l402.CONFIG.paymentStatusPath || '/api/payment';
+
+// <video> elements and HLS players can't set an Authorization header: accept ?token= too
+if (!process.env.L402_TOKEN_SOURCES) {
+    l402.CONFIG.tokenSources = 'header,query';
+}
+
 const l402Enabled = l402.initLnd();
 
 if (!l402Enabled) {
-    console.log('\nL402 is disabled. Set L402_SECRET and LND_MACAROON_PATH to enable.\n');
+    console.log('\nL402 is disabled. Set L402_SECRET and LND_MACAROON_PATH to enable (or L402_BACKEND=memory to try it without a node).\n');
 }
 
 const server = http.createServer(async (req, res) => {
@@ -90,62 +224,31 @@ const server = http.createServer(async (req, res) => {
         return;
     }
 
-    // GET /api — Service info (free, Pattern 1)
-    if (pathname === '/' || pathname === '/api') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-            name: 'L402 Media Catalog',
-            description: 'Browse resources for free, pay per item to access. Lightning-gated via L402.',
-            protocol: 'L402',
-            l402_enabled: l402Enabled,
-            price_sats: l402.CONFIG.priceSats,
-            token_expiry_seconds: l402.CONFIG.expirySeconds,
-            endpoints: {
-                info: { url: '/api', method: 'GET', auth: 'none', description: 'This endpoint.' },
-                catalog: { url: '/api/catalog', method: 'GET', auth: 'none', description: 'Browse all resources.' },
-                search: { url: '/api/search?q=keyword', method: 'GET', auth: 'none', description: 'Search by keyword.' },
-                resource: { url: '/api/resource/{id}', method: 'GET', auth: 'L402', cost_sats: l402.CONFIG.priceSats, description: 'Access a resource. Requires L402 payment.' },
-            },
-            l402_flow: [
-                '1. GET /api/catalog or /api/search?q=keyword to browse resources (free)',
-                '2. GET /api/resource/{id} for the resource you want',
-                '3. Receive 402 with WWW-Authenticate: L402 macaroon="...", invoice="lnbc..."',
-                '4. Pay the Lightning invoice. Your wallet returns a preimage (64-char hex).',
-                '5. Re-request with header: Authorization: L402 <macaroon>:<preimage>',
-                '6. Receive the resource.',
-            ],
-        }, null, 2));
-        return;
-    }
+    // GET /api, /openapi.json, /.well-known/l402 — Generated from the routes (free, Patterns 1, 11)
+    if (l402.handleDiscovery(req, res)) return;
+
+    const match = l402.matchRoute(req);
 
     // GET /api/catalog — Browse all resources (free, Patterns 3, 7, 8)
-    if (pathname === '/api/catalog') {
+    if (match && match.name === 'catalog') {
         res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
         res.end(JSON.stringify({
-            l402: {
-                price_sats: l402.CONFIG.priceSats,
-                token_expiry_seconds: l402.CONFIG.expirySeconds,
-                endpoint: '/api/resource/{id}',
-                flow: [
-                    'GET /api/resource/{id} → receive 402 with invoice',
-                    'Pay the Lightning invoice',
-                    'Re-request with Authorization: L402 {macaroon}:{preimage}',
-                ],
-            },
+            l402: l402.routeHint('resource'),
             results: CATALOG.map(item => ({
                 id: item.id,
                 title: item.title,
                 type: item.type,
                 description: item.description,
-                l402_url: `/api/resource/${item.id}`,
-                cost_sats: l402.CONFIG.priceSats,
+                l402_url: l402.routeUrl('resource', { id: item.id }),
+                cost_sats: item.priceSats,
+                capabilities: item.capabilities ? capabilityUrls(item) : undefined,
             })),
         }, null, 2));
         return;
     }
 
     // GET /api/search?q= — Search resources (free, Pattern 3)
-    if (pathname === '/api/search') {
+    if (match && match.name === 'search') {
         const query = (url.searchParams.get('q') || '').toLowerCase();
         const matches = CATALOG.filter(item =>
             item.title.toLowerCase().includes(query) ||
@@ -153,16 +256,7 @@ const server = http.createServer(async (req, res) => {
         );
         res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
         res.end(JSON.stringify({
-            l402: {
-                price_sats: l402.CONFIG.priceSats,
-                token_expiry_seconds: l402.CONFIG.expirySeconds,
-                endpoint: '/api/resource/{id}',
-                flow: [
-                    'GET /api/resource/{id} → receive 402 with invoice',
-                    'Pay the Lightning invoice',
-                    'Re-request with Authorization: L402 {macaroon}:{preimage}',
-                ],
-            },
+            l402: l402.routeHint('resource'),
             query: query,
             count: matches.length,
             results: matches.map(item => ({
@@ -170,18 +264,101 @@ const server = http.createServer(async (req, res) => {
                 title: item.title,
                 type: item.type,
                 description: item.description,
-                l402_url: `/api/resource/${item.id}`,
-                cost_sats: l402.CONFIG.priceSats,
+                l402_url: l402.routeUrl('resource', { id: item.id }),
+                cost_sats: item.priceSats,
+                capabilities: item.capabilities ? capabilityUrls(item) : undefined,
             })),
         }, null, 2));
         return;
     }
 
+    // GET /player.html — Browser player for the video item (free; the stream it loads is paid)
+    if (pathname === '/player.html') {
+        fs.readFile(PLAYER_PAGE, (err, html) => {
+            if (err) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'player.html not found' }));
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(html);
+        });
+        return;
+    }
+
+    // GET /vendor/hls.min.js — hls.js for the player
+    if (pathname === '/vendor/hls.min.js') {
+        if (!HLS_SCRIPT) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'hls.js is not installed. Run npm install' }));
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/javascript; charset=utf-8', 'Cache-Control': 'public, max-age=86400' });
+        fs.createReadStream(HLS_SCRIPT).pipe(res);
+        return;
+    }
+
+    // GET /api/stream/:id/* — HLS playlists and segments, token checked on every request
+    const streamPath = l402.stream.parseStreamPath(pathname, '/api/stream');
+    if (streamPath) {
+        const item = findItem(streamPath.id);
+        if (!item || !item.capabilities) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `No stream for '${streamPath.id}'. Try GET /api/catalog` }));
+            return;
+        }
+        if (!fs.existsSync(path.join(MEDIA_DIR, item.id))) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `No media for '${item.id}' in ${MEDIA_DIR}. See the ffmpeg command at the top of example-catalog-server.js` }));
+            return;
+        }
+
+        if (!l402Enabled) {
+            res.writeHead(503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'L402 not configured. See /api for setup instructions.' }));
+            return;
+        }
+
+        await l402.handleStream(req, res, {
+            root: MEDIA_DIR,
+            capabilities: item.capabilities,
+            capability: 'stream',
+            bundle: ALL_ACCESS,
+            consumption: item.consumption,
+            title: item.title,
+        });
+        return;
+    }
+
+    // GET /api/pass/day — Sell a time pass (always answers 402 with the pass invoice)
+    if (match && match.name === 'day_pass') {
+        if (!l402Enabled) {
+            res.writeHead(503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'L402 not configured. See /api for setup instructions.' }));
+            return;
+        }
+        await l402.sendPassChallenge(res, 'day', {
+            usage: 'Pay the invoice, then send Authorization: L402 <macaroon>:<preimage> to any /api/resource/{id}',
+        });
+        return;
+    }
+
+    // GET /api/payment/:hash — Payment status for a 402's invoice (macaroon required)
+    const paymentMatch = pathname.match(/^\/api\/payment\/([^/]+)$/);
+    if (paymentMatch) {
+        if (!l402Enabled) {
+            res.writeHead(503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'L402 not configured. See /api for setup instructions.' }));
+            return;
+        }
+        await l402.handlePaymentStatus(req, res, paymentMatch[1]);
+        return;
+    }
+
     // GET /api/resource/:id — L402-protected resource (Pattern 4)
-    const resourceMatch = pathname.match(/^\/api\/resource\/(.+)$/);
-    if (resourceMatch) {
-        const id = resourceMatch[1];
-        const item = CATALOG.find(r => r.id === id);
+    if (match && match.name === 'resource') {
+        const id = match.params.id;
+        const item = findItem(id);
 
         if (!item) {
             res.writeHead(404, { 'Content-Type': 'application/json' });
@@ -195,8 +372,14 @@ const server = http.createServer(async (req, res) => {
             return;
         }
 
-        const authorized = await l402.handleL402Auth(req, res, item.id, {
+        // The route prices items by priceSats; items sold per capability replace it
+        const pricing = item.capabilities
+            ? { capabilities: item.capabilities, capability: url.searchParams.get('mode') || 'stream' }
+            : {};
+        const authorized = await l402.handleRoute(req, res, match, {
+            ...pricing,
             consumption: item.consumption,
+            title: item.title,
         });
         if (!authorized) return;
 
@@ -207,7 +390,7 @@ const server = http.createServer(async (req, res) => {
             type: item.type,
             content: item.content,
             paid: true,
-            price_sats: l402.CONFIG.priceSats,
+            price_sats: item.priceSats,
         }, null, 2));
         return;
     }
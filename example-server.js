@@ -6,7 +6,8 @@
  * Pay 10 sats, get a fortune. No accounts, no sessions.
  * Demonstrates how to integrate l402.js into a Node.js server,
  * including agent-friendly discovery patterns (free /api endpoint,
- * consumption hints, l402_flow instructions).
+ * consumption hints, l402_flow instructions). The route is declared once;
+ * /api, /openapi.json and /.well-known/l402 are generated from it.
  *
  * Usage:
  *   export L402_SECRET=$(node -e "console.log(require('crypto').randomBytes(32).toString('hex'))")
@@ -18,8 +19,10 @@
  *   node example-server.js
  *
  * Endpoints:
- *   GET /api          — Service info (free)
- *   GET /api/fortune  — L402-protected fortune (10 sats)
+ *   GET /api                — Service info (free)
+ *   GET /api/fortune        — L402-protected fortune (10 sats)
+ *   GET /openapi.json       — OpenAPI 3 spec (free)
+ *   GET /.well-known/l402   — Service manifest for L402 directories (free)
  */
 
 const http = require('http');
@@ -46,6 +49,22 @@ const FORTUNES = [
     "Do not wait for leaders; do it alone, person to person.",
 ];
 
+l402.defineService({
+    name: 'Fortune Cookie API',
+    description: `Pay ${l402.CONFIG.priceSats} sats, get a fortune. Lightning-gated via L402.`,
+    rootPath: ['/api', '/'],
+});
+
+l402.defineRoute('fortune', {
+    path: '/api/fortune',
+    title: 'Fortune cookie',
+    description: 'Returns a random fortune. Requires L402 payment.',
+    consumption: {
+        type: 'api_response',
+        action: 'Read the fortune field from the JSON response.',
+    },
+});
+
 // Initialize L402
 const l402Enabled = l402.initLnd();
 
@@ -57,12 +76,11 @@ if (!l402Enabled) {
     console.log('  LND_TLS_CERT_PATH    — Path to LND TLS certificate');
     console.log('  LND_REST_HOST        — LND REST endpoint (default: https://localhost:8080)');
     console.log('');
+    console.log('Or try it without a node: L402_BACKEND=memory (fake invoices, development only).');
+    console.log('');
 }
 
 const server = http.createServer(async (req, res) => {
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const pathname = url.pathname;
-
     // CORS preflight
     if (req.method === 'OPTIONS') {
         res.writeHead(204, {
@@ -74,54 +92,19 @@ const server = http.createServer(async (req, res) => {
         return;
     }
 
-    // GET / or /api — Service info (free)
-    if (pathname === '/' || pathname === '/api') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-            name: 'Fortune Cookie API',
-            description: 'Pay 10 sats, get a fortune. Lightning-gated via L402.',
-            protocol: 'L402',
-            l402_enabled: l402Enabled,
-            price_sats: l402.CONFIG.priceSats,
-            endpoints: {
-                info: { url: '/api', method: 'GET', auth: 'none', description: 'This endpoint. Service info and L402 flow.' },
-                fortune: {
-                    url: '/api/fortune',
-                    method: 'GET',
-                    auth: 'L402',
-                    cost_sats: l402.CONFIG.priceSats,
-                    description: 'Returns a random fortune. Requires L402 payment.',
-                    consumption: {
-                        type: 'api_response',
-                        action: 'Read the fortune field from the JSON response.',
-                    },
-                },
-            },
-            l402_flow: [
-                '1. GET /api/fortune',
-                '2. Receive 402 with WWW-Authenticate: L402 macaroon="...", invoice="lnbc..."',
-                '3. Pay the Lightning invoice. Your wallet returns a preimage (64-char hex).',
-                '4. Re-request with header: Authorization: L402 <macaroon>:<preimage>',
-                '5. Receive your fortune.',
-            ],
-        }, null, 2));
-        return;
-    }
+    // GET /api, /openapi.json, /.well-known/l402 — Generated from the routes (free)
+    if (l402.handleDiscovery(req, res)) return;
 
     // GET /api/fortune — L402-protected fortune
-    if (pathname === '/api/fortune') {
+    const match = l402.matchRoute(req);
+    if (match && match.name === 'fortune') {
         if (!l402Enabled) {
             res.writeHead(503, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ error: 'L402 not configured. See /api for setup instructions.' }));
             return;
         }
 
-        const authorized = await l402.handleL402Auth(req, res, 'fortune', {
-            consumption: {
-                type: 'api_response',
-                action: 'Read the fortune field from the JSON response.',
-            },
-        });
+        const authorized = await l402.handleRoute(req, res, match);
         if (!authorized) return;
 
         const fortune = FORTUNES[Math.floor(Math.random() * FORTUNES.length)];
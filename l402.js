@@ -7,10 +7,41 @@
  * Features:
  * - Macaroons with HMAC chaining via macaroons.js
  * - Per-resource access control via first-party caveats
- * - Payment hash as macaroon identifier (binds token to Lightning payment)
+ * - HTML paywall page with an in-process QR code for browsers; agents keep the JSON
+ * - Payment status route (long-poll or Server-Sent Events) that hands out the
+ *   finished token once paid, for wallets that never show the preimage
+ * - Tokens from the Authorization header, a query parameter or a cookie, with an
+ *   opt-in HttpOnly cookie so browser players and <video> tags just work
+ * - Bundle, list and wildcard scopes: one token for a whole series or collection
+ * - Time passes: "all access for 24 hours" tokens with their own price and duration
+ * - Prepaid credits: N uses per token, metered server-side, with top-ups
+ * - Revocation of individual tokens by payment hash
+ * - Challenge reuse and invoice pooling: clients retrying in a loop don't
+ *   flood the node with invoices, and a 402 needn't wait for one
+ * - Rate limits on unpaid requests (per client, per resource, global): 429
+ *   with Retry-After instead of yet another invoice or token verification
+ * - LRU cache of verified tokens: a token presented again (every HLS segment)
+ *   is a map lookup, not an HMAC chain
+ * - Per-resource and dynamic pricing (paid amount is baked into the token)
+ * - Capability tiers: preview, stream, download... priced separately on one resource
+ * - Payment hash in the macaroon identifier (binds token to Lightning payment)
+ * - Key rotation: key IDs in the identifier, per-token root keys derived from the secret
+ * - Aperture token format (binary identifier, services caveats) for lnget and
+ *   other Aperture clients; both formats always verify
  * - Preimage verification proves payment was made
- * - Stateless — no database, no sessions, just cryptography
- * - Supports future attenuation (clients can add caveats)
+ * - Machine-readable error_code on every failure, Retry-After when the backend is down
+ * - Event hooks (challengeIssued, accessGranted, accessDenied...) with structured
+ *   payloads, and an injectable logger with levels
+ * - Route registry: paid routes declared once generate the /api root document, an
+ *   OpenAPI 3 spec and the /.well-known/l402 directory manifest
+ * - HLS stream serving: token checked on the playlist and every segment, byte
+ *   ranges, playlist URIs rewritten to carry query-string tokens
+ * - Stateless — no database, no sessions, just cryptography (except the usage
+ *   counters of metered tokens)
+ * - Pluggable Lightning backend: LND, Core Lightning, or in-memory fake
+ * - Multiple independent services per process via createL402()
+ * - Optional Express, Fastify and Koa adapters (no framework dependency)
+ * - Enforced attenuation — attenuateToken() adds caveats that really restrict the token
  *
  * Why not Aperture?
  * Aperture is a Go reverse proxy that gates at the URL-path level.
@@ -22,9 +53,23 @@
  */
 
 const crypto = require('crypto');
-const fs = require('fs');
-const https = require('https');
 const { MacaroonsBuilder, MacaroonsVerifier } = require('macaroons.js');
+const backends = require('./lib/backends');
+const { createMiddleware } = require('./lib/middleware');
+const caveatRegistry = require('./lib/caveats');
+const usageStores = require('./lib/usage');
+const revocation = require('./lib/revocation');
+const keys = require('./lib/keys');
+const aperture = require('./lib/aperture');
+const paywall = require('./lib/paywall');
+const routeRegistry = require('./lib/routes');
+const stream = require('./lib/stream');
+const { createTokenCache, tokenCacheKey } = require('./lib/token-cache');
+const invoices = require('./lib/invoices');
+const ratelimit = require('./lib/ratelimit');
+const logging = require('./lib/logger');
+const events = require('./lib/events');
+const { ERROR_CODES, codeOf, l402Error } = require('./lib/errors');
 
 // ===========================================
 // Configuration
@@ -35,433 +80,3505 @@ const CONFIG = {
     // Generate with: node -e "console.log(require('crypto').randomBytes(32).toString('hex'))"
     secret: process.env.L402_SECRET,
 
+    // ID of L402_SECRET, embedded in every new token's identifier
+    keyId: process.env.L402_KEY_ID || 'default',
+
+    // Previous secrets whose tokens still verify until a cutoff:
+    // "keyId:secret:cutoff,..." with cutoff in Unix seconds or as 2026-12-31
+    retiredKeys: process.env.L402_RETIRED_KEYS,
+
     // Macaroon location identifier (your domain)
     location: process.env.L402_LOCATION || 'localhost',
 
-    // Price in satoshis per resource access
+    // Where to look for the token, in order: "header", "query", "cookie"
+    // (comma-separated). Query and cookie carry "<macaroon>:<preimage>".
+    tokenSources: process.env.L402_TOKEN_SOURCES || 'header',
+    tokenQueryParam: process.env.L402_TOKEN_QUERY_PARAM || 'token',
+    tokenCookieName: process.env.L402_TOKEN_COOKIE || 'l402_token',
+
+    // After a header or query-param auth, store the token in an HttpOnly cookie
+    // scoped to the request's directory, expiring with the token
+    setTokenCookie: process.env.L402_SET_TOKEN_COOKIE === 'true',
+
+    // Browsers (Accept: text/html) get an HTML paywall page with a QR code
+    // instead of the 402's JSON. Set to "false" to always send JSON.
+    paywallPage: process.env.L402_PAYWALL_PAGE !== 'false',
+
+    // Route serving checkPaymentStatus()/handlePaymentStatus(), e.g.
+    // "/api/payment". When set, 402 bodies link to <path>/<payment hash> so
+    // wallets that hide the preimage can collect the token once paid.
+    paymentStatusPath: process.env.L402_PAYMENT_STATUS_PATH || null,
+
+    // Schemes advertised in WWW-Authenticate: "L402", or "L402,LSAT" for
+    // clients that only know the legacy LSAT name. Both are always accepted.
+    challengeSchemes: process.env.L402_CHALLENGE_SCHEMES || 'L402',
+
+    // Format of new tokens: 'toolkit' (V1, "<keyId>:<paymentHash>" identifier)
+    // or 'aperture' (V2 binary, Aperture identifier and services caveats)
+    tokenFormat: process.env.L402_TOKEN_FORMAT || 'toolkit',
+
+    // Default price in satoshis per resource access.
+    // Override per call with the `price` option of handleL402Auth().
     priceSats: parseInt(process.env.L402_PRICE_SATS || '10'),
 
     // Token validity in seconds (default: 30 minutes)
     expirySeconds: parseInt(process.env.L402_EXPIRY_SECONDS || '1800'),
 
+    // Reject tokens carrying caveats no satisfier is registered for.
+    // Off by default: unknown caveats are accepted (but known ones always enforced).
+    strictCaveats: process.env.L402_STRICT_CAVEATS === 'true',
+
+    // Successful verifications remembered (LRU), so a token presented again,
+    // e.g. for every HLS segment, skips the HMAC chain. 0 disables the cache.
+    tokenCacheSize: parseInt(process.env.L402_TOKEN_CACHE_SIZE || '1000'),
+
+    // Give a client that asks again for the same resource within this many
+    // seconds the invoice and macaroon it already has, instead of a new
+    // invoice per 402. 0 (default) disables reuse. Needs
+    // CONFIG.challengeClientKey = req => ... (an API key, session...): an
+    // address can be shared by many clients behind one NAT.
+    challengeReuseSeconds: parseInt(process.env.L402_CHALLENGE_REUSE_SECONDS || '0'),
+
+    // Invoices created ahead of time per price point, "<sats>:<count>,...",
+    // e.g. "10:5,100:3". Refilled in the background as they're handed out.
+    invoicePool: process.env.L402_INVOICE_POOL || null,
+
+    // Requests that would get a 402 (no token, or a bad one), limited per
+    // client, per resource and overall: "client=20/60,resource=200/60,global=1000/60"
+    // is 20 per minute per client, and so on. Over the limit is a 429.
+    rateLimit: process.env.L402_RATE_LIMIT || null,
+
+    // Reverse proxies whose X-Forwarded-For is believed when telling clients
+    // apart: addresses and CIDR ranges, e.g. "127.0.0.1,10.0.0.0/8"
+    trustedProxies: process.env.L402_TRUSTED_PROXIES || null,
+
+    // Usage counters for metered (max_uses) tokens: 'memory', 'file' or
+    // 'sqlite' (needs better-sqlite3), kept at L402_USAGE_FILE
+    usageStore: process.env.L402_USAGE_STORE || 'memory',
+    usageFile: process.env.L402_USAGE_FILE,
+
+    // Revoked tokens are kept in this JSON file (in memory if unset)
+    revocationFile: process.env.L402_REVOCATION_FILE,
+
+    // Lowest level the console logger prints: debug, info, warn, error or
+    // silent. Set CONFIG.logger to an object with debug/info/warn/error
+    // methods to log somewhere else.
+    logLevel: process.env.L402_LOG_LEVEL || 'info',
+
+    // Lightning backend: 'lnd', 'cln' or 'memory' (fake, for development)
+    backend: process.env.L402_BACKEND || 'lnd',
+
     // LND REST API endpoint
     lndHost: process.env.LND_REST_HOST || 'https://localhost:8080',
     lndMacaroonPath: process.env.LND_MACAROON_PATH,
     lndTlsCertPath: process.env.LND_TLS_CERT_PATH,
+
+    // Core Lightning clnrest endpoint
+    clnHost: process.env.CLN_REST_HOST || 'https://localhost:3010',
+    clnRune: process.env.CLN_RUNE,
+    clnRunePath: process.env.CLN_RUNE_PATH,
+    clnTlsCertPath: process.env.CLN_TLS_CERT_PATH,
 };
 
-let lndMacaroon = null;
-let httpsAgent = null;
+// Defaults for createL402() instances. Unlike CONFIG, these never read process.env.
+const DEFAULTS = {
+    keyId: 'default',
+    location: 'localhost',
+    challengeSchemes: ['L402'],
+    tokenSources: ['header'],
+    tokenQueryParam: 'token',
+    tokenCookieName: 'l402_token',
+    setTokenCookie: false,
+    paywallPage: true,
+    tokenFormat: 'toolkit',
+    priceSats: 10,
+    expirySeconds: 1800,
+    strictCaveats: false,
+    tokenCacheSize: 1000,
+    challengeReuseSeconds: 0,
+    usageStore: 'memory',
+    logLevel: 'info',
+    backend: 'lnd',
+    lndHost: 'https://localhost:8080',
+    clnHost: 'https://localhost:3010',
+};
 
 // ===========================================
-// Initialization
+// Responses
 // ===========================================
 
 /**
- * Initialize the LND connection.
- * Call this once at server startup. Returns false if L402 is not configured
- * (missing secret or macaroon path), allowing the server to run without L402.
+ * A verified token, attached to the request by handleL402Auth() and the
+ * framework adapters.
  *
- * @returns {boolean} true if L402 is ready, false if disabled
+ * @typedef {Object} L402Token
+ * @property {string} paymentHash - Hex payment hash (macaroon identifier)
+ * @property {string} resourceId - The resource this request was authorized for
+ * @property {string|null} scope - What the token covers: its resource_id, or its scope caveat
+ *   (a list, glob or bundle:<name>)
+ * @property {string|null} tier - Pass name, if the token is a pass
+ * @property {number|null} maxUses - max_uses caveat, if the token is metered
+ * @property {number} [creditsRemaining] - Uses left after this request (metered tokens)
+ * @property {number|null} expiresAt - expires_at caveat (Unix seconds)
+ * @property {number} priceSats - Amount paid for the token
+ * @property {string[]} caveats - All first-party caveats, in order
  */
-function initLnd() {
-    if (!CONFIG.secret) {
-        console.warn('[L402] L402_SECRET not set — L402 disabled');
-        return false;
+
+/**
+ * A response to send, independent of any HTTP framework.
+ *
+ * @typedef {Object} L402Response
+ * @property {number} status - 402, 400 for an unknown capability, 429 when rate
+ *   limited, or 500 if the payment system failed (the top-up route also answers
+ *   200, 400 and 401)
+ * @property {Object<string, string|string[]>} headers - WWW-Authenticate is an array when
+ *   several challenge schemes are configured
+ * @property {Object|string} body - JSON body, or the HTML of the paywall page
+ */
+
+/**
+ * Write an L402Response to a raw Node.js http.ServerResponse.
+ *
+ * @param {http.ServerResponse} res
+ * @param {L402Response} response
+ */
+function writeResponse(res, response) {
+    if (res.headersSent) return;
+    res.writeHead(response.status, response.headers);
+    res.end(typeof response.body === 'string' ? response.body : JSON.stringify(response.body));
+}
+
+function jsonResponse(status, body) {
+    return { status: status, headers: { 'Content-Type': 'application/json' }, body: body };
+}
+
+// Seconds clients are asked to wait before retrying after a backend failure
+const RETRY_AFTER_SECONDS = 30;
+
+/**
+ * 500 for a failure on the server's side: the Lightning backend, the usage
+ * store, or the application's pricing and bundle functions. The client did
+ * nothing wrong, so the body says backend_unavailable and Retry-After says
+ * when to try again.
+ *
+ * @param {string} error - Message for the body
+ * @returns {L402Response}
+ */
+function unavailableResponse(error) {
+    return {
+        status: 500,
+        // Browser clients must be able to read it, and Retry-After, like the 402
+        headers: {
+            'Content-Type': 'application/json',
+            'Retry-After': String(RETRY_AFTER_SECONDS),
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Expose-Headers': 'Retry-After',
+        },
+        body: { error: error, error_code: ERROR_CODES.BACKEND_UNAVAILABLE },
+    };
+}
+
+const RATE_LIMITED_WHERE = {
+    client: 'from this client',
+    resource: 'for this resource',
+    global: 'for this service',
+};
+
+/**
+ * 429 for a request turned away by a rate limit (see lib/ratelimit.js). The
+ * body is shaped like a 402's, without an invoice: paying can't help until
+ * the bucket refills, which Retry-After says.
+ *
+ * @param {string} resourceId
+ * @param {{scope: string, retryAfterSeconds: number}} limited - From ratelimit.takeRequest()
+ * @returns {L402Response}
+ */
+function rateLimitedResponse(resourceId, limited) {
+    return {
+        status: 429,
+        headers: {
+            'Content-Type': 'application/json',
+            'Retry-After': String(limited.retryAfterSeconds),
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Expose-Headers': 'Retry-After',
+        },
+        body: {
+            error: 'Too Many Requests',
+            message: `Too many unpaid requests ${RATE_LIMITED_WHERE[limited.scope]} — retry in ${limited.retryAfterSeconds}s`,
+            error_code: ERROR_CODES.RATE_LIMITED,
+            resource_id: resourceId,
+            rate_limit_scope: limited.scope,
+            retry_after_seconds: limited.retryAfterSeconds,
+        },
+    };
+}
+
+const AUTH_SCHEME_PATTERN = /^\s*(L402|LSAT)\s+([\s\S]*)$/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]+={0,2}$/;
+const PREIMAGE_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Parse an L402 Authorization header:
+ *
+ *   L402 <macaroon>[,<discharge macaroon>...]:<preimage>
+ *
+ * The scheme may also be the legacy LSAT, in any case. Macaroons may use the
+ * standard or URL-safe base64 alphabet, and whitespace around the commas and
+ * the colon is ignored. The first macaroon is the token; the others are
+ * discharge macaroons for its third-party caveats, already bound to it.
+ *
+ * @param {string} [header]
+ * @returns {{scheme: string, macaroon: string, discharges: string[], preimage: string}|{error: string}|null}
+ *   null if there is no L402 or LSAT token
+ */
+function parseAuthorization(header) {
+    const match = header ? AUTH_SCHEME_PATTERN.exec(header) : null;
+    if (!match) return null;
+
+    const credentials = match[2].trim();
+    const colonIndex = credentials.lastIndexOf(':');
+    if (colonIndex === -1) {
+        return { error: 'Invalid token format — expected macaroon:preimage' };
     }
 
-    if (CONFIG.secret.length < 32) {
-        console.warn('[L402] L402_SECRET is too short (minimum 32 characters). Use: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"');
-        return false;
+    const macaroons = credentials.substring(0, colonIndex).split(',').map(m => m.trim());
+    const preimage = credentials.substring(colonIndex + 1).trim().toLowerCase();
+    if (macaroons.some(m => !BASE64_PATTERN.test(m))) {
+        return { error: 'Invalid token format — macaroons must be base64, separated by commas' };
+    }
+    if (!PREIMAGE_PATTERN.test(preimage)) {
+        return { error: 'Invalid token format — preimage must be 64 hex characters' };
     }
 
-    if (!CONFIG.lndMacaroonPath) {
-        console.warn('[L402] LND_MACAROON_PATH not set — L402 disabled');
-        return false;
+    return {
+        scheme: match[1].toUpperCase(),
+        macaroon: macaroons[0],
+        discharges: macaroons.slice(1),
+        preimage: preimage,
+    };
+}
+
+/**
+ * Validate config.tokenSources; a token cookie that is never read is a mistake.
+ */
+function checkTokenSources(config) {
+    const sources = parseTokenSources(config.tokenSources);
+    if (config.setTokenCookie && !sources.includes('cookie')) {
+        throw new Error("setTokenCookie needs 'cookie' in tokenSources");
     }
+}
 
-    try {
-        // LND REST API requires the macaroon as a hex string in the header
-        lndMacaroon = fs.readFileSync(CONFIG.lndMacaroonPath).toString('hex');
-
-        // Build HTTPS agent. LND uses a self-signed TLS certificate.
-        // If a cert path is provided, trust it as a CA.
-        if (CONFIG.lndTlsCertPath && fs.existsSync(CONFIG.lndTlsCertPath)) {
-            const cert = fs.readFileSync(CONFIG.lndTlsCertPath);
-            httpsAgent = new https.Agent({
-                ca: cert,
-                // Skip hostname verification for SSH tunnel setups where the
-                // cert's SANs (e.g., 127.0.0.1) don't match the connection
-                // hostname. Only safe because we pin the exact CA cert above.
-                checkServerIdentity: () => undefined,
-            });
-        } else {
-            console.warn('[L402] WARNING: No TLS cert provided (LND_TLS_CERT_PATH). Connection to LND is NOT verified.');
-            httpsAgent = new https.Agent({ rejectUnauthorized: false });
-        }
+/**
+ * WWW-Authenticate value(s) for a challenge: one per configured scheme, L402
+ * first. Several schemes become several header lines, as Aperture sends them.
+ *
+ * @param {string[]} schemes - From config.challengeSchemes
+ * @param {string} macaroon
+ * @param {string} invoice
+ * @returns {string|string[]}
+ */
+function formatChallenge(schemes, macaroon, invoice) {
+    const values = (schemes && schemes.length > 0 ? schemes : ['L402'])
+        .map(scheme => `${scheme} macaroon="${macaroon}", invoice="${invoice}"`);
+    return values.length === 1 ? values[0] : values;
+}
 
-        console.log('[L402] Initialized');
-        console.log(`[L402] Location: ${CONFIG.location}`);
-        console.log(`[L402] Price: ${CONFIG.priceSats} sats, Expiry: ${CONFIG.expirySeconds}s`);
-        return true;
-    } catch (err) {
-        console.error('[L402] Init failed:', err.message);
-        return false;
+/**
+ * Parse L402_CHALLENGE_SCHEMES ("L402,LSAT") into a list, rejecting unknown schemes.
+ *
+ * @param {string|string[]} [value]
+ * @returns {string[]}
+ */
+function parseChallengeSchemes(value) {
+    const schemes = (Array.isArray(value) ? value : String(value || 'L402').split(','))
+        .map(scheme => scheme.trim().toUpperCase())
+        .filter(Boolean);
+    for (const scheme of schemes) {
+        if (scheme !== 'L402' && scheme !== 'LSAT') {
+            throw new Error(`Unknown challenge scheme '${scheme}' (expected L402 or LSAT)`);
+        }
     }
+    return schemes;
 }
 
 // ===========================================
-// LND REST API
+// Token Sources
 // ===========================================
 
+const TOKEN_SOURCES = ['header', 'query', 'cookie'];
+
 /**
- * Create a Lightning invoice via LND REST API.
- * Uses native https module — no axios, no node-fetch, no dependencies.
+ * Parse L402_TOKEN_SOURCES ("header,query,cookie") into a list, rejecting unknown sources.
  *
- * @param {number} amountSats - Invoice amount in satoshis
- * @param {string} memo - Human-readable invoice description
- * @returns {Promise<{paymentHash: string, paymentRequest: string}>}
+ * @param {string|string[]} [value]
+ * @returns {string[]}
  */
-function createInvoice(amountSats, memo) {
-    return new Promise((resolve, reject) => {
-        const url = new URL(`${CONFIG.lndHost}/v1/invoices`);
-        const postData = JSON.stringify({
-            value: amountSats.toString(),
-            memo: memo,
-            expiry: '3600',
-        });
+function parseTokenSources(value) {
+    const sources = (Array.isArray(value) ? value : String(value || 'header').split(','))
+        .map(source => source.trim().toLowerCase())
+        .filter(Boolean);
+    for (const source of sources) {
+        if (!TOKEN_SOURCES.includes(source)) {
+            throw new Error(`Unknown token source '${source}' (expected ${TOKEN_SOURCES.join(', ')})`);
+        }
+    }
+    return sources;
+}
 
-        const options = {
-            hostname: url.hostname,
-            port: url.port || 443,
-            path: url.pathname,
-            method: 'POST',
-            headers: {
-                'Grpc-Metadata-macaroon': lndMacaroon,
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(postData),
-            },
-            agent: httpsAgent,
-        };
+function readCookie(header, name) {
+    for (const part of (header || '').split(';')) {
+        const eqIndex = part.indexOf('=');
+        if (eqIndex !== -1 && part.substring(0, eqIndex).trim() === name) {
+            try {
+                return decodeURIComponent(part.substring(eqIndex + 1).trim());
+            } catch {
+                return null;
+            }
+        }
+    }
+    return null;
+}
 
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                try {
-                    const result = JSON.parse(data);
-                    if (res.statusCode !== 200) {
-                        reject(new Error(`LND error ${res.statusCode}: ${data}`));
-                        return;
-                    }
-                    const paymentHash = Buffer.from(result.r_hash, 'base64').toString('hex');
-                    resolve({
-                        paymentHash: paymentHash,
-                        paymentRequest: result.payment_request,
-                    });
-                } catch (err) {
-                    reject(err);
-                }
-            });
-        });
+/**
+ * Find the token in a request, trying config.tokenSources in order. Query
+ * and cookie values are "<macaroon>:<preimage>" (URL-encoded), with or
+ * without the scheme in front; they are returned as an Authorization header
+ * for parseAuthorization(). An Authorization header of another scheme
+ * (Bearer, Basic) is skipped.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {Object} config
+ * @returns {{source: string, header: string}|null}
+ */
+function extractToken(req, config) {
+    for (const source of parseTokenSources(config.tokenSources)) {
+        let value;
+        if (source === 'header') {
+            value = req.headers['authorization'];
+            if (value && AUTH_SCHEME_PATTERN.test(value)) return { source, header: value };
+            continue;
+        }
 
-        req.on('error', reject);
-        req.write(postData);
-        req.end();
-    });
+        if (source === 'query') {
+            value = new URL(req.originalUrl || req.url, 'http://localhost').searchParams.get(config.tokenQueryParam || 'token');
+        } else {
+            value = readCookie(req.headers['cookie'], config.tokenCookieName || 'l402_token');
+        }
+        if (value) {
+            const match = AUTH_SCHEME_PATTERN.exec(value);
+            const scheme = match ? match[1] : 'L402';
+            // An unencoded '+' in a base64 query value arrives as a space
+            const credentials = (match ? match[2] : value).trim().replace(/ /g, '+');
+            return { source, header: `${scheme} ${credentials}` };
+        }
+    }
+    return null;
+}
+
+/**
+ * Set-Cookie value holding a token: HttpOnly, SameSite=Lax, scoped to path,
+ * expiring with the token, Secure on HTTPS.
+ *
+ * @param {string} name
+ * @param {{macaroon: string, discharges: string[], preimage: string}} auth - From parseAuthorization()
+ * @param {Object} options
+ * @param {string} options.path
+ * @param {number|null} options.expiresAt - Unix seconds; a session cookie if null
+ * @param {boolean} options.secure
+ * @returns {string}
+ */
+function formatTokenCookie(name, auth, { path, expiresAt, secure }) {
+    const credentials = `${[auth.macaroon, ...auth.discharges].join(',')}:${auth.preimage}`;
+    const parts = [`${name}=${encodeURIComponent(credentials)}`, `Path=${path}`];
+    if (expiresAt) {
+        parts.push(`Expires=${new Date(expiresAt * 1000).toUTCString()}`);
+        parts.push(`Max-Age=${Math.max(0, expiresAt - Math.floor(Date.now() / 1000))}`);
+    }
+    parts.push('HttpOnly', 'SameSite=Lax');
+    if (secure) parts.push('Secure');
+    return parts.join('; ');
+}
+
+/**
+ * Default cookie path: the request path's directory, so a token used for
+ * /api/stream/video-1/master.m3u8 is sent with every /api/stream/video-1/ segment.
+ */
+function defaultCookiePath(req) {
+    const path = new URL(req.originalUrl || req.url, 'http://localhost').pathname;
+    const directory = path.substring(0, path.lastIndexOf('/')) || '/';
+    return /^[^;,\s]+$/.test(directory) ? directory : '/';
+}
+
+function isSecureRequest(req) {
+    return Boolean((req.socket && req.socket.encrypted) || req.headers['x-forwarded-proto'] === 'https');
 }
 
 // ===========================================
-// Macaroon Functions
+// Invoices
 // ===========================================
 
+// Lifetime of every invoice the toolkit creates
+const INVOICE_EXPIRY_SECONDS = 3600;
+
+// Pooled invoices older than this are discarded, so one handed out still has
+// most of its expiry left
+const POOLED_INVOICE_MAX_AGE_SECONDS = 600;
+
+// Challenges remembered for reuse, across all clients
+const MAX_REUSED_CHALLENGES = 10000;
+
 /**
- * Create a macaroon for accessing a specific resource.
- *
- * The payment hash becomes the macaroon identifier, cryptographically
- * binding this credential to a specific Lightning payment. The preimage
- * (proof of payment) is needed to use the token.
- *
- * Caveats:
- * - resource_id: restricts token to a specific resource
- * - expires_at: Unix timestamp after which the token is invalid
- * - service: identifies the service that issued the token
- *
- * @param {string} paymentHash - Lightning payment hash (hex)
- * @param {string} resourceId - Resource being purchased
- * @param {string} [service] - Service identifier (default: CONFIG.location)
- * @returns {string} Base64-encoded serialized macaroon
+ * Validate the challenge reuse window and invoice pool. A reused challenge
+ * must still have most of its invoice and token lifetime left, so the window
+ * is capped at half of the shorter one. Reuse needs a client key function:
+ * keyed by address, clients behind one NAT would share an invoice and
+ * macaroon, and whoever polls the payment status gets the token.
  */
-function createMacaroon(paymentHash, resourceId, service) {
-    const expiresAt = Math.floor(Date.now() / 1000) + CONFIG.expirySeconds;
-
-    const macaroon = new MacaroonsBuilder(
-        CONFIG.location,
-        CONFIG.secret,
-        paymentHash
-    )
-        .add_first_party_caveat(`resource_id = ${resourceId}`)
-        .add_first_party_caveat(`expires_at = ${expiresAt}`)
-        .add_first_party_caveat(`service = ${service || CONFIG.location}`)
-        .getMacaroon();
-
-    return macaroon.serialize();
+function checkInvoiceOptions(config) {
+    const reuse = config.challengeReuseSeconds || 0;
+    const limit = Math.floor(Math.min(INVOICE_EXPIRY_SECONDS, config.expirySeconds) / 2);
+    if (!Number.isInteger(reuse) || reuse < 0 || reuse > limit) {
+        throw new Error(`challengeReuseSeconds must be an integer from 0 to ${limit}, got '${config.challengeReuseSeconds}'`);
+    }
+    if (reuse > 0 && typeof config.challengeClientKey !== 'function') {
+        throw new Error('challengeReuseSeconds needs a challengeClientKey function — clients sharing an address would share one invoice and token');
+    }
+    invoices.parseInvoicePool(config.invoicePool);
 }
 
 /**
- * Verify a macaroon and all its caveats.
- *
- * Verification checks:
- * 1. SHA256(preimage) === macaroon identifier (proves payment)
- * 2. resource_id matches the requested resource
- * 3. Token has not expired
- * 4. HMAC signature chain is valid (proves token was issued by this server)
- *
- * Unknown caveats from client-side attenuation are accepted — this is by design.
- * Macaroons support delegation: a client can add caveats to restrict their own
- * token further, and the server doesn't need to know about those restrictions.
- *
- * @param {string} macaroonB64 - Base64-encoded serialized macaroon
- * @param {string} preimageHex - Payment preimage (64-char hex)
- * @param {string} requestedResourceId - Resource ID from the request
- * @returns {{valid: boolean, error?: string, resourceId?: string, expiresAt?: number}}
+ * Validate the rate limits and trusted proxies.
  */
-function verifyMacaroon(macaroonB64, preimageHex, requestedResourceId) {
-    try {
-        const macaroon = MacaroonsBuilder.deserialize(macaroonB64);
-
-        // Verify preimage matches payment hash (macaroon identifier).
-        // This is the cryptographic proof that the Lightning invoice was paid.
-        const paymentHash = macaroon.identifier;
-        const computedHash = crypto
-            .createHash('sha256')
-            .update(Buffer.from(preimageHex, 'hex'))
-            .digest('hex');
+function checkRateLimitOptions(config) {
+    ratelimit.parseRateLimits(config.rateLimit);
+    ratelimit.parseTrustedProxies(config.trustedProxies);
+}
 
-        if (computedHash !== paymentHash) {
-            return { valid: false, error: 'Invalid preimage — payment not verified' };
-        }
+/**
+ * Validate the log level, a custom logger and the hooks option.
+ */
+function checkLogOptions(config) {
+    logging.parseLogLevel(config.logLevel);
+    if (config.logger) logging.checkLogger(config.logger);
+    events.checkHooks(config.hooks);
+}
 
-        const verifier = new MacaroonsVerifier(macaroon);
+// ===========================================
+// Payment Status
+// ===========================================
 
-        let tokenResourceId = null;
-        let tokenExpiresAt = null;
+const PAYMENT_HASH_PATTERN = /^[0-9a-f]{64}$/;
 
-        verifier.satisfyGeneral((caveat) => {
-            const eqIndex = caveat.indexOf('=');
-            if (eqIndex === -1) return false;
+// How often a waiting status request looks the invoice up on the node
+const INVOICE_POLL_INTERVAL_MS = 1000;
 
-            const key = caveat.substring(0, eqIndex).trim();
-            const value = caveat.substring(eqIndex + 1).trim();
+// Longest ?wait= a status request may hold the connection for
+const MAX_STATUS_WAIT_SECONDS = 60;
 
-            switch (key) {
-                case 'resource_id':
-                    tokenResourceId = value;
-                    if (value !== requestedResourceId) {
-                        throw new Error(`Token for resource '${value}', but requested '${requestedResourceId}'`);
-                    }
-                    return true;
+// An event stream is closed after this long; EventSource reconnects by itself
+const STATUS_STREAM_SECONDS = 300;
 
-                case 'expires_at':
-                    tokenExpiresAt = parseInt(value);
-                    if (tokenExpiresAt < Date.now() / 1000) {
-                        throw new Error('Token expired');
-                    }
-                    return true;
+/**
+ * The macaroon a payment-status request claims with: from
+ * `Authorization: L402 <macaroon>` (anything after a colon is ignored), or
+ * the `macaroon` query parameter, for EventSource, which can't send headers.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {string|null}
+ */
+function readStatusMacaroon(req) {
+    const match = AUTH_SCHEME_PATTERN.exec(req.headers['authorization'] || '');
+    const value = match
+        ? match[2]
+        : new URL(req.originalUrl || req.url, 'http://localhost').searchParams.get('macaroon');
+    if (!value) return null;
+    // An unencoded standard-base64 '+' arrives as a space
+    return value.split(':')[0].split(',')[0].trim().replace(/ /g, '+') || null;
+}
 
-                case 'service':
-                    // Accept any service value — allows cross-service token delegation
-                    return true;
+function wantsEventStream(req) {
+    return /\btext\/event-stream\b/.test(req.headers['accept'] || '');
+}
 
-                default:
-                    // Unknown caveats from client attenuation — accept them.
-                    // Macaroons are designed for this: clients can add caveats
-                    // to further restrict their own tokens.
-                    return true;
-            }
-        });
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-        // Verify the HMAC signature chain against our secret
-        verifier.assertIsValid(CONFIG.secret);
+// ===========================================
+// Capabilities
+// ===========================================
 
-        return {
-            valid: true,
-            resourceId: tokenResourceId,
-            expiresAt: tokenExpiresAt,
-            paymentHash: paymentHash,
-        };
+const CAPABILITY_PATTERN = /^[A-Za-z0-9_-]+$/;
 
-    } catch (err) {
-        return { valid: false, error: err.message };
+/**
+ * Pick a capability from a `capabilities` table (see handleL402Auth()).
+ *
+ * A token bought for one capability also grants every capability priced at
+ * or below it, so a download token can stream but a stream token can't
+ * download.
+ *
+ * @param {Object<string, number|{price: number, description?: string}>} capabilities
+ * @param {string} [name] - Requested capability (default: the first in the table)
+ * @returns {{name: string, price: number, description: string|null, granted: string[], offers: Object[]}|null}
+ *   null if the table has no such capability
+ */
+function selectCapability(capabilities, name) {
+    const entries = Object.entries(capabilities).map(([key, value]) => {
+        const price = value !== null && typeof value === 'object' ? value.price : value;
+        if (!CAPABILITY_PATTERN.test(key)) {
+            throw new Error(`Invalid capability name '${key}' (letters, digits, _ and -)`);
+        }
+        if (!Number.isInteger(price) || price <= 0) {
+            throw new Error(`Invalid price for capability '${key}': ${price}`);
+        }
+        return { name: key, price: price, description: (value && value.description) || null };
+    });
+    if (entries.length === 0) {
+        throw new Error('capabilities table is empty');
     }
+
+    const selected = name === undefined || name === null || name === ''
+        ? entries[0]
+        : entries.find(entry => entry.name === name);
+    if (!selected) return null;
+
+    return {
+        ...selected,
+        granted: entries.filter(entry => entry.price <= selected.price).map(entry => entry.name),
+        offers: entries.map(entry => ({
+            capability: entry.name,
+            price_sats: entry.price,
+            description: entry.description || undefined,
+        })),
+    };
 }
 
 // ===========================================
-// L402 Auth Handler
+// L402 Instance
 // ===========================================
 
 /**
- * Check L402 authorization for a resource request.
+ * Build an L402 service bound to one config object: its own secret, location,
+ * pricing and Lightning backend. createL402() and the default (environment-
+ * configured) instance behind the top-level exports are both built here.
  *
- * Call this in your route handler. It returns true if the request is authorized
- * (caller should serve the resource). Returns false if not authorized — in that
- * case, a 402 Payment Required response has already been sent.
+ * The config object is read on every call, so mutating it (e.g. l402.CONFIG)
+ * takes effect immediately.
  *
- * Usage:
- *   const authorized = await l402.handleL402Auth(req, res, 'my-resource-id');
- *   if (!authorized) return; // 402 already sent
- *   // Serve the resource...
- *
- * With consumption hints:
- *   const authorized = await l402.handleL402Auth(req, res, 'video-123', {
- *       consumption: { type: 'browser', action: 'Open the player URL' },
- *       player_url: 'https://example.com/player?v={resource_id}&token={token}',
- *   });
- *
- * @param {http.IncomingMessage} req
- * @param {http.ServerResponse} res
- * @param {string} resourceId - Identifier for the resource being requested
- * @param {Object} [options] - Optional fields to include in 402 responses (consumption hints, etc.)
- * @returns {Promise<boolean>} true if authorized, false if 402 sent
+ * @param {Object} config - See CONFIG for the fields
+ * @returns {Object} Instance API
  */
-async function handleL402Auth(req, res, resourceId, options) {
-    const authHeader = req.headers['authorization'];
+function createInstance(config) {
+    let backend = null;
+    const caveats = caveatRegistry.createCaveatRegistry(config.caveats);
+    let bundleResolver = config.resolveBundle || null;
+    const passes = {};
+    const routes = routeRegistry.createRouteRegistry();
+    let keyring = null;
+    let keyringSource = null;
+    let tokenCache = null;
+    let tokenCacheSize = null;
+    let challengeCache = null;
+    let invoicePool = null;
+    let invoicePoolSource = null;
+    const invoiceCounts = { created: 0, pooled: 0 };
+    let rateLimits = null;
+    let rateLimitsSource = null;
+    let trustedProxies = null;
+    let trustedProxiesSource = null;
+    let rateLimitStore = config.rateLimitStore || null;
+    let usageStore = config.usageStore && typeof config.usageStore === 'object' ? config.usageStore : null;
+    let revocationStore = config.revocationStore || null;
+    let consoleLogger = null;
+    let consoleLoggerLevel = null;
+    const hooks = events.createHooks(config.hooks, (event, err) => {
+        const message = err && err.message ? err.message : String(err);
+        getLogger().error(`${event} listener failed: ${message}`, { event: event, error: message });
+    });
+
+    // ===========================================
+    // Logging and Events
+    // ===========================================
+
+    /**
+     * The logger in use: config.logger, or the console logger at
+     * config.logLevel (rebuilt if the level changes).
+     *
+     * @returns {L402Logger} See lib/logger.js
+     */
+    function getLogger() {
+        if (config.logger) return config.logger;
+        const level = config.logLevel || DEFAULTS.logLevel;
+        if (level !== consoleLoggerLevel) {
+            consoleLogger = logging.createConsoleLogger({ level: level });
+            consoleLoggerLevel = level;
+        }
+        return consoleLogger;
+    }
+
+    /**
+     * Add a listener for one of the events in lib/events.js. Listeners for
+     * 'initialized' must be added before initLnd() runs: pass them to
+     * createL402() as options.hooks.
+     *
+     * Usage:
+     *   l402.on('accessGranted', event => metrics.increment('paid_requests', { resource: event.resourceId }));
+     *   l402.on('accessDenied', event => audit.write(event));
+     *
+     * @param {string} event - initialized, challengeIssued, accessGranted, accessDenied or invoiceError
+     * @param {function(Object)} listener - Called with the event's payload
+     */
+    function on(event, listener) {
+        hooks.on(event, listener);
+    }
+
+    /**
+     * Remove a listener added with on().
+     *
+     * @param {string} event
+     * @param {function(Object)} listener
+     */
+    function off(event, listener) {
+        hooks.off(event, listener);
+    }
+
+    // Milliseconds since a performance.now() reading, to 0.001 ms
+    function elapsedSince(started) {
+        return Math.round((performance.now() - started) * 1000) / 1000;
+    }
+
+    // ===========================================
+    // Initialization
+    // ===========================================
+
+    /**
+     * Initialize the Lightning backend connection.
+     * Call this once at server startup. Returns false if L402 is not configured
+     * (missing secret or backend credentials), allowing the server to run without L402.
+     *
+     * The backend is selected by config.backend (L402_BACKEND): 'lnd' (default),
+     * 'cln' or 'memory'. Pass options.backend to supply your own backend object
+     * instead (see lib/backends/index.js for the interface).
+     *
+     * @param {Object} [options]
+     * @param {LightningBackend} [options.backend] - Backend instance to use instead of config.backend
+     * @returns {boolean} true if L402 is ready, false if disabled
+     */
+    function initLnd(options) {
+        try {
+            checkLogOptions(config);
+        } catch (err) {
+            // The configured logger can't be trusted: use the default one
+            logging.createConsoleLogger().warn(`${err.message} — L402 disabled`, { error: err.message });
+            return false;
+        }
+        const log = getLogger();
 
-    if (authHeader && authHeader.startsWith('L402 ')) {
-        // Parse token: "L402 <macaroon>:<preimage>"
-        const tokenPart = authHeader.substring(5);
-        const colonIndex = tokenPart.indexOf(':');
+        if (!config.secret) {
+            log.warn('L402_SECRET not set — L402 disabled');
+            return false;
+        }
+
+        if (config.secret.length < 32) {
+            log.warn('L402_SECRET is too short (minimum 32 characters). Use: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"');
+            return false;
+        }
+
+        try {
+            getKeyring();
+        } catch (err) {
+            log.warn(`Key configuration invalid (${err.message}) — L402 disabled`, { error: err.message });
+            return false;
+        }
 
-        if (colonIndex === -1) {
-            await sendL402Challenge(res, resourceId, { ...options, error: 'Invalid token format — expected macaroon:preimage' });
+        try {
+            parseChallengeSchemes(config.challengeSchemes);
+            checkTokenSources(config);
+            checkInvoiceOptions(config);
+            checkRateLimitOptions(config);
+        } catch (err) {
+            log.warn(`${err.message} — L402 disabled`, { error: err.message });
             return false;
         }
 
-        const macaroonB64 = tokenPart.substring(0, colonIndex);
-        const preimageHex = tokenPart.substring(colonIndex + 1);
+        const customBackend = (options && options.backend)
+            || (typeof config.backend === 'object' ? config.backend : null);
+
+        if (!customBackend && config.backend === 'lnd' && !config.lndMacaroonPath) {
+            log.warn('LND_MACAROON_PATH not set — L402 disabled');
+            return false;
+        }
+
+        if (!customBackend && config.backend === 'cln' && !config.clnRune && !config.clnRunePath) {
+            log.warn('CLN_RUNE or CLN_RUNE_PATH not set — L402 disabled');
+            return false;
+        }
+
+        try {
+            backend = customBackend || backends.createBackend(config, log);
+
+            if (backend.name === 'memory') {
+                log.warn('WARNING: Using the in-memory fake backend. Invoices are NOT real and cannot be paid with a wallet.');
+            }
+
+            const backendName = backend.name || 'custom';
+            log.info('Initialized', { backend: backendName, location: config.location });
+            log.info(`Backend: ${backendName}`);
+            log.info(`Location: ${config.location}`);
+            log.info(`Price: ${config.priceSats} sats, Expiry: ${config.expirySeconds}s`);
 
-        const result = verifyMacaroon(macaroonB64, preimageHex, resourceId);
+            const pool = getInvoicePool();
+            if (pool) pool.fill();
 
-        if (result.valid) {
-            console.log(`[L402] Access granted: ${resourceId}`);
+            hooks.emit('initialized', {
+                backend: backendName,
+                location: config.location,
+                keyId: config.keyId,
+                tokenFormat: config.tokenFormat,
+                priceSats: config.priceSats,
+                expirySeconds: config.expirySeconds,
+            });
             return true;
-        } else {
-            console.log(`[L402] Access denied for ${resourceId}: ${result.error}`);
-            await sendL402Challenge(res, resourceId, { ...options, error: result.error });
+        } catch (err) {
+            log.error(`Init failed: ${err.message}`, { error: err.message });
+            backend = null;
             return false;
         }
     }
 
-    // No token provided — issue challenge
-    await sendL402Challenge(res, resourceId, options);
-    return false;
-}
+    // ===========================================
+    // Lightning Backend
+    // ===========================================
 
-/**
- * Send HTTP 402 Payment Required with a Lightning invoice.
- *
- * The response includes:
- * - WWW-Authenticate header with macaroon and invoice (per L402 spec)
- * - JSON body with human/machine-readable payment instructions
- * - Optional consumption hints and other fields from the options object
- *
- * @param {http.ServerResponse} res
- * @param {string} resourceId
- * @param {string|Object} [errorOrOptions] - Error string (backward compat) or options object
- * @param {string} [errorOrOptions.error] - Error message for invalid token attempts
- * @param {Object} [errorOrOptions.consumption] - Consumption hints (type, action, player_url, etc.)
- * @param {string} [errorOrOptions.player_url] - URL template for browser-based consumption
- * @param {string} [errorOrOptions.player_note] - Instructions for using the player URL
- */
-async function sendL402Challenge(res, resourceId, errorOrOptions) {
-    // Backward compat: string arg is the error message, object arg is options
-    let error, extra;
-    if (typeof errorOrOptions === 'string') {
-        error = errorOrOptions;
-        extra = {};
-    } else if (errorOrOptions && typeof errorOrOptions === 'object') {
-        ({ error, ...extra } = errorOrOptions);
-    } else {
-        extra = {};
+    /**
+     * Create a Lightning invoice via the configured backend.
+     *
+     * @param {number} amountSats - Invoice amount in satoshis
+     * @param {string} memo - Human-readable invoice description
+     * @returns {Promise<{paymentHash: string, paymentRequest: string}>}
+     */
+    async function createInvoice(amountSats, memo) {
+        if (!backend) {
+            throw new Error('Lightning backend not initialized — call initLnd() first');
+        }
+        return backend.createInvoice(amountSats, memo, { expirySeconds: INVOICE_EXPIRY_SECONDS });
     }
 
-    try {
-        const memo = `L402 access: ${resourceId}`;
-        const { paymentHash, paymentRequest } = await createInvoice(CONFIG.priceSats, memo);
-        const macaroon = createMacaroon(paymentHash, resourceId);
+    async function lookupInvoice(paymentHash) {
+        if (!backend) {
+            throw new Error('Lightning backend not initialized — call initLnd() first');
+        }
+        return backend.lookupInvoice(paymentHash);
+    }
+
+    /**
+     * Get the active Lightning backend (null before initLnd() succeeds).
+     * Use it for lookupInvoice()/getInfo(), or payInvoice() on the memory backend.
+     *
+     * @returns {LightningBackend|null}
+     */
+    function getBackend() {
+        return backend;
+    }
 
-        const challenge = `L402 macaroon="${macaroon}", invoice="${paymentRequest}"`;
+    // ===========================================
+    // Invoice Reuse and Pooling
+    // ===========================================
 
-        res.writeHead(402, {
-            'Content-Type': 'application/json',
-            'WWW-Authenticate': challenge,
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-            'Access-Control-Expose-Headers': 'WWW-Authenticate',
-        });
+    /**
+     * The invoice pool for config.invoicePool, or null if none is configured.
+     * Rebuilt if the setting changes.
+     *
+     * @returns {Object|null} See lib/invoices.js
+     */
+    function getInvoicePool() {
+        const source = JSON.stringify(invoices.parseInvoicePool(config.invoicePool));
+        if (source !== invoicePoolSource) {
+            const sizes = JSON.parse(source);
+            invoicePool = Object.keys(sizes).length > 0
+                ? invoices.createInvoicePool({
+                    sizes: sizes,
+                    createInvoice: createInvoice,
+                    memo: `L402 access: ${config.location}`,
+                    maxAgeSeconds: POOLED_INVOICE_MAX_AGE_SECONDS,
+                    onError: (err, priceSats) => {
+                        getLogger().error(`Invoice pool refill failed (${priceSats} sats): ${err.message}`, { priceSats: priceSats, error: err.message });
+                        hooks.emit('invoiceError', { kind: 'pool', resourceId: null, priceSats: priceSats, error: err.message });
+                    },
+                })
+                : null;
+            invoicePoolSource = source;
+        }
+        return invoicePool;
+    }
 
-        const body = {
-            error: 'Payment Required',
-            message: error || `Pay ${CONFIG.priceSats} sats to access this resource`,
-            price_sats: CONFIG.priceSats,
-            token_expiry_seconds: CONFIG.expirySeconds,
-            resource_id: resourceId,
-            macaroon: macaroon,
-            invoice: paymentRequest,
-            token_format: {
-                header: 'Authorization: L402 <macaroon>:<preimage>',
-                note: 'macaroon is the base64 string from the WWW-Authenticate header. preimage is the 64-char hex string your wallet returns after paying the invoice. Concatenate with a colon, no spaces.',
-            },
+    /**
+     * Who is asking, for challenge reuse: config.challengeClientKey(req).
+     * Never the client's address, which many clients can share.
+     *
+     * @param {http.IncomingMessage} req
+     * @returns {string|null}
+     */
+    function challengeClient(req) {
+        if (!(config.challengeReuseSeconds > 0) || typeof config.challengeClientKey !== 'function') return null;
+        return config.challengeClientKey(req) || null;
+    }
+
+    /**
+     * Invoice and macaroon for a challenge. A pooled invoice is used when the
+     * pool has one for the price. With config.challengeReuseSeconds, a client
+     * asking again for the same scope, price and terms within the window gets
+     * the pair it was already given, until a token for it is presented or the
+     * invoice settles.
+     *
+     * @param {string|null} clientKey - From challengeClient(); null never reuses
+     * @param {string|string[]} scope - What the token covers (see createMacaroon())
+     * @param {number} priceSats
+     * @param {string} memo - Invoice memo (pooled invoices have a generic one)
+     * @param {Object} [macaroonOptions] - createMacaroon() options
+     * @returns {Promise<{paymentHash: string, paymentRequest: string, macaroon: string}>}
+     */
+    function issueChallengeInvoice(clientKey, scope, priceSats, memo, macaroonOptions) {
+        const mint = async () => {
+            const pool = getInvoicePool();
+            const pooled = pool ? pool.take(priceSats) : null;
+            const { paymentHash, paymentRequest } = pooled || await createInvoice(priceSats, memo);
+            invoiceCounts[pooled ? 'pooled' : 'created']++;
+            return {
+                paymentHash: paymentHash,
+                paymentRequest: paymentRequest,
+                macaroon: createMacaroon(paymentHash, scope, undefined, priceSats, macaroonOptions),
+            };
         };
 
-        // Merge optional fields (consumption hints, player_url, etc.)
-        Object.assign(body, extra);
+        if (!clientKey || !(config.challengeReuseSeconds > 0)) return mint();
+        if (!challengeCache) {
+            challengeCache = invoices.createChallengeCache({ maxEntries: MAX_REUSED_CHALLENGES });
+        }
+        const key = JSON.stringify([clientKey, scope, priceSats, macaroonOptions || {}, config.location, config.tokenFormat]);
+        return challengeCache.reuse(key, config.challengeReuseSeconds, mint);
+    }
+
+    /**
+     * Stop reusing the challenge with this payment hash: it has been paid.
+     */
+    function forgetChallenge(paymentHash) {
+        if (challengeCache) challengeCache.forget(paymentHash);
+    }
 
-        res.end(JSON.stringify(body));
+    /**
+     * Invoice counters: invoices created on demand and taken from the pool,
+     * challenges reused, and what the pool has ready per price.
+     *
+     * @returns {{created: number, pooled: number, reused: number, pool: Object<string, {ready: number, size: number}>}}
+     */
+    function getInvoiceStats() {
+        const pool = getInvoicePool();
+        return {
+            created: invoiceCounts.created,
+            pooled: invoiceCounts.pooled,
+            reused: challengeCache ? challengeCache.stats().reused : 0,
+            pool: pool ? pool.stats() : {},
+        };
+    }
 
-        console.log(`[L402] Challenge issued: ${resourceId} (${CONFIG.priceSats} sats)`);
+    // ===========================================
+    // Rate Limiting
+    // ===========================================
 
-    } catch (err) {
-        console.error('[L402] Invoice creation failed:', err.message);
-        if (!res.headersSent) {
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Payment system unavailable' }));
+    /**
+     * config.rateLimit, parsed. Re-parsed if the setting changes.
+     *
+     * @returns {Object<string, {limit: number, windowSeconds: number}>} By scope
+     */
+    function getRateLimits() {
+        const source = JSON.stringify(config.rateLimit || null);
+        if (source !== rateLimitsSource) {
+            rateLimits = ratelimit.parseRateLimits(config.rateLimit);
+            rateLimitsSource = source;
         }
+        return rateLimits;
     }
-}
 
-// ===========================================
-// Token Inspection
-// ===========================================
+    /**
+     * The bucket store: config.rateLimitStore, or an in-memory one.
+     *
+     * @returns {RateLimitStore}
+     */
+    function getRateLimitStore() {
+        if (!rateLimitStore) {
+            rateLimitStore = ratelimit.createMemoryRateLimitStore();
+        }
+        return rateLimitStore;
+    }
 
-/**
- * Extract caveat info from a macaroon without verifying it.
- * Useful for client-side token management: check expiry before making a request,
- * pick the best unexpired token from a cache, decide whether to re-authenticate.
- *
+    /**
+     * The client's address: the connection's, or behind a proxy listed in
+     * config.trustedProxies, the one it forwarded in X-Forwarded-For.
+     *
+     * @param {http.IncomingMessage} req
+     * @returns {string|null}
+     */
+    function requestClientAddress(req) {
+        const source = JSON.stringify(config.trustedProxies || null);
+        if (source !== trustedProxiesSource) {
+            trustedProxies = ratelimit.parseTrustedProxies(config.trustedProxies);
+            trustedProxiesSource = source;
+        }
+        return ratelimit.clientAddress(req, trustedProxies);
+    }
+
+    /**
+     * A 429 if the request is over a limit in config.rateLimit, else null.
+     *
+     * With spend, one request is taken from the client's, the resource's and
+     * the global bucket: call it for requests about to get a 402. Without,
+     * only the client's bucket is checked and nothing is spent: call it before
+     * verifying a token, so a client that has run out can't keep guessing.
+     *
+     * @param {http.IncomingMessage} req
+     * @param {string} resourceId
+     * @param {boolean} spend
+     * @returns {Promise<L402Response|null>}
+     */
+    async function checkRateLimit(req, resourceId, spend) {
+        const limits = getRateLimits();
+        if (Object.keys(limits).length === 0) return null;
+
+        const client = requestClientAddress(req);
+        let limited;
+        try {
+            limited = spend
+                ? await ratelimit.takeRequest(getRateLimitStore(), limits, { client: client, resource: resourceId })
+                : await ratelimit.peekClient(getRateLimitStore(), limits, client);
+        } catch (err) {
+            // Fail open: a broken limiter shouldn't lock out paying clients
+            getLogger().error(`Rate limit store failed: ${err.message}`, { error: err.message });
+            return null;
+        }
+        if (limited.allowed) return null;
+
+        getLogger().info(`Rate limited (${limited.scope}): ${resourceId}`, {
+            resourceId: resourceId,
+            scope: limited.scope,
+            clientIp: client,
+        });
+        return rateLimitedResponse(resourceId, limited);
+    }
+
+    // ===========================================
+    // Root Keys
+    // ===========================================
+
+    /**
+     * The key ring for config.secret, config.keyId and config.retiredKeys,
+     * rebuilt if any of them change. Throws on an invalid configuration.
+     *
+     * @returns {Object} See lib/keys.js
+     */
+    function getKeyring() {
+        const source = [config.secret, config.keyId, config.retiredKeys];
+        if (!keyring || source.some((value, i) => value !== keyringSource[i])) {
+            keyring = keys.createKeyring({
+                secret: config.secret,
+                keyId: config.keyId,
+                retiredKeys: config.retiredKeys,
+            });
+            keyringSource = source;
+            // Results verified under the old keys must be verified again
+            if (tokenCache) tokenCache.clear();
+        }
+        return keyring;
+    }
+
+    /**
+     * Payment hash and root key for a decoded token. When several keys could
+     * have signed it (legacy and Aperture-format tokens), the one whose
+     * signature matches is chosen; if none does, verification fails on the first.
+     *
+     * @param {Object} token - From decodeToken()
+     * @returns {{paymentHash: string, keyId: string|null, rootKey: Buffer|string}}
+     */
+    function resolveRootKey(token) {
+        const parsed = token.identifier;
+        if (!parsed) {
+            throw l402Error(ERROR_CODES.TOKEN_MALFORMED, 'Unrecognized token identifier');
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const candidates = token.format === 'aperture'
+            ? getKeyring().derivedKeys(parsed.paymentHash, now)
+            : getKeyring().verificationKeys(parsed, now).map(rootKey => ({ keyId: parsed.keyId, rootKey }));
+        const match = candidates.length === 1
+            ? candidates[0]
+            : (candidates.find(candidate => token.signatureMatches(candidate.rootKey)) || candidates[0]);
+
+        return { paymentHash: parsed.paymentHash, keyId: match.keyId, rootKey: match.rootKey };
+    }
+
+    /**
+     * Key IDs in the ring and the retired keys' cutoffs (no secrets).
+     *
+     * @returns {{active: string, retired: Array<{id: string, validUntil: number}>}}
+     */
+    function describeKeys() {
+        return getKeyring().describe();
+    }
+
+    // ===========================================
+    // Macaroon Functions
+    // ===========================================
+
+    /**
+     * Create a macaroon for accessing a specific resource.
+     *
+     * The identifier is "<keyId>:<paymentHash>", cryptographically binding
+     * this credential to a specific Lightning payment. The preimage (proof of
+     * payment) is needed to use the token. It is signed with a root key
+     * derived from the active secret and the payment hash (see lib/keys.js).
+     *
+     * In the 'aperture' format (config.tokenFormat or options.format) the
+     * token is a V2 binary macaroon with Aperture's identifier (version,
+     * payment hash, random token ID), `services = <service>:0` in place of
+     * service and `<service>_valid_until` in place of expires_at, all caveats
+     * written "key=value". See lib/aperture.js.
+     *
+     * Caveats:
+     * - resource_id: restricts token to one resource (exact match)
+     * - scope: in place of resource_id, restricts token to a list of IDs, a
+     *   glob such as 'collection/2025/*', or 'bundle:<name>'
+     * - expires_at: Unix timestamp after which the token is invalid
+     * - service: identifies the service that issued the token
+     * - price_sats: amount paid for the token, so a cheap token can't be
+     *   presented for a more expensive resource
+     * - capabilities: what the token may be used for (options.capabilities),
+     *   checked when the route names a capability
+     *
+     * @param {string} paymentHash - Lightning payment hash (hex)
+     * @param {string|string[]} resourceId - Resource being purchased, or a scope (see above)
+     * @param {string} [service] - Service identifier (default: config.location)
+     * @param {number} [priceSats] - Amount paid for the token (default: config.priceSats)
+     * @param {Object} [options]
+     * @param {number} [options.expirySeconds] - Token validity (default: config.expirySeconds)
+     * @param {string[]} [options.caveats] - Extra caveats to append, e.g. ['tier = day-pass']
+     * @param {string[]} [options.capabilities] - Capabilities granted, e.g. ['preview', 'stream']
+     * @param {string} [options.format] - 'toolkit' or 'aperture' (default: config.tokenFormat)
+     * @returns {string} Base64-encoded serialized macaroon
+     */
+    function createMacaroon(paymentHash, resourceId, service, priceSats, options) {
+        const expirySeconds = (options && options.expirySeconds) || config.expirySeconds;
+        const expiresAt = Math.floor(Date.now() / 1000) + expirySeconds;
+        const format = (options && options.format) || config.tokenFormat || 'toolkit';
+        const capabilities = options && options.capabilities && options.capabilities.length > 0
+            ? options.capabilities.join(',')
+            : null;
+
+        const { identifier, rootKey } = getKeyring().signingKey(paymentHash);
+        const scope = caveatRegistry.scopeCaveat(resourceId);
+
+        if (format === 'aperture') {
+            const serviceName = service || config.location;
+            if (!/^[^\s:,=]+$/.test(serviceName)) {
+                throw new Error(`Service name '${serviceName}' can't be used in an Aperture services caveat`);
+            }
+            return aperture.mint({
+                rootKey: rootKey,
+                location: config.location,
+                identifier: aperture.encodeIdentifier(paymentHash),
+                caveats: [
+                    `services=${serviceName}:0`,
+                    ...(capabilities ? [`${serviceName}_capabilities=${capabilities}`] : []),
+                    `${serviceName}_valid_until=${expiresAt}`,
+                    `${scope.key}=${scope.value}`,
+                    `price_sats=${priceSats || config.priceSats}`,
+                    ...((options && options.caveats) || []).map(compactCaveat),
+                ],
+            });
+        }
+        if (format !== 'toolkit') {
+            throw new Error(`Unknown token format '${format}'`);
+        }
+
+        let builder = new MacaroonsBuilder(
+            config.location,
+            rootKey,
+            identifier
+        )
+            .add_first_party_caveat(`${scope.key} = ${scope.value}`)
+            .add_first_party_caveat(`expires_at = ${expiresAt}`)
+            .add_first_party_caveat(`service = ${service || config.location}`);
+
+        // Before price_sats, so a token used beyond its capabilities is told
+        // which one it lacks rather than that it paid too little
+        if (capabilities) {
+            builder = builder.add_first_party_caveat(`capabilities = ${capabilities}`);
+        }
+        builder = builder.add_first_party_caveat(`price_sats = ${priceSats || config.priceSats}`);
+
+        for (const caveat of (options && options.caveats) || []) {
+            builder = builder.add_first_party_caveat(caveat);
+        }
+
+        return builder.getMacaroon().serialize();
+    }
+
+    /**
+     * Verify a macaroon and all its caveats.
+     *
+     * Verification checks, in this order:
+     * 1. HMAC signature chain is valid (proves token was issued by this server)
+     *    under its key — the active key, or a retired one before its cutoff.
+     *    Until it is, nothing else about the token is reported
+     * 2. SHA256(preimage) === macaroon identifier (proves payment)
+     * 3. resource_id is the requested resource, and scope covers it (list
+     *    entry, glob, or member of a named bundle)
+     * 4. Token has not expired
+     * 5. Amount paid covers the resource's current price, unless the token
+     *    is a pass (tier caveat) — a pass covers its whole scope
+     * 6. Every other caveat is satisfied (see lib/caveats.js): method,
+     *    path_prefix, client_ip, max_bytes, not_before and custom caveats
+     *    registered with registerCaveat()
+     * 7. The payment hash is not on the revocation list (see revokeToken())
+     *
+     * Toolkit and Aperture-format tokens are both accepted, whatever
+     * config.tokenFormat says; the format is detected from the token.
+     *
+     * Caveats added by client-side attenuation are enforced like the server's
+     * own. Caveats with no registered satisfier are accepted, unless
+     * config.strictCaveats is set, in which case they are rejected.
+     *
+     * Request-bound caveats (method, path_prefix, client_ip) need options.req;
+     * without it they fail closed.
+     *
+     * Tokens minted before the price_sats caveat existed are treated as paid at
+     * config.priceSats, which is what they were issued for.
+     *
+     * @param {string} macaroonB64 - Base64-encoded serialized macaroon
+     * @param {string} preimageHex - Payment preimage (64-char hex)
+     * @param {string} requestedResourceId - Resource ID from the request
+     * @param {Object} [options]
+     * @param {number} [options.priceSats] - Price of the requested resource (default: config.priceSats)
+     * @param {http.IncomingMessage} [options.req] - Request being authorized, for request-bound caveats
+     * @param {number} [options.contentLength] - Response body size, for max_bytes
+     * @param {Object<string, string[]>} [options.bundles] - Bundle members already resolved, by name.
+     *   Bundles not listed here are resolved by calling the bundle resolver synchronously.
+     * @param {string[]} [options.discharges] - Discharge macaroons for third-party caveats,
+     *   bound to the token (the extra macaroons of an Authorization header)
+     * @param {string} [options.capability] - Capability the request needs, checked against
+     *   the token's capabilities caveat
+     * @param {Object} [options.context] - Extra fields passed to custom caveat satisfiers
+     * @returns {{valid: boolean, error?: string, error_code?: string, revoked?: boolean, upgrade?: {from: string[], to: string},
+     *   resourceId?: string, scope?: string, expiresAt?: number, priceSats?: number, caveats?: string[], format?: string}}
+     *   error_code is one of ERROR_CODES (lib/errors.js); upgrade is set when
+     *   the token lacks the requested capability
+     */
+    function verifyMacaroon(macaroonB64, preimageHex, requestedResourceId, options) {
+        const requiredPriceSats = (options && options.priceSats) || config.priceSats;
+
+        let token;
+        try {
+            token = decodeToken(macaroonB64, options && options.discharges);
+        } catch (err) {
+            return { valid: false, error: err.message, error_code: ERROR_CODES.TOKEN_MALFORMED };
+        }
+
+        // The error a satisfier threw, to tell a failed caveat from a bad signature
+        let rejection = null;
+
+        try {
+            const { paymentHash, rootKey } = resolveRootKey(token);
+
+            // The signature chain first: until it holds, the caveats are
+            // whatever a forger wrote, and what they fail on says nothing
+            if (!token.signatureMatches(rootKey)) {
+                return { valid: false, error: 'Macaroon signature does not match', error_code: ERROR_CODES.SIGNATURE_INVALID };
+            }
+
+            // Verify preimage matches payment hash (from the macaroon identifier).
+            // This is the cryptographic proof that the Lightning invoice was paid.
+            const computedHash = crypto
+                .createHash('sha256')
+                .update(Buffer.from(preimageHex, 'hex'))
+                .digest('hex');
+
+            if (computedHash !== paymentHash) {
+                return { valid: false, error: 'Invalid preimage — payment not verified', error_code: ERROR_CODES.PREIMAGE_MISMATCH };
+            }
+
+            const context = caveatRegistry.createCaveatContext({
+                req: options && options.req,
+                resourceId: requestedResourceId,
+                priceSats: requiredPriceSats,
+                contentLength: options && options.contentLength,
+                bundles: options && options.bundles,
+                resolveBundle: bundleResolver,
+                passes: passes,
+                tokenCaveats: token.caveats,
+                capability: options && options.capability,
+                clientIp: options && options.req ? requestClientAddress(options.req) : undefined,
+                extra: options && options.context,
+            });
+            const tokenCaveats = [];
+
+            // Check every caveat (verify() walks the signature chain again)
+            token.verify(rootKey, (caveat) => {
+                tokenCaveats.push(caveat);
+                try {
+                    return caveats.satisfy(caveat, context, config.strictCaveats);
+                } catch (err) {
+                    rejection = err;
+                    throw err;
+                }
+            });
+
+            const info = caveatRegistry.summarizeCaveats(tokenCaveats);
+
+            const revoked = checkRevoked(paymentHash, info.expiresAt);
+            if (revoked) {
+                return { valid: false, error: revoked, error_code: ERROR_CODES.REVOKED, revoked: true };
+            }
+
+            let tokenPriceSats = info.priceSats;
+
+            // Legacy tokens (no price_sats caveat) were minted at the default price
+            if (tokenPriceSats === null) {
+                tokenPriceSats = config.priceSats;
+                if (tokenPriceSats < requiredPriceSats) {
+                    return {
+                        valid: false,
+                        error: `Token paid ${tokenPriceSats} sats, but this resource costs ${requiredPriceSats} sats`,
+                        error_code: ERROR_CODES.CAVEAT_UNSATISFIED,
+                    };
+                }
+            }
+
+            return {
+                valid: true,
+                resourceId: requestedResourceId,
+                scope: info.resourceId,
+                tier: context.pass ? info.tier : null,
+                maxUses: info.maxUses,
+                expiresAt: info.expiresAt,
+                paymentHash: paymentHash,
+                priceSats: tokenPriceSats,
+                caveats: tokenCaveats,
+                format: token.format,
+            };
+
+        } catch (err) {
+            const failure = {
+                valid: false,
+                error: err.message,
+                error_code: codeOf(err, err === rejection ? ERROR_CODES.CAVEAT_UNSATISFIED : ERROR_CODES.SIGNATURE_INVALID),
+            };
+            if (err.upgrade) failure.upgrade = err.upgrade;
+            return failure;
+        }
+    }
+
+    /**
+     * Register a satisfier for a custom caveat (or override a built-in one).
+     *
+     * The satisfier gets the caveat value and the verification context
+     * ({ now, resourceId, priceSats, req, method, path, clientIp, range,
+     * contentLength, ...options.context }) and returns true to accept. Throw an
+     * Error to reject with a specific message. Must be synchronous.
+     *
+     * Usage:
+     *   l402.registerCaveat('account', (value, ctx) => ctx.accountId === value);
+     *   await l402.handleL402Auth(req, res, id, { context: { accountId: user.id } });
+     *
+     * @param {string} key - Caveat key
+     * @param {function(string, Object): boolean} satisfier
+     */
+    function registerCaveat(key, satisfier) {
+        caveats.register(key, satisfier);
+        if (tokenCache) tokenCache.clear();
+    }
+
+    /**
+     * Set the function that resolves named bundles (scope = bundle:<name>).
+     *
+     * The resolver returns the bundle's resource IDs or globs, or null for an
+     * unknown bundle. It may be async; checkL402Auth() awaits it before
+     * verification. Direct verifyMacaroon() calls need it synchronous, or the
+     * members passed in as options.bundles.
+     *
+     * Usage:
+     *   l402.setBundleResolver(async (name) => db.bundleItems(name));
+     *
+     * @param {function(string): (string[]|null|Promise<string[]|null>)|null} resolver
+     */
+    function setBundleResolver(resolver) {
+        if (resolver !== null && typeof resolver !== 'function') {
+            throw new Error('Bundle resolver must be a function');
+        }
+        bundleResolver = resolver;
+    }
+
+    /**
+     * Resolve every bundle a token refers to, awaiting async resolvers.
+     * Unparseable tokens resolve to no bundles; verifyMacaroon() rejects them.
+     *
+     * @param {string} macaroonB64
+     * @returns {Promise<Object<string, string[]>>}
+     */
+    async function resolveTokenBundles(macaroonB64) {
+        const resolved = {};
+        if (!bundleResolver) return resolved;
+
+        let tokenCaveats;
+        try {
+            tokenCaveats = decodeToken(macaroonB64).caveats;
+        } catch (err) {
+            return resolved;
+        }
+
+        for (const name of caveatRegistry.bundleNames(tokenCaveats)) {
+            resolved[name] = (await bundleResolver(name)) || null;
+        }
+        return resolved;
+    }
+
+    // ===========================================
+    // Verified-Token Cache
+    // ===========================================
+
+    /**
+     * The verified-token cache (lib/token-cache.js), or null when
+     * config.tokenCacheSize is 0. Rebuilt, empty, if the size changes.
+     *
+     * @returns {Object|null}
+     */
+    function getTokenCache() {
+        const size = config.tokenCacheSize === undefined ? DEFAULTS.tokenCacheSize : config.tokenCacheSize;
+        if (size !== tokenCacheSize) {
+            tokenCache = size > 0 ? createTokenCache({ maxEntries: size }) : null;
+            tokenCacheSize = size;
+        }
+        return tokenCache;
+    }
+
+    /**
+     * A cached successful verification, or null. A hit costs a hash and a
+     * map lookup; the revocation list is still checked, so revoking a token
+     * takes effect at once.
+     *
+     * @param {string} key - From tokenCacheKey()
+     * @returns {Object|null} verifyMacaroon() result
+     */
+    function cachedVerification(key) {
+        getKeyring(); // Empties the cache if the secret or keys changed
+        const cached = getTokenCache().get(key, Math.floor(Date.now() / 1000));
+        if (!cached) return null;
+
+        const revoked = checkRevoked(cached.paymentHash, cached.expiresAt);
+        if (revoked) {
+            getTokenCache().delete(key);
+            return { valid: false, error: revoked, error_code: ERROR_CODES.REVOKED, revoked: true };
+        }
+        return { valid: true, ...cached, caveats: [...cached.caveats] };
+    }
+
+    /**
+     * Remember a successful verification until the token expires, or until
+     * the earliest retired key's cutoff if that comes first. Only tokens
+     * whose every caveat is cacheable (lib/caveats.js) are kept: anything
+     * bound to the request (method, path_prefix, client_ip, max_bytes),
+     * bundle scopes and custom caveats are verified every time. So are
+     * legacy tokens without price_sats, which are checked against
+     * config.priceSats.
+     *
+     * @param {string} key - From tokenCacheKey()
+     * @param {Object} result - verifyMacaroon() result
+     */
+    function cacheVerification(key, result) {
+        if (!result.valid || !result.expiresAt) return;
+        if (!result.caveats.every(caveat => caveats.isCacheable(caveat))) return;
+        if (!result.caveats.some(caveat => caveatRegistry.parseCaveat(caveat).key === 'price_sats')) return;
+
+        const now = Math.floor(Date.now() / 1000);
+        const cutoffs = getKeyring().describe().retired.map(retired => retired.validUntil).filter(cutoff => cutoff >= now);
+        const { valid, ...token } = result;
+        getTokenCache().set(key, token, Math.min(result.expiresAt, ...cutoffs));
+    }
+
+    /**
+     * Verified-token cache counters: entries held, the limit
+     * (config.tokenCacheSize), hits, misses and LRU evictions. All zero when
+     * the cache is disabled.
+     *
+     * @returns {{size: number, maxEntries: number, hits: number, misses: number, evictions: number}}
+     */
+    function getTokenCacheStats() {
+        const cache = getTokenCache();
+        return cache ? cache.stats() : { size: 0, maxEntries: 0, hits: 0, misses: 0, evictions: 0 };
+    }
+
+    // ===========================================
+    // L402 Auth Handler
+    // ===========================================
+
+    /**
+     * Check L402 authorization for a resource request.
+     *
+     * Call this in your route handler. It returns true if the request is authorized
+     * (caller should serve the resource). Returns false if not authorized — in that
+     * case, a 402 Payment Required response has already been sent.
+     *
+     * On success the verified token is attached as `req.l402`
+     * ({ paymentHash, resourceId, expiresAt, priceSats, caveats }).
+     *
+     * With config.rateLimit, a client over its limit gets a 429 with
+     * Retry-After instead of the 402, and no invoice is created.
+     *
+     * Usage:
+     *   const authorized = await l402.handleL402Auth(req, res, 'my-resource-id');
+     *   if (!authorized) return; // 402 already sent
+     *   // Serve the resource...
+     *
+     * With consumption hints:
+     *   const authorized = await l402.handleL402Auth(req, res, 'video-123', {
+     *       consumption: { type: 'browser', action: 'Open the player URL' },
+     *       player_url: 'https://example.com/player?v={resource_id}&token={token}',
+     *   });
+     *
+     * With per-resource or dynamic pricing:
+     *   await l402.handleL402Auth(req, res, 'dataset-42', { price: 250 });
+     *   await l402.handleL402Auth(req, res, id, {
+     *       price: async (req, resourceId) => lookupPrice(resourceId),
+     *   });
+     *
+     * Selling prepaid credits (100 calls for 500 sats). Each success sets
+     * L402-Credits-Remaining and L402-Credits-Limit on the response:
+     *   await l402.handleL402Auth(req, res, 'search-api', { price: 500, credits: 100 });
+     *
+     * Pricing each way of using a resource. The token lists the capability
+     * bought and every cheaper one; a stream token on the download route gets
+     * a 402 whose `upgrade` field offers download:
+     *   await l402.handleL402Auth(req, res, id, {
+     *       capabilities: { preview: 5, stream: 50, download: 200 },
+     *       capability: url.searchParams.get('mode') || 'stream',
+     *   });
+     *
+     * Offering a bundle alongside the single item:
+     *   await l402.handleL402Auth(req, res, 'episode-3', {
+     *       price: 100,
+     *       bundle: { id: 'season-1', price: 800, description: 'All 10 episodes' },
+     *   });
+     *
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @param {string} resourceId - Identifier for the resource being requested
+     * @param {Object} [options] - Optional fields to include in 402 responses (consumption hints, etc.)
+     * @param {number|Function} [options.price] - Price in sats, or a (req, resourceId) => sats
+     *   function that may be async (default: config.priceSats)
+     * @param {Object|Function} [options.bundle] - Bundle to offer in the 402 (see buildL402Challenge()),
+     *   or a (req, resourceId) => offer|null function that may be async
+     * @param {Object<string, number|Object>} [options.capabilities] - Price per capability:
+     *   name -> sats, or name -> { price, description }. Replaces options.price.
+     * @param {string|Function} [options.capability] - Capability this request needs, or a
+     *   (req, resourceId) => name function that may be async (default: the first in the table).
+     *   An unknown capability gets a 400.
+     * @param {number} [options.credits] - Sell a metered token: N uses for the price (max_uses caveat)
+     * @param {number} [options.cost] - Uses a metered token spends on this request (default: 1)
+     * @param {number} [options.contentLength] - Response body size, for max_bytes caveats
+     * @param {boolean} [options.setTokenCookie] - Override config.setTokenCookie for this route
+     * @param {string} [options.cookiePath] - Path of the token cookie (default: the request's directory)
+     * @param {string} [options.title] - Resource title for the HTML paywall page
+     * @param {boolean} [options.paywallPage] - Override config.paywallPage for this route
+     * @param {Object} [options.context] - Extra fields passed to custom caveat satisfiers
+     * @returns {Promise<boolean>} true if authorized, false if 402 sent
+     */
+    async function handleL402Auth(req, res, resourceId, options) {
+        const result = await checkL402Auth(req, resourceId, options);
+
+        if (result.authorized) {
+            req.l402 = result.token;
+            for (const [name, value] of Object.entries(result.headers)) {
+                res.setHeader(name, value);
+            }
+            return true;
+        }
+
+        writeResponse(res, result.response);
+        return false;
+    }
+
+    /**
+     * Check L402 authorization without writing a response.
+     *
+     * Same logic as handleL402Auth(), but the 402/429/500 response is returned as
+     * plain data for the caller to send. The framework adapters in
+     * lib/middleware.js use this to respond through each framework's own API.
+     *
+     * @param {http.IncomingMessage} req - Reads req.headers and req.url (for query-param tokens)
+     * @param {string} resourceId
+     * @param {Object} [options] - Same as handleL402Auth()
+     * @returns {Promise<{authorized: true, token: L402Token, headers: Object<string, string>}|{authorized: false, response: L402Response}>}
+     *   On success, `headers` holds headers to send with the resource: the credit headers
+     *   (metered tokens) and Set-Cookie (token cookie). A 402 for a browser is
+     *   the HTML paywall page (see negotiateChallenge()).
+     */
+    async function checkL402Auth(req, resourceId, options) {
+        const { title, paywallPage, ...authOptions } = options || {};
+        const result = await authorizeRequest(req, resourceId, authOptions);
+        if (!result.authorized) {
+            result.response = negotiateChallenge(req, result.response, {
+                title,
+                paywallPage,
+                setTokenCookie: authOptions.setTokenCookie,
+            });
+        }
+        return result;
+    }
+
+    /**
+     * checkL402Auth() without content negotiation: the 402 is always JSON.
+     */
+    async function authorizeRequest(req, resourceId, options) {
+        // These options drive verification; everything else goes into the 402 body
+        const { contentLength, context, cost, setTokenCookie, cookiePath, ...challengeOptions } = options || {};
+        const started = performance.now();
+
+        const found = extractToken(req, config);
+        const auth = found ? parseAuthorization(found.header) : null;
+
+        let price, bundle;
+        let capability = null;
+
+        // Every refusal is an accessDenied event. A request without a token
+        // getting its 402 isn't refused, just challenged (challengeIssued).
+        const deny = (response) => {
+            if (hooks.has('accessDenied')) {
+                hooks.emit('accessDenied', {
+                    resourceId: resourceId,
+                    status: response.status,
+                    errorCode: response.body.error_code || null,
+                    reason: response.body.message || response.body.error,
+                    paymentHash: auth && !auth.error ? presentedPaymentHash(auth.macaroon) : null,
+                    priceSats: price === undefined ? null : price,
+                    capability: capability ? capability.name : null,
+                    clientIp: requestClientAddress(req),
+                    tokenSource: auth ? found.source : null,
+                    latencyMs: elapsedSince(started),
+                });
+            }
+            return { authorized: false, response };
+        };
+
+        try {
+            if (challengeOptions.capabilities) {
+                const requested = typeof challengeOptions.capability === 'function'
+                    ? await challengeOptions.capability(req, resourceId)
+                    : challengeOptions.capability;
+                capability = selectCapability(challengeOptions.capabilities, requested);
+                if (!capability) {
+                    return deny(jsonResponse(400, {
+                        error: `Unknown capability '${requested}'`,
+                        capabilities: Object.keys(challengeOptions.capabilities),
+                    }));
+                }
+            }
+            price = capability ? capability.price : await resolvePrice(challengeOptions.price, req, resourceId);
+            bundle = typeof challengeOptions.bundle === 'function'
+                ? await challengeOptions.bundle(req, resourceId)
+                : challengeOptions.bundle;
+        } catch (err) {
+            getLogger().error(`Pricing failed for ${resourceId}: ${err.message}`, { resourceId: resourceId, error: err.message });
+            return deny(unavailableResponse('Pricing unavailable'));
+        }
+        options = {
+            ...challengeOptions,
+            price,
+            bundle,
+            capability: capability ? capability.name : undefined,
+            clientKey: challengeClient(req),
+        };
+
+        // Every 402 below costs an invoice, so it spends from the rate limits first
+        const challenge = async (challengeFields) => {
+            const response = await checkRateLimit(req, resourceId, true)
+                || await buildL402Challenge(resourceId, { ...options, ...challengeFields, req: req });
+            return auth || response.status !== 402 ? deny(response) : { authorized: false, response };
+        };
+
+        if (auth) {
+            if (auth.error) {
+                return challenge({ error: auth.error, errorCode: ERROR_CODES.TOKEN_MALFORMED });
+            }
+
+            const macaroonB64 = auth.macaroon;
+            const preimageHex = auth.preimage;
+
+            const cacheKey = getTokenCache() ? tokenCacheKey({
+                macaroon: macaroonB64,
+                discharges: auth.discharges,
+                preimage: preimageHex,
+                resourceId: resourceId,
+                priceSats: price,
+                capability: capability ? capability.name : undefined,
+            }) : null;
+            let result = cacheKey ? cachedVerification(cacheKey) : null;
+            const cached = Boolean(result);
+
+            if (!result) {
+                const limited = await checkRateLimit(req, resourceId, false);
+                if (limited) {
+                    return deny(limited);
+                }
+
+                let bundles;
+                try {
+                    bundles = await resolveTokenBundles(macaroonB64);
+                } catch (err) {
+                    getLogger().error(`Bundle lookup failed for ${resourceId}: ${err.message}`, { resourceId: resourceId, error: err.message });
+                    return deny(unavailableResponse('Bundle lookup unavailable'));
+                }
+
+                result = verifyMacaroon(macaroonB64, preimageHex, resourceId, {
+                    priceSats: price,
+                    req: req,
+                    contentLength: contentLength,
+                    bundles: bundles,
+                    discharges: auth.discharges,
+                    capability: capability ? capability.name : undefined,
+                    context: context,
+                });
+                if (cacheKey) cacheVerification(cacheKey, result);
+            }
+
+            if (result.valid) {
+                const { valid, ...token } = result;
+                const headers = {};
+                forgetChallenge(token.paymentHash);
+
+                if (token.maxUses) {
+                    let usage;
+                    try {
+                        usage = await meterUsage(token, cost);
+                    } catch (err) {
+                        getLogger().error(`Usage metering failed for ${resourceId}: ${err.message}`, {
+                            resourceId: resourceId,
+                            paymentHash: token.paymentHash,
+                            error: err.message,
+                        });
+                        return deny(unavailableResponse('Usage metering unavailable'));
+                    }
+
+                    if (!usage.allowed) {
+                        getLogger().info(`Access denied for ${resourceId}: no credits left`, {
+                            resourceId: resourceId,
+                            paymentHash: token.paymentHash,
+                        });
+                        return challenge({
+                            error: 'Token has no credits left — pay for a new token, or top it up',
+                            errorCode: ERROR_CODES.CAVEAT_UNSATISFIED,
+                            credits_remaining: usage.remaining,
+                        });
+                    }
+
+                    token.creditsRemaining = usage.remaining;
+                    headers['L402-Credits-Remaining'] = String(usage.remaining);
+                    headers['L402-Credits-Limit'] = String(usage.limit);
+                }
+
+                const wantsCookie = setTokenCookie !== undefined ? setTokenCookie : config.setTokenCookie;
+                if (wantsCookie && found.source !== 'cookie') {
+                    headers['Set-Cookie'] = formatTokenCookie(config.tokenCookieName || 'l402_token', auth, {
+                        path: cookiePath || defaultCookiePath(req),
+                        expiresAt: token.expiresAt,
+                        secure: isSecureRequest(req),
+                    });
+                }
+
+                getLogger().info(`Access granted: ${resourceId}`, { resourceId: resourceId, paymentHash: token.paymentHash });
+                hooks.emit('accessGranted', {
+                    resourceId: resourceId,
+                    paymentHash: token.paymentHash,
+                    priceSats: token.priceSats,
+                    capability: capability ? capability.name : null,
+                    tier: token.tier,
+                    creditsRemaining: token.creditsRemaining === undefined ? null : token.creditsRemaining,
+                    expiresAt: token.expiresAt,
+                    clientIp: requestClientAddress(req),
+                    tokenSource: found.source,
+                    cached: cached,
+                    latencyMs: elapsedSince(started),
+                });
+                return { authorized: true, token, headers };
+            } else {
+                getLogger().info(`Access denied for ${resourceId}: ${result.error}`, {
+                    resourceId: resourceId,
+                    errorCode: result.error_code,
+                });
+                if (result.upgrade && capability) {
+                    return challenge({
+                        error: `This token covers ${result.upgrade.from.join(', ')}. ${capability.name} costs ${capability.price} sats — pay the invoice below for a ${capability.name} token`,
+                        errorCode: result.error_code,
+                        upgrade: { from: result.upgrade.from, to: capability.name, price_sats: capability.price },
+                    });
+                }
+                return challenge({ error: result.error, errorCode: result.error_code });
+            }
+        }
+
+        // No token provided — issue challenge
+        return challenge();
+    }
+
+    /**
+     * Payment hash of a presented macaroon, for accessDenied events; null if
+     * it doesn't decode.
+     */
+    function presentedPaymentHash(macaroonB64) {
+        const info = getTokenInfo(macaroonB64);
+        return info ? info.paymentHash : null;
+    }
+
+    /**
+     * Resolve the `price` option of handleL402Auth() to a whole number of sats.
+     *
+     * @param {number|Function} [price] - Fixed price or pricing function
+     * @param {http.IncomingMessage} req
+     * @param {string} resourceId
+     * @returns {Promise<number>}
+     */
+    async function resolvePrice(price, req, resourceId) {
+        const sats = typeof price === 'function'
+            ? await price(req, resourceId)
+            : (price === undefined || price === null ? config.priceSats : price);
+
+        if (!Number.isInteger(sats) || sats <= 0) {
+            throw new Error(`Invalid price for ${resourceId}: ${sats}`);
+        }
+        return sats;
+    }
+
+    /**
+     * Content negotiation for a 402: a browser (Accept prefers text/html) gets
+     * the HTML paywall page, with the same status and WWW-Authenticate;
+     * everyone else gets the JSON challenge unchanged. Other responses pass
+     * through.
+     *
+     * @param {http.IncomingMessage} req
+     * @param {L402Response} response - From buildL402Challenge()
+     * @param {Object} [options]
+     * @param {string} [options.title] - Resource title for the page
+     * @param {boolean} [options.paywallPage] - Override config.paywallPage
+     * @param {boolean} [options.setTokenCookie] - Override config.setTokenCookie
+     * @returns {L402Response}
+     */
+    function negotiateChallenge(req, response, options) {
+        const { title, paywallPage, setTokenCookie } = options || {};
+        const enabled = paywallPage !== undefined ? paywallPage : config.paywallPage;
+        if (!enabled || response.status !== 402 || !response.body.invoice) {
+            return response;
+        }
+
+        // The body depends on Accept, so caches must keep the two apart
+        const headers = { ...response.headers, 'Vary': 'Accept' };
+        if (!paywall.prefersHtml(req)) {
+            return { ...response, headers };
+        }
+
+        const sources = parseTokenSources(config.tokenSources);
+        const wantsCookie = setTokenCookie !== undefined ? setTokenCookie : config.setTokenCookie;
+        return {
+            status: 402,
+            headers: { ...headers, 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' },
+            body: paywall.renderPaywallPage(response.body, {
+                title: title,
+                queryParam: sources.includes('query') ? (config.tokenQueryParam || 'token') : null,
+                tokenCookie: Boolean(wantsCookie) && sources.includes('cookie'),
+            }),
+        };
+    }
+
+    /**
+     * Send HTTP 402 Payment Required with a Lightning invoice.
+     *
+     * The response includes:
+     * - WWW-Authenticate header with macaroon and invoice (per L402 spec)
+     * - JSON body with human/machine-readable payment instructions, or the
+     *   HTML paywall page when the request prefers text/html
+     * - Optional consumption hints and other fields from the options object
+     *
+     * A request over config.rateLimit gets a 429 instead, with no invoice.
+     *
+     * @param {http.ServerResponse} res
+     * @param {string} resourceId
+     * @param {string|Object} [errorOrOptions] - Error string (backward compat) or options object
+     * @param {string} [errorOrOptions.error] - Error message for invalid token attempts
+     * @param {string} [errorOrOptions.errorCode] - error_code for the body, one of ERROR_CODES
+     * @param {number} [errorOrOptions.price] - Price to invoice in sats (default: config.priceSats)
+     * @param {number} [errorOrOptions.credits] - Mint a metered token good for this many uses
+     * @param {Object} [errorOrOptions.capabilities] - Price per capability (see handleL402Auth());
+     *   the token grants errorOrOptions.capability and every cheaper one
+     * @param {string} [errorOrOptions.capability] - Capability to sell (default: the first)
+     * @param {Object} [errorOrOptions.bundle] - Bundle purchase to offer alongside the single item
+     * @param {string} [errorOrOptions.bundle.id] - Named bundle, resolved by the bundle resolver
+     * @param {string|string[]} [errorOrOptions.bundle.scope] - Or an explicit scope: IDs and/or globs
+     * @param {number} errorOrOptions.bundle.price - Bundle price in sats
+     * @param {string} [errorOrOptions.bundle.description] - Shown to the buyer
+     * @param {string} [errorOrOptions.clientKey] - Who is asking, for challenge reuse
+     *   (config.challengeReuseSeconds). Filled in from the request when there is one.
+     * @param {http.IncomingMessage} [errorOrOptions.req] - The request, for the clientIp of the
+     *   challengeIssued event. Filled in from res.req when there is one.
+     * @param {Object} [errorOrOptions.consumption] - Consumption hints (type, action, player_url, etc.)
+     * @param {string} [errorOrOptions.player_url] - URL template for browser-based consumption
+     * @param {string} [errorOrOptions.player_note] - Instructions for using the player URL
+     * @param {string} [errorOrOptions.title] - Resource title for the HTML paywall page
+     * @param {boolean} [errorOrOptions.paywallPage] - Override config.paywallPage
+     */
+    async function sendL402Challenge(res, resourceId, errorOrOptions) {
+        const { title, paywallPage, ...options } = errorOrOptions && typeof errorOrOptions === 'object'
+            ? errorOrOptions
+            : { error: errorOrOptions };
+        if (res.req && options.clientKey === undefined) options.clientKey = challengeClient(res.req);
+        if (res.req && options.req === undefined) options.req = res.req;
+        const response = (res.req && await checkRateLimit(res.req, resourceId, true))
+            || await buildL402Challenge(resourceId, options);
+        // Node sets res.req on http.ServerResponse; without it there's no Accept to negotiate
+        writeResponse(res, res.req ? negotiateChallenge(res.req, response, { title, paywallPage }) : response);
+    }
+
+    /**
+     * Build the 402 challenge (invoice + macaroon) as plain data.
+     * Returns a 500 response instead if the invoice can't be created.
+     *
+     * @param {string} resourceId
+     * @param {string|Object} [errorOrOptions] - Same as sendL402Challenge()
+     * @returns {Promise<L402Response>}
+     */
+    async function buildL402Challenge(resourceId, errorOrOptions) {
+        // Backward compat: string arg is the error message, object arg is options
+        let error, errorCode, price, bundle, credits, capabilities, capability, clientKey, req, extra;
+        if (typeof errorOrOptions === 'string') {
+            error = errorOrOptions;
+            extra = {};
+        } else if (errorOrOptions && typeof errorOrOptions === 'object') {
+            ({ error, errorCode, price, bundle, credits, capabilities, capability, clientKey, req, ...extra } = errorOrOptions);
+        } else {
+            extra = {};
+        }
+        const started = performance.now();
+
+        let selected = null;
+        if (capabilities) {
+            try {
+                selected = selectCapability(capabilities, capability);
+                if (!selected) throw new Error(`Unknown capability '${capability}'`);
+            } catch (err) {
+                getLogger().error(`Invalid capabilities for ${resourceId}: ${err.message}`, { resourceId: resourceId, error: err.message });
+                return unavailableResponse('Payment system unavailable');
+            }
+        }
+        const priceSats = selected ? selected.price : (price || config.priceSats);
+
+        if (credits !== undefined && credits !== null && (!Number.isInteger(credits) || credits <= 0)) {
+            getLogger().error(`Invalid credits for ${resourceId}: ${credits}`, { resourceId: resourceId });
+            return unavailableResponse('Payment system unavailable');
+        }
+
+        // A bad bundle option is a config error: catch it before any invoice
+        let bundleScope = null;
+        if (bundle) {
+            try {
+                bundleScope = bundleOfferScope(bundle);
+            } catch (err) {
+                getLogger().error(`Invalid bundle for ${resourceId}: ${err.message}`, { resourceId: resourceId, error: err.message });
+                return unavailableResponse('Payment system unavailable');
+            }
+        }
+
+        try {
+            const { paymentHash, paymentRequest, macaroon } = await issueChallengeInvoice(
+                clientKey || null, resourceId, priceSats, `L402 access: ${resourceId}`, {
+                    caveats: credits ? [`max_uses = ${credits}`] : [],
+                    capabilities: selected ? selected.granted : undefined,
+                });
+
+            const challenge = formatChallenge(parseChallengeSchemes(config.challengeSchemes), macaroon, paymentRequest);
+
+            const body = {
+                error: 'Payment Required',
+                message: error || (credits
+                    ? `Pay ${priceSats} sats for ${credits} requests to this resource`
+                    : (selected
+                        ? `Pay ${priceSats} sats for ${selected.name} access to this resource`
+                        : `Pay ${priceSats} sats to access this resource`)),
+                error_code: error ? errorCode : undefined,
+                price_sats: priceSats,
+                credits: credits || undefined,
+                capability: selected ? selected.name : undefined,
+                capabilities_granted: selected ? selected.granted : undefined,
+                capabilities: selected ? selected.offers : undefined,
+                token_expiry_seconds: config.expirySeconds,
+                resource_id: resourceId,
+                macaroon: macaroon,
+                invoice: paymentRequest,
+                payment_status: paymentStatusHint(paymentHash),
+                token_format: {
+                    header: 'Authorization: L402 <macaroon>:<preimage>',
+                    query: parseTokenSources(config.tokenSources).includes('query')
+                        ? `?${config.tokenQueryParam || 'token'}=<URL-encoded macaroon:preimage>`
+                        : undefined,
+                    note: 'macaroon is the base64 string from the WWW-Authenticate header. preimage is the 64-char hex string your wallet returns after paying the invoice. Concatenate with a colon, no spaces.',
+                },
+            };
+
+            if (bundleScope) {
+                // Without its invoice the bundle isn't offered; the item still is
+                const offer = await buildBundleOffer(bundle, bundleScope, clientKey || null, req, resourceId);
+                if (offer) body.bundle = offer;
+            }
+
+            const offers = passOffers(resourceId);
+            if (offers.length > 0) {
+                body.passes = offers;
+            }
+
+            // Merge optional fields (consumption hints, player_url, etc.)
+            Object.assign(body, extra);
+
+            getLogger().info(`Challenge issued: ${resourceId} (${priceSats} sats)`, {
+                resourceId: resourceId,
+                priceSats: priceSats,
+                paymentHash: paymentHash,
+            });
+            hooks.emit('challengeIssued', {
+                kind: 'resource',
+                resourceId: resourceId,
+                priceSats: priceSats,
+                paymentHash: paymentHash,
+                capability: selected ? selected.name : null,
+                credits: credits || null,
+                errorCode: error ? (errorCode || null) : null,
+                clientIp: req ? requestClientAddress(req) : null,
+                latencyMs: elapsedSince(started),
+            });
+
+            return {
+                status: 402,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'WWW-Authenticate': challenge,
+                    'Access-Control-Allow-Origin': '*',
+                    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+                    'Access-Control-Expose-Headers': 'WWW-Authenticate',
+                },
+                body: body,
+            };
+
+        } catch (err) {
+            getLogger().error(`Invoice creation failed: ${err.message}`, { resourceId: resourceId, priceSats: priceSats, error: err.message });
+            hooks.emit('invoiceError', {
+                kind: 'resource',
+                resourceId: resourceId,
+                priceSats: priceSats,
+                error: err.message,
+                clientIp: req ? requestClientAddress(req) : null,
+                latencyMs: elapsedSince(started),
+            });
+            return unavailableResponse('Payment system unavailable');
+        }
+    }
+
+    /**
+     * The scope a bundle offer sells. Throws if the offer is malformed.
+     *
+     * @param {Object} offer - See buildL402Challenge() options.bundle
+     * @returns {string}
+     */
+    function bundleOfferScope(offer) {
+        if (!offer.id === !offer.scope) {
+            throw new Error('Bundle offer needs exactly one of id or scope');
+        }
+        if (!Number.isInteger(offer.price) || offer.price <= 0) {
+            throw new Error(`Invalid bundle price: ${offer.price}`);
+        }
+        return caveatRegistry.formatScope(offer.id ? `bundle:${offer.id}` : offer.scope);
+    }
+
+    /**
+     * Invoice and macaroon for a bundle purchase, for the 402 body's `bundle`
+     * field. Paying it yields a token whose scope caveat is the bundle's scope.
+     * Returns null if the invoice can't be created.
+     *
+     * @param {Object} offer - See buildL402Challenge() options.bundle
+     * @param {string} scope - From bundleOfferScope()
+     * @param {string|null} clientKey - For challenge reuse
+     * @param {http.IncomingMessage} [req] - For the invoiceError event
+     * @param {string} resourceId - The item the bundle is offered with
+     * @returns {Promise<Object|null>}
+     */
+    async function buildBundleOffer(offer, scope, clientKey, req, resourceId) {
+        const started = performance.now();
+        let paymentHash, paymentRequest, macaroon;
+        try {
+            ({ paymentHash, paymentRequest, macaroon } = await issueChallengeInvoice(
+                clientKey, scope, offer.price, `L402 access: ${scope}`));
+        } catch (err) {
+            getLogger().error(`Bundle invoice creation failed: ${err.message}`, { resourceId: resourceId, scope: scope, priceSats: offer.price, error: err.message });
+            hooks.emit('invoiceError', {
+                kind: 'bundle',
+                resourceId: resourceId,
+                priceSats: offer.price,
+                error: err.message,
+                clientIp: req ? requestClientAddress(req) : null,
+                latencyMs: elapsedSince(started),
+            });
+            return null;
+        }
+
+        return {
+            scope: scope,
+            price_sats: offer.price,
+            description: offer.description || `Pay ${offer.price} sats for access to ${scope}`,
+            macaroon: macaroon,
+            invoice: paymentRequest,
+            payment_status: paymentStatusHint(paymentHash),
+        };
+    }
+
+    // ===========================================
+    // Revocation
+    // ===========================================
+
+    /**
+     * The revocation store, built from config on first use.
+     *
+     * @returns {RevocationStore}
+     */
+    function getRevocationStore() {
+        if (!revocationStore) {
+            revocationStore = revocation.createRevocationStore(config);
+        }
+        return revocationStore;
+    }
+
+    /**
+     * Revoke one token before its expires_at — for a leaked or abused token.
+     * Every other token keeps working. Whoever presents it gets a 402 whose
+     * message includes the reason.
+     *
+     * Usage:
+     *   l402.revokeToken(req.l402.paymentHash, 'Shared publicly');
+     *
+     * @param {string} paymentHash - Hex payment hash (macaroon identifier, req.l402.paymentHash)
+     * @param {string} [reason] - Shown in the 402 (default: 'Token revoked')
+     * @param {Object} [options]
+     * @param {number} [options.expiresAt] - The token's expiry, if known. Otherwise it is
+     *   recorded the next time the token is presented.
+     * @returns {RevocationEntry}
+     */
+    function revokeToken(paymentHash, reason, options) {
+        if (typeof paymentHash !== 'string' || !/^[0-9a-f]{64}$/.test(paymentHash)) {
+            throw new Error('revokeToken: paymentHash must be a 64-character hex string');
+        }
+        const entry = {
+            paymentHash: paymentHash,
+            reason: reason || 'Token revoked',
+            revokedAt: Math.floor(Date.now() / 1000),
+            expiresAt: (options && options.expiresAt) || null,
+        };
+        getRevocationStore().set(entry);
+        getLogger().info(`Token revoked: ${paymentHash.substring(0, 16)}… (${entry.reason})`, { paymentHash: paymentHash, reason: entry.reason });
+        return entry;
+    }
+
+    /**
+     * Take a token off the revocation list.
+     *
+     * @param {string} paymentHash
+     * @returns {boolean} true if it was revoked
+     */
+    function unrevokeToken(paymentHash) {
+        return getRevocationStore().delete(paymentHash);
+    }
+
+    /**
+     * @param {string} paymentHash
+     * @returns {boolean}
+     */
+    function isRevoked(paymentHash) {
+        return getRevocationStore().get(paymentHash) !== null;
+    }
+
+    /**
+     * Denial message if a verified token is revoked, else null. Records the
+     * token's expiry on the entry the first time it's seen, so the entry can
+     * be pruned once the token would have expired anyway. That write is
+     * housekeeping: if it fails, the token is still denied as revoked.
+     */
+    function checkRevoked(paymentHash, expiresAt) {
+        const entry = getRevocationStore().get(paymentHash);
+        if (!entry) return null;
+
+        if (entry.expiresAt === null && expiresAt) {
+            try {
+                getRevocationStore().set({ ...entry, expiresAt: expiresAt });
+            } catch (err) {
+                getLogger().warn(`Could not record revoked token expiry: ${err.message}`, { paymentHash: paymentHash, error: err.message });
+            }
+        }
+        return `Token revoked: ${entry.reason}`;
+    }
+
+    /**
+     * Longest a token from this instance can live: the default expiry or the
+     * longest pass. Bounds entries whose token expiry was never seen.
+     */
+    function maxTokenLifetime() {
+        return Math.max(config.expirySeconds, ...Object.values(passes).map(p => p.durationSeconds));
+    }
+
+    /**
+     * Admin listing of revoked tokens. `expired` entries are for tokens that
+     * would no longer verify anyway — they can be pruned with pruneRevokedTokens().
+     * Entries whose token expiry was never seen count as expired once the
+     * longest possible token lifetime has passed since revocation.
+     *
+     * @returns {Array<RevocationEntry & {expired: boolean}>} Oldest first
+     */
+    function listRevokedTokens() {
+        const now = Math.floor(Date.now() / 1000);
+        const lifetime = maxTokenLifetime();
+        return getRevocationStore().list()
+            .map(entry => ({
+                ...entry,
+                expired: entry.expiresAt !== null
+                    ? entry.expiresAt < now
+                    : entry.revokedAt + lifetime < now,
+            }))
+            .sort((a, b) => a.revokedAt - b.revokedAt);
+    }
+
+    /**
+     * Remove revocation entries for tokens that have expired anyway.
+     *
+     * @returns {number} Entries removed
+     */
+    function pruneRevokedTokens() {
+        let removed = 0;
+        for (const entry of listRevokedTokens()) {
+            if (entry.expired && getRevocationStore().delete(entry.paymentHash)) removed++;
+        }
+        return removed;
+    }
+
+    // ===========================================
+    // Prepaid Credits
+    // ===========================================
+
+    /**
+     * The usage store for metered tokens, built from config on first use.
+     *
+     * @returns {UsageStore}
+     */
+    function getUsageStore() {
+        if (!usageStore) {
+            usageStore = usageStores.createUsageStore(config);
+        }
+        return usageStore;
+    }
+
+    /**
+     * Spend uses of a verified metered token. checkL402Auth() calls this after
+     * verification; call it yourself if you use verifyMacaroon() directly,
+     * since verification alone doesn't count a use.
+     *
+     * @param {{paymentHash: string, maxUses: number, expiresAt?: number}} token - verifyMacaroon() result
+     * @param {number} [cost] - Uses to spend (default: 1)
+     * @returns {Promise<UsageResult>}
+     */
+    async function meterUsage(token, cost) {
+        const uses = cost === undefined || cost === null ? 1 : cost;
+        if (!Number.isInteger(uses) || uses <= 0) {
+            throw new Error(`Invalid cost: ${cost}`);
+        }
+        return getUsageStore().consume(token.paymentHash, {
+            limit: token.maxUses,
+            cost: uses,
+            expiresAt: token.expiresAt,
+        });
+    }
+
+    /**
+     * Check a token's preimage, signature and expiry without tying it to a
+     * resource. Used by the top-up route to confirm the caller holds the token
+     * they want to top up.
+     *
+     * @returns {{valid: boolean, error?: string, error_code?: string, paymentHash?: string, caveats?: string[]}}
+     */
+    function authenticateToken(macaroonB64, preimageHex, discharges) {
+        let token;
+        try {
+            token = decodeToken(macaroonB64, discharges);
+        } catch (err) {
+            return { valid: false, error: err.message, error_code: ERROR_CODES.TOKEN_MALFORMED };
+        }
+
+        try {
+            const { paymentHash, rootKey } = resolveRootKey(token);
+            if (!token.signatureMatches(rootKey)) {
+                return { valid: false, error: 'Macaroon signature does not match', error_code: ERROR_CODES.SIGNATURE_INVALID };
+            }
+            const computedHash = crypto.createHash('sha256').update(Buffer.from(preimageHex, 'hex')).digest('hex');
+            if (computedHash !== paymentHash) {
+                return { valid: false, error: 'Invalid preimage — payment not verified', error_code: ERROR_CODES.PREIMAGE_MISMATCH };
+            }
+
+            const context = { now: Math.floor(Date.now() / 1000) };
+            token.verify(rootKey, (caveat) => {
+                const parsed = caveatRegistry.parseCaveat(caveat);
+                const isExpiry = parsed && (parsed.key === 'expires_at' || parsed.key.endsWith('_valid_until'));
+                return !isExpiry || caveatRegistry.BUILTIN_SATISFIERS.expires_at(parsed.value, context);
+            });
+
+            const tokenCaveats = token.caveats;
+            const revoked = checkRevoked(paymentHash, caveatRegistry.summarizeCaveats(tokenCaveats).expiresAt);
+            if (revoked) {
+                return { valid: false, error: revoked, error_code: ERROR_CODES.REVOKED };
+            }
+
+            return { valid: true, paymentHash: paymentHash, caveats: tokenCaveats };
+        } catch (err) {
+            // Only expiry is checked here, so any other failure is the signature
+            return { valid: false, error: err.message, error_code: codeOf(err, ERROR_CODES.SIGNATURE_INVALID) };
+        }
+    }
+
+    /**
+     * The terms of a top-up token, or null unless it is shaped exactly as
+     * checkTopUp() mints them: one resource_id of exactly top-up:<hash>, one
+     * topup_for naming the same hash, one credits caveat, and no tier or
+     * scope. Anyone can append caveats, so a pass or wildcard token with
+     * resource_id, topup_for and credits added must not pass for a top-up.
+     *
+     * The shape alone proves nothing about what was paid: a route whose
+     * resource ID comes from the request can sell top-up:<hash> like any
+     * other item. checkTopUp() checks the price and adds its own credits.
+     *
+     * @param {string[]} caveats
+     * @returns {{topUpFor: string, credits: number}|null}
+     */
+    function topUpTerms(caveats) {
+        const parsed = caveats.map(caveatRegistry.parseCaveat).filter(Boolean);
+        const values = key => parsed.filter(c => c.key === key).map(c => c.value);
+        const topUpFor = values('topup_for');
+        const scopes = values('resource_id');
+        const credits = values('credits');
+
+        if (topUpFor.length !== 1 || !/^[0-9a-f]{64}$/.test(topUpFor[0])) return null;
+        if (scopes.length !== 1 || scopes[0] !== `top-up:${topUpFor[0]}`) return null;
+        if (credits.length !== 1 || !/^[1-9][0-9]*$/.test(credits[0])) return null;
+        if (values('tier').length > 0 || values('scope').length > 0) return null;
+        return { topUpFor: topUpFor[0], credits: parseInt(credits[0]) };
+    }
+
+    /**
+     * Top-up route: add credits to an existing metered token by paying a new
+     * invoice. Two requests to the same route:
+     *
+     * 1. With the token to top up (Authorization: L402 <macaroon>:<preimage>)
+     *    → 402 with a top-up invoice and a top-up macaroon.
+     * 2. With the paid top-up (Authorization: L402 <top-up macaroon>:<top-up preimage>)
+     *    → 200; the credits are added to the original token, which keeps
+     *    working with its own preimage. Redeeming twice adds nothing.
+     *
+     * Top-ups add uses, not time — the original token's expiry still applies.
+     *
+     * @param {http.IncomingMessage} req - Only req.headers is read
+     * @param {Object} options
+     * @param {number} options.credits - Uses added per top-up
+     * @param {number} options.price - Top-up price in sats
+     * @returns {Promise<L402Response>}
+     */
+    async function checkTopUp(req, options) {
+        const { credits, price } = options || {};
+        if (!Number.isInteger(credits) || credits <= 0 || !Number.isInteger(price) || price <= 0) {
+            throw new Error('checkTopUp: credits and price must be positive integers');
+        }
+
+        const auth = parseAuthorization(req.headers['authorization']);
+        if (!auth) {
+            return jsonResponse(401, { error: 'Send the token to top up: Authorization: L402 <macaroon>:<preimage>' });
+        }
+        if (auth.error) {
+            return jsonResponse(401, { error: auth.error, error_code: ERROR_CODES.TOKEN_MALFORMED });
+        }
+
+        const token = authenticateToken(auth.macaroon, auth.preimage, auth.discharges);
+        if (!token.valid) {
+            return jsonResponse(401, { error: token.error, error_code: token.error_code });
+        }
+
+        const topUp = token.caveats.map(caveatRegistry.parseCaveat).find(c => c && c.key === 'topup_for');
+
+        // Step 2: a paid top-up token — credit the original
+        if (topUp) {
+            const terms = topUpTerms(token.caveats);
+            if (!terms) {
+                return jsonResponse(401, {
+                    error: 'Not a top-up token issued by this server',
+                    error_code: ERROR_CODES.CAVEAT_UNSATISFIED,
+                });
+            }
+
+            // The token must have paid this route's price, and the credits
+            // are this route's too: the token's own credits caveat may have
+            // been appended by the client
+            const result = verifyMacaroon(auth.macaroon, auth.preimage, `top-up:${topUp.value}`, {
+                priceSats: price,
+                discharges: auth.discharges,
+                context: { topUpFor: topUp.value },
+            });
+            if (!result.valid) {
+                return jsonResponse(401, { error: result.error, error_code: result.error_code });
+            }
+
+            const added = credits;
+            let outcome, record;
+            try {
+                outcome = await getUsageStore().addCredits(topUp.value, added, { topUpHash: token.paymentHash });
+                record = await getUsageStore().get(topUp.value);
+            } catch (err) {
+                getLogger().error(`Top-up failed: ${err.message}`, { paymentHash: topUp.value, error: err.message });
+                return unavailableResponse('Usage metering unavailable');
+            }
+
+            getLogger().info(`Top-up redeemed: ${outcome.added} credits for ${topUp.value.substring(0, 16)}…`, {
+                paymentHash: topUp.value,
+                credits: outcome.added,
+            });
+            return jsonResponse(200, {
+                payment_hash: topUp.value,
+                credits_added: outcome.added,
+                credits_remaining: record && record.limit !== null
+                    ? record.limit + record.extraCredits - record.used
+                    : undefined,
+                message: outcome.added > 0
+                    ? `Added ${outcome.added} credits. Keep using your original token.`
+                    : 'This top-up was already redeemed.',
+            });
+        }
+
+        // Step 1: the token to top up — issue a top-up invoice
+        const info = caveatRegistry.summarizeCaveats(token.caveats);
+        if (!info.maxUses) {
+            return jsonResponse(400, { error: 'This token is not metered — there is nothing to top up' });
+        }
+
+        const started = performance.now();
+        try {
+            const { paymentHash, paymentRequest } = await createInvoice(price, `L402 top-up: ${credits} credits`);
+            const macaroon = createMacaroon(paymentHash, `top-up:${token.paymentHash}`, undefined, price, {
+                caveats: [`topup_for = ${token.paymentHash}`, `credits = ${credits}`],
+            });
+
+            getLogger().info(`Top-up challenge issued: ${credits} credits (${price} sats)`, {
+                priceSats: price,
+                paymentHash: paymentHash,
+                topUpFor: token.paymentHash,
+            });
+            hooks.emit('challengeIssued', {
+                kind: 'topup',
+                resourceId: null,
+                priceSats: price,
+                paymentHash: paymentHash,
+                credits: credits,
+                topUpFor: token.paymentHash,
+                clientIp: requestClientAddress(req),
+                latencyMs: elapsedSince(started),
+            });
+
+            return {
+                status: 402,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'WWW-Authenticate': formatChallenge(parseChallengeSchemes(config.challengeSchemes), macaroon, paymentRequest),
+                    'Access-Control-Allow-Origin': '*',
+                    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+                    'Access-Control-Expose-Headers': 'WWW-Authenticate',
+                },
+                body: {
+                    error: 'Payment Required',
+                    message: `Pay ${price} sats to add ${credits} credits to your token`,
+                    price_sats: price,
+                    credits: credits,
+                    topup_for: token.paymentHash,
+                    macaroon: macaroon,
+                    invoice: paymentRequest,
+                    payment_status: paymentStatusHint(paymentHash),
+                    token_format: {
+                        header: 'Authorization: L402 <macaroon>:<preimage>',
+                        note: 'After paying, send this top-up macaroon with its preimage to this same URL to add the credits. Then keep using your original token.',
+                    },
+                },
+            };
+        } catch (err) {
+            getLogger().error(`Invoice creation failed: ${err.message}`, { priceSats: price, error: err.message });
+            hooks.emit('invoiceError', {
+                kind: 'topup',
+                resourceId: null,
+                priceSats: price,
+                error: err.message,
+                clientIp: requestClientAddress(req),
+                latencyMs: elapsedSince(started),
+            });
+            return unavailableResponse('Payment system unavailable');
+        }
+    }
+
+    /**
+     * Top-up route helper for raw http: runs checkTopUp() and writes the result.
+     *
+     * Usage:
+     *   if (pathname === '/api/top-up') {
+     *       return l402.handleTopUp(req, res, { credits: 100, price: 500 });
+     *   }
+     *
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @param {Object} options - Same as checkTopUp()
+     */
+    async function handleTopUp(req, res, options) {
+        writeResponse(res, await checkTopUp(req, options));
+    }
+
+    // ===========================================
+    // Passes
+    // ===========================================
+
+    /**
+     * Define a pass: one purchase that unlocks every resource in a scope for a
+     * fixed time ("all access for 24 hours").
+     *
+     * A pass token carries `scope = <scope>`, `tier = <name>`, its own
+     * expires_at and price_sats. handleL402Auth() accepts it for every
+     * resource the scope covers, regardless of the item's own price. Sell it
+     * from a purchase route with sendPassChallenge().
+     *
+     * Usage:
+     *   l402.definePass('day', { price: 1000, durationSeconds: 86400 });
+     *   l402.definePass('reports-week', { price: 2500, durationSeconds: 604800, scope: 'report-*' });
+     *
+     * @param {string} name - Tier name, used in the tier caveat
+     * @param {Object} definition
+     * @param {number} definition.price - Pass price in sats
+     * @param {number} definition.durationSeconds - How long the pass is valid
+     * @param {string|string[]} [definition.scope] - Resources covered (default: '*', everything)
+     * @param {string} [definition.description] - Shown to buyers
+     * @param {string} [definition.purchaseUrl] - Route that sells this pass, advertised in 402 bodies
+     */
+    function definePass(name, definition) {
+        if (typeof name !== 'string' || !/^[A-Za-z0-9_.-]+$/.test(name)) {
+            throw new Error(`Invalid pass name '${name}'`);
+        }
+        const { price, durationSeconds, scope = '*', description, purchaseUrl } = definition || {};
+        if (!Number.isInteger(price) || price <= 0) {
+            throw new Error(`Pass '${name}': price must be a positive integer`);
+        }
+        if (!Number.isInteger(durationSeconds) || durationSeconds <= 0) {
+            throw new Error(`Pass '${name}': durationSeconds must be a positive integer`);
+        }
+        passes[name] = {
+            name: name,
+            price: price,
+            durationSeconds: durationSeconds,
+            scope: caveatRegistry.formatScope(scope),
+            description: description || null,
+            purchaseUrl: purchaseUrl || null,
+        };
+        // Cached results of tokens for this tier were checked against the old definition
+        if (tokenCache) tokenCache.clear();
+    }
+
+    /**
+     * Build the 402 challenge for buying a pass, as plain data.
+     *
+     * @param {string} name - Pass defined with definePass()
+     * @param {Object} [options] - Extra fields for the 402 body; options.error sets the message,
+     *   options.errorCode the error_code, and options.req (the request) the clientIp of the
+     *   challengeIssued event
+     * @returns {Promise<L402Response>}
+     */
+    async function buildPassChallenge(name, options) {
+        const pass = passes[name];
+        if (!pass) {
+            throw new Error(`Unknown pass '${name}'`);
+        }
+        const { error, errorCode, req, ...extra } = options || {};
+        const started = performance.now();
+
+        try {
+            const { paymentHash, paymentRequest } = await createInvoice(pass.price, `L402 pass: ${name}`);
+            const macaroon = createMacaroon(paymentHash, pass.scope, undefined, pass.price, {
+                expirySeconds: pass.durationSeconds,
+                caveats: [`tier = ${name}`],
+            });
+
+            const body = {
+                error: 'Payment Required',
+                message: error || `Pay ${pass.price} sats for the ${name} pass`,
+                error_code: error ? errorCode : undefined,
+                tier: name,
+                price_sats: pass.price,
+                token_expiry_seconds: pass.durationSeconds,
+                scope: pass.scope,
+                description: pass.description || undefined,
+                macaroon: macaroon,
+                invoice: paymentRequest,
+                payment_status: paymentStatusHint(paymentHash),
+                token_format: {
+                    header: 'Authorization: L402 <macaroon>:<preimage>',
+                    note: 'Send this token with every request the pass covers until it expires.',
+                },
+            };
+            Object.assign(body, extra);
+
+            getLogger().info(`Pass challenge issued: ${name} (${pass.price} sats)`, {
+                tier: name,
+                priceSats: pass.price,
+                paymentHash: paymentHash,
+            });
+            hooks.emit('challengeIssued', {
+                kind: 'pass',
+                resourceId: null,
+                priceSats: pass.price,
+                paymentHash: paymentHash,
+                tier: name,
+                errorCode: error ? (errorCode || null) : null,
+                clientIp: req ? requestClientAddress(req) : null,
+                latencyMs: elapsedSince(started),
+            });
+
+            return {
+                status: 402,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'WWW-Authenticate': formatChallenge(parseChallengeSchemes(config.challengeSchemes), macaroon, paymentRequest),
+                    'Access-Control-Allow-Origin': '*',
+                    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+                    'Access-Control-Expose-Headers': 'WWW-Authenticate',
+                },
+                body: body,
+            };
+        } catch (err) {
+            getLogger().error(`Invoice creation failed: ${err.message}`, { tier: name, priceSats: pass.price, error: err.message });
+            hooks.emit('invoiceError', {
+                kind: 'pass',
+                resourceId: null,
+                priceSats: pass.price,
+                tier: name,
+                error: err.message,
+                clientIp: req ? requestClientAddress(req) : null,
+                latencyMs: elapsedSince(started),
+            });
+            return unavailableResponse('Payment system unavailable');
+        }
+    }
+
+    /**
+     * Purchase route helper: send the 402 challenge for a pass.
+     *
+     * Usage:
+     *   if (pathname === '/api/pass/day') return l402.sendPassChallenge(res, 'day');
+     *
+     * @param {http.ServerResponse} res
+     * @param {string} name - Pass defined with definePass()
+     * @param {Object} [options] - Same as buildPassChallenge()
+     */
+    async function sendPassChallenge(res, name, options) {
+        writeResponse(res, await buildPassChallenge(name, { req: res.req, ...options }));
+    }
+
+    /**
+     * Passes that cover a resource, for the 402 body. Passes scoped to a
+     * bundle that can't be resolved synchronously are left out.
+     *
+     * @param {string} resourceId
+     * @returns {Object[]}
+     */
+    function passOffers(resourceId) {
+        const offers = [];
+        for (const pass of Object.values(passes)) {
+            let covered;
+            try {
+                covered = caveatRegistry.scopeMatches(pass.scope, resourceId, { resolveBundle: bundleResolver });
+            } catch (err) {
+                covered = false;
+            }
+            if (!covered) continue;
+            offers.push(passOffer(pass));
+        }
+        return offers;
+    }
+
+    function passOffer(pass) {
+        return {
+            tier: pass.name,
+            price_sats: pass.price,
+            duration_seconds: pass.durationSeconds,
+            description: pass.description || undefined,
+            purchase_url: pass.purchaseUrl || undefined,
+        };
+    }
+
+    // ===========================================
+    // Payment Status
+    // ===========================================
+
+    /**
+     * Where a client can wait for an invoice to settle, for the payment_status
+     * field of 402 bodies. Undefined unless config.paymentStatusPath is set.
+     *
+     * @param {string} paymentHash
+     * @returns {{url: string, note: string}|undefined}
+     */
+    function paymentStatusHint(paymentHash) {
+        if (!config.paymentStatusPath) return undefined;
+        return {
+            url: `${config.paymentStatusPath.replace(/\/+$/, '')}/${paymentHash}`,
+            note: 'If your wallet does not show the preimage: GET this URL with Authorization: L402 <macaroon> '
+                + `(add ?wait=${MAX_STATUS_WAIT_SECONDS} to wait for payment), or open it as an EventSource with `
+                + '?macaroon=<URL-encoded macaroon>. Once the invoice is paid it returns the complete token.',
+        };
+    }
+
+    /**
+     * Check that a status request holds a macaroon this server minted for the
+     * invoice. Returns the macaroon, or the error response to send.
+     *
+     * @returns {{macaroon: string}|{response: L402Response}}
+     */
+    function authenticateStatusRequest(req, paymentHash) {
+        if (typeof paymentHash !== 'string' || !PAYMENT_HASH_PATTERN.test(paymentHash)) {
+            return { response: jsonResponse(400, { error: 'Payment hash must be 64 lowercase hex characters' }) };
+        }
+
+        const macaroonB64 = readStatusMacaroon(req);
+        if (!macaroonB64) {
+            return {
+                response: jsonResponse(401, {
+                    error: 'Send the macaroon from the 402: Authorization: L402 <macaroon>, or ?macaroon=<URL-encoded macaroon>',
+                    error_code: ERROR_CODES.TOKEN_MALFORMED,
+                }),
+            };
+        }
+
+        let token;
+        try {
+            token = decodeToken(macaroonB64);
+        } catch (err) {
+            return { response: jsonResponse(401, { error: err.message, error_code: ERROR_CODES.TOKEN_MALFORMED }) };
+        }
+
+        try {
+            const resolved = resolveRootKey(token);
+            if (!token.signatureMatches(resolved.rootKey)) {
+                return { response: jsonResponse(401, { error: 'Macaroon signature does not match', error_code: ERROR_CODES.SIGNATURE_INVALID }) };
+            }
+            if (resolved.paymentHash !== paymentHash) {
+                return { response: jsonResponse(401, { error: 'Macaroon is for another invoice', error_code: ERROR_CODES.WRONG_RESOURCE }) };
+            }
+        } catch (err) {
+            return { response: jsonResponse(401, { error: err.message, error_code: codeOf(err, ERROR_CODES.SIGNATURE_INVALID) }) };
+        }
+
+        return { macaroon: macaroonB64 };
+    }
+
+    /**
+     * Look the invoice up for a status request. Once it is no longer open, its
+     * challenge stops being reused: every status path reporting settlement
+     * goes through here.
+     *
+     * @returns {Promise<InvoiceStatus>}
+     */
+    async function lookupStatus(paymentHash) {
+        const invoice = await lookupInvoice(paymentHash);
+        if (invoice.state !== 'open') forgetChallenge(paymentHash);
+        return invoice;
+    }
+
+    /**
+     * Look the invoice up until it is no longer open, the time is up, or
+     * stop() says the client has gone.
+     *
+     * @returns {Promise<InvoiceStatus>}
+     */
+    async function waitForInvoice(paymentHash, waitMs, stop) {
+        const deadline = Date.now() + waitMs;
+        for (;;) {
+            const invoice = await lookupStatus(paymentHash);
+            if (invoice.state !== 'open' || Date.now() + INVOICE_POLL_INTERVAL_MS > deadline || stop()) {
+                return invoice;
+            }
+            await sleep(INVOICE_POLL_INTERVAL_MS);
+        }
+    }
+
+    function paymentStatusBody(invoice, macaroonB64) {
+        const body = { payment_hash: invoice.paymentHash, state: invoice.state, settled: invoice.settled };
+        if (invoice.settled && invoice.preimage) {
+            const info = getTokenInfo(macaroonB64);
+            return {
+                ...body,
+                settled_at: invoice.settledAt,
+                macaroon: macaroonB64,
+                preimage: invoice.preimage,
+                token: `${macaroonB64}:${invoice.preimage}`,
+                authorization: `L402 ${macaroonB64}:${invoice.preimage}`,
+                expires_at: info ? info.expiresAt : null,
+            };
+        }
+        if (invoice.settled) {
+            return { ...body, message: 'Paid, but the Lightning backend did not return the preimage' };
+        }
+        return {
+            ...body,
+            message: invoice.state === 'canceled'
+                ? 'The invoice expired or was canceled — request the resource again for a new one'
+                : `Not paid yet. Pay the invoice, then ask again (?wait=${MAX_STATUS_WAIT_SECONDS} holds the request until it is paid)`,
+        };
+    }
+
+    /**
+     * Payment-status route: has the invoice behind a 402 been paid, and if so,
+     * the complete token — with the preimage read from the node's settled
+     * invoice. For custodial and mobile wallets that pay without ever showing
+     * the payer the preimage.
+     *
+     * The caller proves it received the 402 by sending that 402's macaroon
+     * (Authorization: L402 <macaroon>, or ?macaroon=). The invoice alone —
+     * all a scanned QR code reveals — claims nothing.
+     *
+     * With ?wait=<seconds> (at most 60), the request is held until the invoice
+     * settles or is canceled, or the time is up. Nothing is stored: the
+     * invoice is looked up on the node each time.
+     *
+     * Usage:
+     *   const match = pathname.match(/^\/api\/payment\/([0-9a-f]{64})$/);
+     *   if (match) return l402.handlePaymentStatus(req, res, match[1]);
+     *
+     * @param {http.IncomingMessage} req - Reads the Authorization header and the query string
+     * @param {string} paymentHash - Hex payment hash from the route
+     * @param {Object} [options]
+     * @param {number} [options.waitSeconds] - Long-poll for this long (default: ?wait=, else 0)
+     * @returns {Promise<L402Response>} 200 with state, plus macaroon, preimage, token and
+     *   authorization once settled
+     */
+    async function checkPaymentStatus(req, paymentHash, options) {
+        const claim = authenticateStatusRequest(req, paymentHash);
+        if (claim.response) return claim.response;
+
+        const requested = options && options.waitSeconds !== undefined
+            ? options.waitSeconds
+            : parseInt(new URL(req.originalUrl || req.url, 'http://localhost').searchParams.get('wait'));
+        const waitSeconds = Math.min(Math.max(requested || 0, 0), MAX_STATUS_WAIT_SECONDS);
+        const socket = req.socket;
+
+        try {
+            const invoice = await waitForInvoice(paymentHash, waitSeconds * 1000, () => Boolean(socket && socket.destroyed));
+            const response = jsonResponse(200, paymentStatusBody(invoice, claim.macaroon));
+            response.headers['Cache-Control'] = 'no-store';
+            return response;
+        } catch (err) {
+            getLogger().error(`Invoice lookup failed: ${err.message}`, { paymentHash: paymentHash, error: err.message });
+            return unavailableResponse('Payment system unavailable');
+        }
+    }
+
+    /**
+     * Payment-status route for raw http, and anything that hands over the
+     * Node request and response (Express). Requests that accept
+     * text/event-stream, as EventSource does, get Server-Sent Events; the
+     * rest get checkPaymentStatus().
+     *
+     * The stream sends a `status` event, then `settled` (the same body as
+     * checkPaymentStatus(), token included) or `canceled`, and closes. A
+     * backend failure sends `unavailable`. Streams close after five minutes
+     * and EventSource reconnects, so a slow payer just keeps waiting.
+     *
+     * Usage:
+     *   const events = new EventSource(`/api/payment/${hash}?macaroon=${encodeURIComponent(macaroon)}`);
+     *   events.addEventListener('settled', e => {
+     *       events.close();
+     *       const { authorization } = JSON.parse(e.data);
+     *   });
+     *
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @param {string} paymentHash - Hex payment hash from the route
+     * @param {Object} [options] - Same as checkPaymentStatus()
+     */
+    async function handlePaymentStatus(req, res, paymentHash, options) {
+        if (!wantsEventStream(req)) {
+            writeResponse(res, await checkPaymentStatus(req, paymentHash, options));
+            return;
+        }
+
+        const claim = authenticateStatusRequest(req, paymentHash);
+        if (claim.response) {
+            writeResponse(res, claim.response);
+            return;
+        }
+
+        let closed = false;
+        res.on('close', () => { closed = true; });
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            'Connection': 'keep-alive',
+            // Stop nginx from buffering the stream
+            'X-Accel-Buffering': 'no',
+        });
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        res.write('retry: 3000\n\n');
+
+        try {
+            let invoice = await lookupStatus(paymentHash);
+            send('status', paymentStatusBody(invoice, claim.macaroon));
+
+            const deadline = Date.now() + STATUS_STREAM_SECONDS * 1000;
+            for (let polls = 1; !closed && invoice.state === 'open' && Date.now() < deadline; polls++) {
+                await sleep(INVOICE_POLL_INTERVAL_MS);
+                if (closed) break;
+                invoice = await lookupStatus(paymentHash);
+                // A comment now and then keeps proxies from closing an idle stream
+                if (polls % 15 === 0) res.write(': waiting\n\n');
+            }
+
+            if (!closed && invoice.state !== 'open') {
+                send(invoice.state === 'settled' ? 'settled' : 'canceled', paymentStatusBody(invoice, claim.macaroon));
+            }
+        } catch (err) {
+            getLogger().error(`Invoice lookup failed: ${err.message}`, { paymentHash: paymentHash, error: err.message });
+            if (!closed) send('unavailable', { error: 'Payment system unavailable', error_code: ERROR_CODES.BACKEND_UNAVAILABLE });
+        }
+        res.end();
+    }
+
+    // ===========================================
+    // Routes and Discovery
+    // ===========================================
+
+    /**
+     * Describe the service for the discovery documents (see lib/routes.js).
+     *
+     * Usage:
+     *   l402.defineService({ name: 'Fortune Cookie API', description: 'Pay 10 sats, get a fortune.' });
+     *
+     * @param {Object} info - name, description, url, version, rootPath, openapiPath, flow, notes
+     *   and extra root-document fields; see lib/routes.js
+     */
+    function defineService(info) {
+        routes.defineService(info);
+    }
+
+    /**
+     * Declare a route, paid or free. The root document, OpenAPI spec and
+     * manifest list it, and handleRoute() charges for it with the declared
+     * price. Fields other than path, method, auth, resourceId, description,
+     * pricing and query are handleL402Auth() options.
+     *
+     * Usage:
+     *   l402.defineRoute('catalog', { path: '/api/catalog', auth: 'none', description: 'Browse' });
+     *   l402.defineRoute('resource', {
+     *       path: '/api/resource/:id',
+     *       resourceId: params => params.id,
+     *       price: (req, id) => findItem(id).priceSats,
+     *       pricing: 'per item — see cost_sats on each /api/catalog result',
+     *       description: 'Access a resource. Requires L402 payment.',
+     *   });
+     *
+     * @param {string} name - Key in the root document's endpoints
+     * @param {Object} definition - See lib/routes.js
+     */
+    function defineRoute(name, definition) {
+        routes.defineRoute(name, definition);
+    }
+
+    /**
+     * A route as declared, or null. The framework adapters read it for
+     * their `route` option.
+     *
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    function getRoute(name) {
+        return routes.getRoute(name);
+    }
+
+    /**
+     * Find the declared route a request is for.
+     *
+     * @param {http.IncomingMessage} req
+     * @returns {{name: string, params: Object<string, string>}|null}
+     */
+    function matchRoute(req) {
+        return routes.matchRoute(req.method, new URL(req.originalUrl || req.url, 'http://localhost').pathname);
+    }
+
+    /**
+     * The URL of a declared route with its parameters filled in, for the
+     * resolved URLs on result objects (Pattern 7).
+     *
+     * @param {string} name
+     * @param {Object<string, string>} [params]
+     * @returns {string}
+     */
+    function routeUrl(name, params) {
+        return routes.routeUrl(name, params);
+    }
+
+    /**
+     * The l402 hint for results that link to a route (Pattern 9): its price,
+     * token expiry, endpoint and flow steps.
+     *
+     * @param {string} name
+     * @returns {Object}
+     */
+    function routeHint(name) {
+        return routes.routeHint(name, discoveryContext(null));
+    }
+
+    function discoveryContext(req) {
+        const host = req && req.headers && req.headers.host;
+        return {
+            name: config.location,
+            baseUrl: routes.serviceUrl() || (host ? `${isSecureRequest(req) ? 'https' : 'http'}://${host}` : null),
+            enabled: backend !== null,
+            priceSats: config.priceSats,
+            expirySeconds: config.expirySeconds,
+            passes: Object.values(passes).map(passOffer),
+            paymentStatusPath: config.paymentStatusPath,
+        };
+    }
+
+    /**
+     * The self-describing root document (Pattern 1), generated from the
+     * declared routes.
+     *
+     * @param {http.IncomingMessage} [req] - For the base URL when the service has no url
+     * @returns {Object}
+     */
+    function describeService(req) {
+        return routes.describeService(discoveryContext(req));
+    }
+
+    /**
+     * OpenAPI 3 spec of the declared routes, with the L402 security scheme
+     * and per-operation prices.
+     *
+     * @param {http.IncomingMessage} [req] - For the servers URL when the service has no url
+     * @returns {Object}
+     */
+    function buildOpenApi(req) {
+        return routes.buildOpenApi(discoveryContext(req));
+    }
+
+    /**
+     * The /.well-known/l402 manifest, for service directories.
+     *
+     * @param {http.IncomingMessage} [req] - For absolute URLs when the service has no url
+     * @returns {Object}
+     */
+    function buildManifest(req) {
+        return routes.buildManifest(discoveryContext(req));
+    }
+
+    /**
+     * The discovery document a request asks for, as a response: the root
+     * document, the OpenAPI spec or the manifest. Null for any other request.
+     *
+     * @param {http.IncomingMessage} req
+     * @returns {L402Response|null}
+     */
+    function checkDiscovery(req) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return null;
+        const document = routes.discoveryDocument(new URL(req.originalUrl || req.url, 'http://localhost').pathname);
+        if (!document) return null;
+
+        const body = document === 'root' ? describeService(req)
+            : document === 'openapi' ? buildOpenApi(req)
+                : buildManifest(req);
+        // Directories and API explorers fetch these cross-origin
+        return {
+            status: 200,
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
+            body: body,
+        };
+    }
+
+    /**
+     * Serve the discovery documents: GET /api (the service's rootPath),
+     * /openapi.json and /.well-known/l402.
+     *
+     * Usage:
+     *   if (l402.handleDiscovery(req, res)) return;
+     *
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @returns {boolean} true if a document was sent
+     */
+    function handleDiscovery(req, res) {
+        const response = checkDiscovery(req);
+        if (!response) return false;
+        writeResponse(res, response);
+        return true;
+    }
+
+    /**
+     * Charge for a declared route: handleL402Auth() with the route's resource
+     * ID, price and hints. Free routes are always authorized.
+     *
+     * Usage:
+     *   const match = l402.matchRoute(req);
+     *   if (match && match.name === 'fortune') {
+     *       if (!(await l402.handleRoute(req, res, match))) return;
+     *       // ...send the fortune
+     *   }
+     *
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @param {{name: string, params: Object<string, string>}} match - From matchRoute()
+     * @param {Object} [options] - handleL402Auth() options overriding the route's (e.g. a per-item title)
+     * @returns {Promise<boolean>} true if authorized, false if a response was sent
+     */
+    async function handleRoute(req, res, match, options) {
+        const route = routes.getRoute(match && match.name);
+        if (!route) {
+            throw new Error(`Unknown route '${match && match.name}'`);
+        }
+        if (!route.paid) return true;
+
+        let resourceId;
+        try {
+            resourceId = await route.resourceId(match.params || {}, req);
+        } catch (err) {
+            getLogger().error(`Resource ID lookup failed for route ${route.name}: ${err.message}`, { route: route.name, error: err.message });
+            writeResponse(res, unavailableResponse('Payment system unavailable'));
+            return false;
+        }
+        return handleL402Auth(req, res, resourceId, { ...route.options, ...options });
+    }
+
+    // ===========================================
+    // Streaming
+    // ===========================================
+
+    /**
+     * Serve HLS streams behind L402: GET <prefix>/<id>/<file> serves
+     * <root>/<id>/<file> once the token for the stream's resource ID is
+     * verified. The token is checked on the playlist and on every segment, so
+     * a leaked segment URL is useless without it. Segments answer byte-range
+     * requests.
+     *
+     * When the token arrived in the query string (players that can't set an
+     * Authorization header), playlists are sent with the token added to every
+     * relative URI in them, so the player passes it on to the variant
+     * playlists, segments and keys. Requires 'query' in config.tokenSources.
+     *
+     * Usage:
+     *   if (await l402.handleStream(req, res, {
+     *       root: './media',
+     *       capabilities: { stream: 100, download: 400 },
+     *       capability: 'stream',
+     *   })) return;
+     *
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @param {Object} options - handleL402Auth() options, plus:
+     * @param {string} options.root - Media directory, one subdirectory per stream ID
+     * @param {string} [options.prefix] - URL prefix (default: '/api/stream')
+     * @param {Function} [options.resourceId] - (id, req) => resource ID, may be async
+     *   (default: the stream ID)
+     * @param {boolean} [options.rewritePlaylists] - Add query-string tokens to playlist URIs (default: true)
+     * @returns {Promise<boolean>} false if the request is not under the prefix (nothing sent)
+     */
+    async function handleStream(req, res, options) {
+        const { root, prefix, resourceId, rewritePlaylists = true, ...authOptions } = options || {};
+        if (!root) {
+            throw new Error('handleStream: root option is required');
+        }
+
+        const parsed = stream.parseStreamPath(new URL(req.originalUrl || req.url, 'http://localhost').pathname, prefix);
+        if (!parsed) return false;
+        const filePath = stream.resolveStreamFile(root, parsed.id, parsed.file);
+        if (!filePath) {
+            writeResponse(res, jsonResponse(404, { error: 'Not found' }));
+            return true;
+        }
+
+        let id = parsed.id;
+        if (resourceId) {
+            try {
+                id = await resourceId(parsed.id, req);
+            } catch (err) {
+                getLogger().error(`Resource ID lookup failed for stream ${parsed.id}: ${err.message}`, { streamId: parsed.id, error: err.message });
+                writeResponse(res, unavailableResponse('Payment system unavailable'));
+                return true;
+            }
+        }
+        if (!(await handleL402Auth(req, res, id, authOptions))) return true;
+
+        if (rewritePlaylists && stream.isPlaylist(filePath)) {
+            const found = extractToken(req, config);
+            if (found && found.source === 'query') {
+                const credentials = AUTH_SCHEME_PATTERN.exec(found.header)[2];
+                await stream.servePlaylist(req, res, filePath, config.tokenQueryParam || 'token', credentials);
+                return true;
+            }
+        }
+        await stream.serveFile(req, res, filePath);
+        return true;
+    }
+
+    for (const [name, definition] of Object.entries(config.passes || {})) {
+        definePass(name, definition);
+    }
+
+    if (config.service) {
+        defineService(config.service);
+    }
+    for (const [name, definition] of Object.entries(config.routes || {})) {
+        defineRoute(name, definition);
+    }
+
+    const instance = {
+        initLnd,
+        handleL402Auth,
+        checkL402Auth,
+        createInvoice,
+        getBackend,
+        createMacaroon,
+        verifyMacaroon,
+        registerCaveat,
+        describeKeys,
+        setBundleResolver,
+        definePass,
+        revokeToken,
+        unrevokeToken,
+        isRevoked,
+        listRevokedTokens,
+        pruneRevokedTokens,
+        getRevocationStore,
+        getUsageStore,
+        getTokenCacheStats,
+        getInvoiceStats,
+        getLogger,
+        on,
+        off,
+        meterUsage,
+        checkTopUp,
+        handleTopUp,
+        checkPaymentStatus,
+        handlePaymentStatus,
+        defineService,
+        defineRoute,
+        getRoute,
+        matchRoute,
+        routeUrl,
+        routeHint,
+        describeService,
+        buildOpenApi,
+        buildManifest,
+        checkDiscovery,
+        handleDiscovery,
+        handleRoute,
+        handleStream,
+        buildPassChallenge,
+        sendPassChallenge,
+        sendL402Challenge,
+        buildL402Challenge,
+        getTokenInfo,
+        attenuateToken,
+        config,
+    };
+
+    // Framework adapters: instance.express(), instance.fastify(), instance.koa()
+    Object.assign(instance, createMiddleware(instance));
+
+    return instance;
+}
+
+/**
+ * Create an independent L402 service.
+ *
+ * Use this when one process hosts several products, each with its own secret,
+ * location, price and node. Nothing is read from process.env — every setting
+ * comes from options, falling back to DEFAULTS.
+ *
+ * Usage:
+ *   const videos = l402.createL402({
+ *       secret: process.env.VIDEO_L402_SECRET,
+ *       location: 'videos.example.com',
+ *       priceSats: 100,
+ *       backend: l402.backends.createLndBackend({ host, macaroonPath, tlsCertPath }),
+ *   });
+ *   const authorized = await videos.handleL402Auth(req, res, 'video-123');
+ *
+ * Unlike initLnd(), misconfiguration throws instead of returning false.
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Root key for macaroon signatures (min 32 characters)
+ * @param {string} [options.keyId] - ID of secret, embedded in new tokens (default: 'default')
+ * @param {Array<{id: string, secret: string, validUntil: number|string|Date}>} [options.retiredKeys]
+ *   Previous secrets; tokens they signed keep verifying until validUntil
+ * @param {string} [options.location] - Macaroon location (default: 'localhost')
+ * @param {string} [options.tokenFormat] - Format of new tokens: 'toolkit' (default) or 'aperture'
+ * @param {string[]} [options.challengeSchemes] - Schemes advertised in WWW-Authenticate (default: ['L402'];
+ *   ['L402', 'LSAT'] for legacy clients)
+ * @param {string[]} [options.tokenSources] - Where to read tokens, in order: 'header', 'query',
+ *   'cookie' (default: ['header'])
+ * @param {string} [options.tokenQueryParam] - Query parameter holding the token (default: 'token')
+ * @param {string} [options.tokenCookieName] - Cookie holding the token (default: 'l402_token')
+ * @param {boolean} [options.setTokenCookie] - Store header and query-param tokens in that cookie
+ *   (needs 'cookie' in tokenSources)
+ * @param {boolean} [options.paywallPage] - Send browsers an HTML paywall page (default: true)
+ * @param {string} [options.paymentStatusPath] - Route serving handlePaymentStatus(), linked from
+ *   402 bodies as <path>/<payment hash>
+ * @param {number} [options.priceSats] - Default price per resource (default: 10)
+ * @param {number} [options.expirySeconds] - Token validity (default: 1800)
+ * @param {boolean} [options.strictCaveats] - Reject unknown caveats (default: false)
+ * @param {number} [options.tokenCacheSize] - Verified tokens remembered, LRU (default: 1000; 0 disables)
+ * @param {number} [options.challengeReuseSeconds] - Reuse a client's open challenge for the same
+ *   resource within this window (default: 0, off; needs challengeClientKey)
+ * @param {Function} [options.challengeClientKey] - req => client key for challenge reuse, such as
+ *   an API key or session ID (required for reuse)
+ * @param {Object<number, number>|string} [options.invoicePool] - Invoices kept ready per price,
+ *   e.g. { 10: 5, 100: 3 } or '10:5,100:3'
+ * @param {Object|string} [options.rateLimit] - Requests that would get a 402, per scope:
+ *   { client: '20/60', resource: '200/60', global: '1000/60' } (requests/seconds; default: none)
+ * @param {string[]|string} [options.trustedProxies] - Proxies whose X-Forwarded-For names the client
+ * @param {RateLimitStore} [options.rateLimitStore] - Bucket store (default: in-memory)
+ * @param {L402Logger} [options.logger] - Logger with debug/info/warn/error methods (default:
+ *   the console, at options.logLevel)
+ * @param {string} [options.logLevel] - Lowest level the console logger prints: 'debug', 'info'
+ *   (default), 'warn', 'error' or 'silent'
+ * @param {Object<string, Function|Function[]>} [options.hooks] - Event listeners by event name,
+ *   added before the instance initializes (see on())
+ * @param {Function} [options.resolveBundle] - Bundle resolver, see setBundleResolver()
+ * @param {Object<string, Object>} [options.passes] - Passes by tier name, see definePass()
+ * @param {Object} [options.service] - Service description, see defineService()
+ * @param {Object<string, Object>} [options.routes] - Routes by name, see defineRoute()
+ * @param {RevocationStore} [options.revocationStore] - Revocation list store (default: the
+ *   file store if options.revocationFile is set, else in-memory)
+ * @param {UsageStore|string} [options.usageStore] - Counters for metered tokens: a store
+ *   object, 'memory' (default), 'file' or 'sqlite' (with options.usageFile)
+ * @param {Object<string, Function>} [options.caveats] - Custom caveat satisfiers, key -> (value, context) => boolean
+ * @param {LightningBackend|string} [options.backend] - Backend instance, or 'lnd', 'cln' or
+ *   'memory' to build one from the lndHost/clnRune/... options (same names as CONFIG)
+ * @returns {Object} Instance with handleL402Auth, createMacaroon, verifyMacaroon,
+ *   sendL402Challenge, the express/fastify/koa adapters, createInvoice, getBackend,
+ *   getTokenInfo and config
+ */
+function createL402(options) {
+    const config = { ...DEFAULTS, ...options };
+
+    if (!config.secret || config.secret.length < 32) {
+        throw new Error('createL402: secret is required and must be at least 32 characters');
+    }
+    keys.createKeyring({ secret: config.secret, keyId: config.keyId, retiredKeys: config.retiredKeys });
+    parseChallengeSchemes(config.challengeSchemes);
+    checkTokenSources(config);
+    if (config.tokenFormat !== 'toolkit' && config.tokenFormat !== 'aperture') {
+        throw new Error(`createL402: tokenFormat must be 'toolkit' or 'aperture', got '${config.tokenFormat}'`);
+    }
+    if (!Number.isInteger(config.tokenCacheSize) || config.tokenCacheSize < 0) {
+        throw new Error(`createL402: tokenCacheSize must be a non-negative integer, got '${config.tokenCacheSize}'`);
+    }
+    try {
+        checkInvoiceOptions(config);
+        checkRateLimitOptions(config);
+        checkLogOptions(config);
+    } catch (err) {
+        throw new Error(`createL402: ${err.message}`);
+    }
+
+    const instance = createInstance(config);
+    const backend = typeof config.backend === 'object'
+        ? config.backend
+        : backends.createBackend(config, instance.getLogger());
+    instance.initLnd({ backend });
+    return instance;
+}
+
+// ===========================================
+// Token Attenuation
+// ===========================================
+
+/**
+ * Narrow a token by appending first-party caveats.
+ *
+ * Anyone holding a macaroon can add caveats without the server's secret —
+ * each one extends the HMAC chain, and none can be removed. Use this to hand
+ * a sub-agent or a browser player a shorter-lived, single-method or
+ * single-path credential instead of your full token. The preimage stays the
+ * same: send `L402 <attenuated macaroon>:<preimage>`.
+ *
+ * Usage:
+ *   const narrowed = l402.attenuateToken(macaroon, {
+ *       expiresIn: 300,                         // 5 minutes from now
+ *       method: 'GET',
+ *       pathPrefix: '/api/stream/video-123',
+ *   });
+ *
+ * Servers built on this toolkit enforce method, path_prefix, client_ip,
+ * max_bytes, not_before and expires_at (see lib/caveats.js). Other servers
+ * may ignore caveats they don't understand.
+ *
+ * Aperture-format tokens stay in that format, with caveats written "key=value".
+ *
+ * @param {string} macaroonB64 - Base64-encoded serialized macaroon
+ * @param {string[]|Object} caveats - "key = value" strings, or an object such as
+ *   { expiresIn, expiresAt, notBefore, method, pathPrefix, clientIp, maxBytes }
+ * @returns {string} Base64-encoded attenuated macaroon
+ */
+function attenuateToken(macaroonB64, caveats) {
+    if (aperture.isV2(macaroonB64)) {
+        return aperture.attenuate(macaroonB64, caveatRegistry.formatCaveats(caveats).map(compactCaveat));
+    }
+
+    let builder = MacaroonsBuilder.modify(deserializeV1(macaroonB64));
+    for (const caveat of caveatRegistry.formatCaveats(caveats)) {
+        builder = builder.add_first_party_caveat(caveat);
+    }
+    return builder.getMacaroon().serialize();
+}
+
+// ===========================================
+// Token Inspection
+// ===========================================
+
+/**
+ * First-party caveats of a deserialized macaroon, in order. Not verified.
+ *
+ * @param {Macaroon} macaroon
+ * @returns {string[]}
+ */
+function readCaveats(macaroon) {
+    return macaroon.caveatPackets
+        .filter(caveat => caveat.type === 3) // type 3 = first-party caveat in macaroons.js
+        .map(caveat => caveat.getValueAsText());
+}
+
+/**
+ * Deserialize a V1 macaroon in either base64 alphabet. macaroons.js expects
+ * URL-safe base64 without padding and misreads padded standard base64.
+ */
+function deserializeV1(macaroonB64) {
+    return MacaroonsBuilder.deserialize(
+        macaroonB64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+    );
+}
+
+/**
+ * "key = value" -> "key=value", the form Aperture writes and parses.
+ */
+function compactCaveat(caveat) {
+    const parsed = caveatRegistry.parseCaveat(caveat);
+    return parsed ? `${parsed.key}=${parsed.value}` : caveat;
+}
+
+/**
+ * Deserialize a token in either format: the toolkit's V1 macaroons
+ * (macaroons.js) or Aperture's V2 binary ones (lib/aperture.js). Throws if
+ * it is neither.
+ *
+ * verify() runs satisfy on each caveat in order and throws unless every one
+ * is satisfied and the signature matches the root key. Discharge macaroons
+ * satisfy third-party caveats of toolkit tokens; Aperture-format tokens with
+ * third-party caveats are rejected.
+ *
+ * @param {string} macaroonB64
+ * @param {string[]} [discharges] - Bound discharge macaroons
+ * @returns {{format: string, identifier: {paymentHash: string, keyId: string|null, tokenId: string|null}|null,
+ *   caveats: string[], verify: Function, signatureMatches: function(Buffer|string): boolean}}
+ */
+function decodeToken(macaroonB64, discharges) {
+    if (aperture.isV2(macaroonB64)) {
+        const macaroon = aperture.deserialize(macaroonB64);
+        const id = aperture.decodeIdentifier(macaroon.identifier);
+        return {
+            format: 'aperture',
+            identifier: id && { paymentHash: id.paymentHash, keyId: null, tokenId: id.tokenId },
+            caveats: macaroon.caveats.filter(caveat => !caveat.thirdParty).map(caveat => caveat.id.toString('utf8')),
+            verify(rootKey, satisfy) {
+                if (!aperture.verify(macaroon, rootKey, satisfy)) {
+                    throw new Error('Verification failed. Signature doesn\'t match. Maybe the key was wrong OR some caveats aren\'t satisfied.');
+                }
+            },
+            signatureMatches(rootKey) {
+                try {
+                    return aperture.verify(macaroon, rootKey);
+                } catch {
+                    return false;
+                }
+            },
+        };
+    }
+
+    const macaroon = deserializeV1(macaroonB64);
+    const parsed = keys.parseIdentifier(macaroon.identifier);
+    const bound = (discharges || []).map(deserializeV1);
+
+    function verifier() {
+        const v = new MacaroonsVerifier(macaroon);
+        for (const discharge of bound) v.satisfy3rdParty(discharge);
+        return v;
+    }
+
+    return {
+        format: 'toolkit',
+        identifier: parsed && { ...parsed, tokenId: null },
+        caveats: readCaveats(macaroon),
+        verify(rootKey, satisfy) {
+            verifier().satisfyGeneral(satisfy).assertIsValid(rootKey);
+        },
+        signatureMatches(rootKey) {
+            return verifier().satisfyGeneral(() => true).isValid(rootKey);
+        },
+    };
+}
+
+/**
+ * Extract caveat info from a macaroon without verifying it.
+ * Useful for client-side token management: check expiry before making a request,
+ * pick the best unexpired token from a cache, decide whether to re-authenticate.
+ *
+ * If a caveat appears more than once (the token was attenuated), the most
+ * restrictive value is reported: the earliest expires_at, the lowest price_sats.
+ *
  * Note: expires_at and resource_id are caveats added by this toolkit's createMacaroon().
  * They are NOT part of the L402 spec — third-party L402 services may not include them.
  * If you built your server with this toolkit's l402.js, your tokens will have these fields.
  *
+ * Aperture tokens are read too: format is 'aperture', tokenId is set, and
+ * service and expiresAt come from the services and <service>_valid_until caveats.
+ *
  * @param {string} macaroonBase64 - Base64-encoded serialized macaroon
- * @returns {{resourceId: string|null, expiresAt: number|null, service: string|null}|null}
+ * @returns {{format: string, paymentHash: string|null, keyId: string|null, tokenId: string|null,
+ *   resourceId: string|null, expiresAt: number|null, service: string|null, priceSats: number|null,
+ *   tier: string|null, maxUses: number|null}|null}
  */
 function getTokenInfo(macaroonBase64) {
     try {
-        const macaroon = MacaroonsBuilder.deserialize(macaroonBase64);
-        const info = { resourceId: null, expiresAt: null, service: null };
-        for (const caveat of macaroon.caveatPackets) {
-            if (caveat.type !== 3) continue; // type 3 = first-party caveat in macaroons.js
-            const raw = caveat.getValueAsText();
-            const eq = raw.indexOf('=');
-            if (eq === -1) continue;
-            const key = raw.substring(0, eq).trim();
-            const val = raw.substring(eq + 1).trim();
-            if (key === 'resource_id') info.resourceId = val;
-            else if (key === 'expires_at') info.expiresAt = parseInt(val);
-            else if (key === 'service') info.service = val;
-        }
-        return info;
+        const token = decodeToken(macaroonBase64);
+        const parsed = token.identifier;
+        return {
+            format: token.format,
+            paymentHash: parsed ? parsed.paymentHash : null,
+            keyId: parsed ? parsed.keyId : null,
+            tokenId: parsed ? parsed.tokenId : null,
+            ...caveatRegistry.summarizeCaveats(token.caveats),
+        };
     } catch {
         return null;
     }
@@ -471,13 +3588,68 @@ function getTokenInfo(macaroonBase64) {
 // Exports
 // ===========================================
 
+// The default instance behind the top-level exports, configured from
+// environment variables. Existing `l402.handleL402Auth(...)` callers use this.
+const defaultInstance = createInstance(CONFIG);
+
 module.exports = {
-    initLnd,
-    handleL402Auth,
-    createInvoice,
-    createMacaroon,
-    verifyMacaroon,
-    sendL402Challenge,
+    initLnd: defaultInstance.initLnd,
+    handleL402Auth: defaultInstance.handleL402Auth,
+    checkL402Auth: defaultInstance.checkL402Auth,
+    createInvoice: defaultInstance.createInvoice,
+    getBackend: defaultInstance.getBackend,
+    createMacaroon: defaultInstance.createMacaroon,
+    verifyMacaroon: defaultInstance.verifyMacaroon,
+    registerCaveat: defaultInstance.registerCaveat,
+    describeKeys: defaultInstance.describeKeys,
+    setBundleResolver: defaultInstance.setBundleResolver,
+    definePass: defaultInstance.definePass,
+    revokeToken: defaultInstance.revokeToken,
+    unrevokeToken: defaultInstance.unrevokeToken,
+    isRevoked: defaultInstance.isRevoked,
+    listRevokedTokens: defaultInstance.listRevokedTokens,
+    pruneRevokedTokens: defaultInstance.pruneRevokedTokens,
+    getRevocationStore: defaultInstance.getRevocationStore,
+    getUsageStore: defaultInstance.getUsageStore,
+    getTokenCacheStats: defaultInstance.getTokenCacheStats,
+    getInvoiceStats: defaultInstance.getInvoiceStats,
+    getLogger: defaultInstance.getLogger,
+    on: defaultInstance.on,
+    off: defaultInstance.off,
+    meterUsage: defaultInstance.meterUsage,
+    checkTopUp: defaultInstance.checkTopUp,
+    handleTopUp: defaultInstance.handleTopUp,
+    checkPaymentStatus: defaultInstance.checkPaymentStatus,
+    handlePaymentStatus: defaultInstance.handlePaymentStatus,
+    defineService: defaultInstance.defineService,
+    defineRoute: defaultInstance.defineRoute,
+    getRoute: defaultInstance.getRoute,
+    matchRoute: defaultInstance.matchRoute,
+    routeUrl: defaultInstance.routeUrl,
+    routeHint: defaultInstance.routeHint,
+    describeService: defaultInstance.describeService,
+    buildOpenApi: defaultInstance.buildOpenApi,
+    buildManifest: defaultInstance.buildManifest,
+    checkDiscovery: defaultInstance.checkDiscovery,
+    handleDiscovery: defaultInstance.handleDiscovery,
+    handleRoute: defaultInstance.handleRoute,
+    handleStream: defaultInstance.handleStream,
+    buildPassChallenge: defaultInstance.buildPassChallenge,
+    sendPassChallenge: defaultInstance.sendPassChallenge,
+    sendL402Challenge: defaultInstance.sendL402Challenge,
+    buildL402Challenge: defaultInstance.buildL402Challenge,
+    express: defaultInstance.express,
+    fastify: defaultInstance.fastify,
+    koa: defaultInstance.koa,
     getTokenInfo,
+    attenuateToken,
+    createL402,
+    backends,
+    usageStores,
+    revocation,
+    ratelimit,
+    stream,
+    ERROR_CODES,
+    EVENTS: events.EVENTS,
     CONFIG,
 };
@@ -0,0 +1,272 @@
+/**
+ * lib/aperture.js — Aperture-compatible macaroons
+ *
+ * Aperture (Lightning Labs' L402 proxy) and the Go client tooling built on
+ * it, like lnget, expect:
+ *
+ * - macaroons in the V2 binary format, base64-encoded
+ * - a 66-byte binary identifier: uint16 version (0), 32-byte payment hash,
+ *   32-byte token ID, big-endian
+ * - caveats as "key=value": `services=name:tier,...`,
+ *   `<service>_capabilities=a,b`, `<service>_valid_until=<unix>`
+ *
+ * macaroons.js only handles V1 macaroons with text identifiers, so this
+ * module encodes, decodes, signs, verifies and attenuates V2 macaroons
+ * itself. Signatures follow libmacaroons and gopkg.in/macaroon.v2:
+ *
+ *   sig = HMAC-SHA256(HMAC-SHA256("macaroons-key-generator", rootKey), identifier)
+ *   sig = HMAC-SHA256(sig, caveat)            for each first-party caveat
+ */
+
+const crypto = require('crypto');
+
+const IDENTIFIER_VERSION = 0;
+const IDENTIFIER_LENGTH = 2 + 32 + 32;
+
+// V2 field types
+const FIELD_EOS = 0;
+const FIELD_LOCATION = 1;
+const FIELD_IDENTIFIER = 2;
+const FIELD_VID = 4;
+const FIELD_SIGNATURE = 6;
+
+// ===========================================
+// Identifier
+// ===========================================
+
+/**
+ * @param {string} paymentHash - Hex payment hash
+ * @param {Buffer} [tokenId] - 32 bytes (default: random)
+ * @returns {Buffer} 66-byte identifier
+ */
+function encodeIdentifier(paymentHash, tokenId) {
+    const id = Buffer.alloc(IDENTIFIER_LENGTH);
+    id.writeUInt16BE(IDENTIFIER_VERSION, 0);
+    Buffer.from(paymentHash, 'hex').copy(id, 2);
+    (tokenId || crypto.randomBytes(32)).copy(id, 34);
+    return id;
+}
+
+/**
+ * @param {Buffer} id
+ * @returns {{version: number, paymentHash: string, tokenId: string}|null} null if not an Aperture identifier
+ */
+function decodeIdentifier(id) {
+    if (id.length !== IDENTIFIER_LENGTH || id.readUInt16BE(0) !== IDENTIFIER_VERSION) return null;
+    return {
+        version: IDENTIFIER_VERSION,
+        paymentHash: id.subarray(2, 34).toString('hex'),
+        tokenId: id.subarray(34).toString('hex'),
+    };
+}
+
+// ===========================================
+// V2 Binary Format
+// ===========================================
+
+function writeVarint(value, out) {
+    while (value >= 0x80) {
+        out.push((value & 0x7f) | 0x80);
+        value >>>= 7;
+    }
+    out.push(value);
+}
+
+function writeField(type, data, out) {
+    out.push(type);
+    writeVarint(data.length, out);
+    for (const byte of data) out.push(byte);
+}
+
+/**
+ * Serialize to the V2 binary format, base64-encoded (standard alphabet, as
+ * Aperture sends it).
+ *
+ * @param {{location: string, identifier: Buffer, caveats: Buffer[], signature: Buffer}} macaroon
+ * @returns {string}
+ */
+function serialize(macaroon) {
+    const out = [2];
+    if (macaroon.location) writeField(FIELD_LOCATION, Buffer.from(macaroon.location, 'utf8'), out);
+    writeField(FIELD_IDENTIFIER, macaroon.identifier, out);
+    out.push(FIELD_EOS);
+    for (const caveat of macaroon.caveats) {
+        writeField(FIELD_IDENTIFIER, caveat, out);
+        out.push(FIELD_EOS);
+    }
+    out.push(FIELD_EOS);
+    writeField(FIELD_SIGNATURE, macaroon.signature, out);
+    return Buffer.from(out).toString('base64');
+}
+
+/**
+ * Is this base64 string a V2 binary macaroon? (V1 starts with a hex length.)
+ *
+ * @param {string} macaroonB64
+ * @returns {boolean}
+ */
+function isV2(macaroonB64) {
+    const bytes = decodeBase64(macaroonB64.substring(0, 4));
+    return bytes.length > 0 && bytes[0] === 2;
+}
+
+function decodeBase64(value) {
+    return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Parse a base64 V2 binary macaroon (standard or URL-safe alphabet).
+ * Third-party caveats are kept, flagged, so verification can reject them.
+ *
+ * @param {string} macaroonB64
+ * @returns {{location: string, identifier: Buffer, caveats: Array<{id: Buffer, thirdParty: boolean}>, signature: Buffer}}
+ */
+function deserialize(macaroonB64) {
+    const data = decodeBase64(macaroonB64);
+    let pos = 0;
+
+    function readVarint() {
+        let value = 0;
+        let shift = 0;
+        for (;;) {
+            if (pos >= data.length || shift > 28) throw new Error('Truncated macaroon');
+            const byte = data[pos++];
+            value |= (byte & 0x7f) << shift;
+            if (!(byte & 0x80)) return value >>> 0;
+            shift += 7;
+        }
+    }
+
+    // Reads one field; returns null at an end-of-section marker
+    function readField() {
+        if (pos >= data.length) throw new Error('Truncated macaroon');
+        const type = data[pos++];
+        if (type === FIELD_EOS) return null;
+        const length = readVarint();
+        if (pos + length > data.length) throw new Error('Truncated macaroon');
+        const value = data.subarray(pos, pos + length);
+        pos += length;
+        return { type, value };
+    }
+
+    if (data[pos++] !== 2) throw new Error('Not a V2 macaroon');
+
+    let location = '';
+    let field = readField();
+    if (field && field.type === FIELD_LOCATION) {
+        location = field.value.toString('utf8');
+        field = readField();
+    }
+    if (!field || field.type !== FIELD_IDENTIFIER) throw new Error('Macaroon has no identifier');
+    const identifier = Buffer.from(field.value);
+    if (readField() !== null) throw new Error('Malformed macaroon header');
+
+    const caveats = [];
+    for (;;) {
+        field = readField();
+        if (field === null) break;
+        let thirdParty = false;
+        if (field.type === FIELD_LOCATION) {
+            thirdParty = true;
+            field = readField();
+        }
+        if (!field || field.type !== FIELD_IDENTIFIER) throw new Error('Malformed caveat');
+        const id = Buffer.from(field.value);
+        for (let extra = readField(); extra !== null; extra = readField()) {
+            if (extra.type === FIELD_VID) thirdParty = true;
+        }
+        caveats.push({ id, thirdParty });
+    }
+
+    field = readField();
+    if (!field || field.type !== FIELD_SIGNATURE || field.value.length !== 32) {
+        throw new Error('Macaroon has no signature');
+    }
+
+    return { location, identifier, caveats, signature: Buffer.from(field.value) };
+}
+
+// ===========================================
+// Signing and Verification
+// ===========================================
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function deriveKey(rootKey) {
+    return hmac('macaroons-key-generator', rootKey);
+}
+
+/**
+ * Mint a V2 macaroon.
+ *
+ * @param {Object} params
+ * @param {Buffer|string} params.rootKey
+ * @param {string} params.location
+ * @param {Buffer} params.identifier
+ * @param {string[]} params.caveats - "key=value" strings
+ * @returns {string} Base64 V2 macaroon
+ */
+function mint({ rootKey, location, identifier, caveats }) {
+    let signature = hmac(deriveKey(rootKey), identifier);
+    const encoded = caveats.map(caveat => Buffer.from(caveat, 'utf8'));
+    for (const caveat of encoded) {
+        signature = hmac(signature, caveat);
+    }
+    return serialize({ location, identifier, caveats: encoded, signature });
+}
+
+/**
+ * Append first-party caveats. Needs no root key.
+ *
+ * @param {string} macaroonB64
+ * @param {string[]} caveats
+ * @returns {string}
+ */
+function attenuate(macaroonB64, caveats) {
+    const macaroon = deserialize(macaroonB64);
+    let signature = macaroon.signature;
+    const added = caveats.map(caveat => Buffer.from(caveat, 'utf8'));
+    for (const caveat of added) {
+        signature = hmac(signature, caveat);
+    }
+    return serialize({
+        location: macaroon.location,
+        identifier: macaroon.identifier,
+        caveats: [...macaroon.caveats.map(c => c.id), ...added],
+        signature,
+    });
+}
+
+/**
+ * Verify the signature chain. `satisfy` is called with each caveat in order
+ * and may throw to reject. Third-party caveats are not supported.
+ *
+ * @param {Object} macaroon - From deserialize()
+ * @param {Buffer|string} rootKey
+ * @param {function(string): boolean} [satisfy]
+ * @returns {boolean} true if the signature matches and every caveat was satisfied
+ */
+function verify(macaroon, rootKey, satisfy) {
+    let signature = hmac(deriveKey(rootKey), macaroon.identifier);
+    for (const caveat of macaroon.caveats) {
+        if (caveat.thirdParty) {
+            throw new Error('Third-party caveats are not supported');
+        }
+        if (satisfy && !satisfy(caveat.id.toString('utf8'))) return false;
+        signature = hmac(signature, caveat.id);
+    }
+    return crypto.timingSafeEqual(signature, macaroon.signature);
+}
+
+module.exports = {
+    attenuate,
+    decodeIdentifier,
+    deserialize,
+    encodeIdentifier,
+    isV2,
+    mint,
+    serialize,
+    verify,
+};
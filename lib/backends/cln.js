@@ -0,0 +1,96 @@
+/**
+ * lib/backends/cln.js — Core Lightning backend (clnrest)
+ *
+ * Talks to the clnrest plugin that ships with Core Lightning v23.08+.
+ * Every RPC is a POST to /v1/<method> with a JSON body, authenticated by a
+ * rune in the Rune header. Create a rune restricted to what L402 needs:
+ *
+ *   lightning-cli createrune restrictions='[["method=invoice","method=listinvoices","method=getinfo"]]'
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { createTlsAgent, requestJson } = require('./http');
+const { createConsoleLogger } = require('../logger');
+
+/**
+ * Create a Core Lightning (clnrest) backend.
+ *
+ * @param {Object} options
+ * @param {string} [options.host] - clnrest endpoint (default: https://localhost:3010)
+ * @param {string} [options.rune] - Rune string
+ * @param {string} [options.runePath] - Path to a file containing the rune (instead of rune)
+ * @param {string} [options.tlsCertPath] - Path to clnrest's TLS certificate (ignored for http:)
+ * @param {L402Logger} [options.logger] - For the warning about an unverified TLS connection
+ *   (default: the console logger)
+ * @returns {LightningBackend}
+ */
+function createClnBackend(options) {
+    const host = options.host || 'https://localhost:3010';
+    const rune = options.rune || fs.readFileSync(options.runePath, 'utf8').trim();
+    const agent = host.startsWith('http:')
+        ? undefined
+        : createTlsAgent(options.tlsCertPath, 'CLN_TLS_CERT_PATH', options.logger || createConsoleLogger());
+
+    function clnRequest(method, params) {
+        return requestJson({
+            url: `${host}/v1/${method}`,
+            method: 'POST',
+            headers: { 'Rune': rune },
+            body: params || {},
+            agent: agent,
+            label: 'CLN',
+        });
+    }
+
+    return {
+        name: 'cln',
+
+        async createInvoice(amountSats, memo, invoiceOptions) {
+            const expirySeconds = (invoiceOptions && invoiceOptions.expirySeconds) || 3600;
+            // CLN requires a unique label per invoice
+            const label = `l402-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+            const result = await clnRequest('invoice', {
+                amount_msat: amountSats * 1000,
+                label: label,
+                description: memo,
+                expiry: expirySeconds,
+            });
+            return {
+                paymentHash: result.payment_hash,
+                paymentRequest: result.bolt11,
+            };
+        },
+
+        async lookupInvoice(paymentHash) {
+            const result = await clnRequest('listinvoices', { payment_hash: paymentHash });
+            const invoice = result.invoices && result.invoices[0];
+            if (!invoice) {
+                throw new Error(`CLN error: invoice ${paymentHash} not found`);
+            }
+
+            const settled = invoice.status === 'paid';
+            return {
+                paymentHash: paymentHash,
+                paymentRequest: invoice.bolt11,
+                amountSats: Math.floor((invoice.amount_msat || 0) / 1000),
+                state: settled ? 'settled' : (invoice.status === 'expired' ? 'canceled' : 'open'),
+                settled: settled,
+                settledAt: settled ? invoice.paid_at || null : null,
+                preimage: settled ? invoice.payment_preimage || null : null,
+            };
+        },
+
+        async getInfo() {
+            const result = await clnRequest('getinfo');
+            return {
+                alias: result.alias,
+                pubkey: result.id,
+                network: result.network,
+                blockHeight: result.blockheight,
+            };
+        },
+    };
+}
+
+module.exports = { createClnBackend };
@@ -0,0 +1,79 @@
+/**
+ * lib/backends/index.js — Lightning backend interface
+ *
+ * l402.js never talks to a node directly. It goes through a backend object:
+ *
+ * @typedef {Object} LightningBackend
+ * @property {string} name - Backend identifier ('lnd', 'cln', 'memory', ...)
+ * @property {function(number, string, {expirySeconds?: number}=): Promise<{paymentHash: string, paymentRequest: string}>} createInvoice
+ *   Create an invoice for amountSats with a memo. paymentHash is hex.
+ * @property {function(string): Promise<InvoiceStatus>} lookupInvoice
+ *   Look up an invoice by payment hash (hex).
+ * @property {function(): Promise<{alias: string, pubkey: string, network: string|null, blockHeight: number}>} getInfo
+ *   Basic node info — useful as a health check.
+ *
+ * @typedef {Object} InvoiceStatus
+ * @property {string} paymentHash - Hex payment hash
+ * @property {string} paymentRequest - BOLT11 invoice
+ * @property {number} amountSats - Invoice amount
+ * @property {'open'|'settled'|'canceled'} state
+ * @property {boolean} settled
+ * @property {number|null} settledAt - Unix timestamp of settlement
+ * @property {string|null} preimage - Hex preimage, only once settled
+ *
+ * Any object with these three methods works — pass it as `backend` to use
+ * a node implementation this toolkit doesn't ship.
+ */
+
+const { createLndBackend } = require('./lnd');
+const { createClnBackend } = require('./cln');
+const { createMemoryBackend } = require('./memory');
+
+/**
+ * Build a backend from a config object (see CONFIG in l402.js).
+ * Throws if the selected backend is missing required settings.
+ *
+ * @param {Object} config
+ * @param {string} config.backend - 'lnd', 'cln' or 'memory'
+ * @param {L402Logger} [logger] - Passed on to the backend (see lib/logger.js)
+ * @returns {LightningBackend}
+ */
+function createBackend(config, logger) {
+    switch (config.backend) {
+        case 'lnd':
+            if (!config.lndMacaroonPath) {
+                throw new Error('LND_MACAROON_PATH not set');
+            }
+            return createLndBackend({
+                host: config.lndHost,
+                macaroonPath: config.lndMacaroonPath,
+                tlsCertPath: config.lndTlsCertPath,
+                logger: logger,
+            });
+
+        case 'cln':
+            if (!config.clnRune && !config.clnRunePath) {
+                throw new Error('CLN_RUNE or CLN_RUNE_PATH not set');
+            }
+            return createClnBackend({
+                host: config.clnHost,
+                rune: config.clnRune,
+                runePath: config.clnRunePath,
+                tlsCertPath: config.clnTlsCertPath,
+                logger: logger,
+            });
+
+        case 'memory':
+            return createMemoryBackend();
+
+        default:
+            throw new Error(`Unknown L402_BACKEND '${config.backend}' (expected lnd, cln or memory)`);
+    }
+}
+
+module.exports = {
+    createBackend,
+    createLndBackend,
+    createClnBackend,
+    createMemoryBackend,
+};
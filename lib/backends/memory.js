@@ -0,0 +1,160 @@
+/**
+ * lib/backends/memory.js — In-memory fake Lightning backend
+ *
+ * For running the example servers and integration tests with no node at all.
+ * Invoices get real 32-byte preimages and SHA256 payment hashes, so tokens
+ * minted against them verify exactly like production tokens. The payment
+ * request is BOLT11-shaped but NOT a decodable invoice — "pay" it with
+ * payInvoice() instead of a wallet.
+ *
+ * Nothing is persisted. Restarting the process forgets every invoice, and
+ * unpaid ones are forgotten an hour after they expire.
+ */
+
+const crypto = require('crypto');
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+// Expired, unpaid invoices are still looked up as canceled for this long,
+// then dropped. Sweeps walk every invoice, so they run at most once a minute.
+const EXPIRED_RETENTION_SECONDS = 3600;
+const SWEEP_INTERVAL_SECONDS = 60;
+
+/**
+ * Random bech32-alphabet string (looks like BOLT11 data, isn't).
+ */
+function randomBech32(length) {
+    const bytes = crypto.randomBytes(length);
+    let out = '';
+    for (let i = 0; i < length; i++) {
+        out += BECH32_CHARSET[bytes[i] & 31];
+    }
+    return out;
+}
+
+/**
+ * Create an in-memory fake backend.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.network] - Network label for getInfo and the invoice prefix (default: regtest)
+ * @param {boolean} [options.autoSettle] - Settle every invoice as soon as it is created (default: false)
+ * @returns {LightningBackend & {payInvoice: Function, settleInvoice: Function}}
+ */
+function createMemoryBackend(options) {
+    const network = (options && options.network) || 'regtest';
+    const autoSettle = Boolean(options && options.autoSettle);
+    const prefix = { mainnet: 'lnbc', testnet: 'lntb', signet: 'lntbs', regtest: 'lnbcrt' }[network] || 'lnbcrt';
+    const pubkey = '02' + crypto.randomBytes(32).toString('hex');
+
+    // paymentHash -> invoice record
+    const invoices = new Map();
+    let lastSweep = 0;
+
+    function dropExpired(now) {
+        if (now - lastSweep < SWEEP_INTERVAL_SECONDS) return;
+        lastSweep = now;
+        for (const [paymentHash, invoice] of invoices) {
+            if (!invoice.settled && invoice.expiresAt + EXPIRED_RETENTION_SECONDS < now) {
+                invoices.delete(paymentHash);
+            }
+        }
+    }
+
+    function settle(invoice) {
+        if (!invoice.settled) {
+            invoice.settled = true;
+            invoice.settledAt = Math.floor(Date.now() / 1000);
+        }
+        return { paymentHash: invoice.paymentHash, preimage: invoice.preimage };
+    }
+
+    return {
+        name: 'memory',
+
+        async createInvoice(amountSats, memo, invoiceOptions) {
+            const expirySeconds = (invoiceOptions && invoiceOptions.expirySeconds) || 3600;
+            dropExpired(Math.floor(Date.now() / 1000));
+            const preimage = crypto.randomBytes(32).toString('hex');
+            const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+            // Amount in BOLT11 nano-BTC units: 1 sat = 10n
+            const paymentRequest = `${prefix}${amountSats * 10}n1p${randomBech32(200)}`;
+
+            const invoice = {
+                paymentHash,
+                paymentRequest,
+                preimage,
+                amountSats,
+                memo,
+                createdAt: Math.floor(Date.now() / 1000),
+                expiresAt: Math.floor(Date.now() / 1000) + expirySeconds,
+                settled: false,
+                settledAt: null,
+            };
+            invoices.set(paymentHash, invoice);
+            if (autoSettle) settle(invoice);
+
+            return { paymentHash, paymentRequest };
+        },
+
+        async lookupInvoice(paymentHash) {
+            const invoice = invoices.get(paymentHash);
+            if (!invoice) {
+                throw new Error(`Memory backend error: invoice ${paymentHash} not found`);
+            }
+
+            const expired = !invoice.settled && invoice.expiresAt < Date.now() / 1000;
+            return {
+                paymentHash: paymentHash,
+                paymentRequest: invoice.paymentRequest,
+                amountSats: invoice.amountSats,
+                state: invoice.settled ? 'settled' : (expired ? 'canceled' : 'open'),
+                settled: invoice.settled,
+                settledAt: invoice.settledAt,
+                preimage: invoice.settled ? invoice.preimage : null,
+            };
+        },
+
+        async getInfo() {
+            return {
+                alias: 'l402-memory-backend',
+                pubkey: pubkey,
+                network: network,
+                blockHeight: 0,
+            };
+        },
+
+        /**
+         * Simulate paying an invoice. Returns the preimage, like a wallet would.
+         *
+         * @param {string} paymentRequest - Payment request from createInvoice()
+         * @returns {Promise<{paymentHash: string, preimage: string}>}
+         */
+        async payInvoice(paymentRequest) {
+            for (const invoice of invoices.values()) {
+                if (invoice.paymentRequest === paymentRequest) {
+                    if (!invoice.settled && invoice.expiresAt < Date.now() / 1000) {
+                        throw new Error('Memory backend error: invoice expired');
+                    }
+                    return settle(invoice);
+                }
+            }
+            throw new Error('Memory backend error: unknown payment request');
+        },
+
+        /**
+         * Mark an invoice as paid by payment hash (e.g. from a test).
+         *
+         * @param {string} paymentHash
+         * @returns {Promise<{paymentHash: string, preimage: string}>}
+         */
+        async settleInvoice(paymentHash) {
+            const invoice = invoices.get(paymentHash);
+            if (!invoice) {
+                throw new Error(`Memory backend error: invoice ${paymentHash} not found`);
+            }
+            return settle(invoice);
+        },
+    };
+}
+
+module.exports = { createMemoryBackend };
@@ -0,0 +1,629 @@
+/**
+ * lib/caveats.js — First-party caveat registry
+ *
+ * Every first-party caveat in a token must be satisfied for verification to
+ * pass. A client attenuating its own token (a shorter expires_at, a single
+ * method, a sub-path) therefore gets a real restriction: the server enforces
+ * each caveat it understands, and in strict mode rejects the ones it doesn't.
+ *
+ * Caveats are "key = value" strings. A satisfier receives the value and the
+ * request context, and returns true to accept, false to reject, or throws an
+ * Error whose message explains the rejection. Satisfiers are synchronous —
+ * they run inside the HMAC verifier. A rejection's error_code is
+ * caveat_unsatisfied unless the Error carries another code (lib/errors.js):
+ * resource_id and scope report wrong_resource, expires_at token_expired.
+ *
+ * Aperture's caveats are understood too: `services = name:tier,...`,
+ * `<service>_capabilities = a,b` and `<service>_valid_until = <unix>`. The
+ * last two are matched by key suffix, for any service name.
+ */
+
+const net = require('net');
+const { ERROR_CODES, l402Error } = require('./errors');
+
+/**
+ * Split a "key = value" caveat. Returns null if there is no '='.
+ *
+ * @param {string} caveat
+ * @returns {{key: string, value: string}|null}
+ */
+function parseCaveat(caveat) {
+    const eqIndex = caveat.indexOf('=');
+    if (eqIndex === -1) return null;
+    return {
+        key: caveat.substring(0, eqIndex).trim(),
+        value: caveat.substring(eqIndex + 1).trim(),
+    };
+}
+
+/**
+ * Read the toolkit's own caveats out of a caveat list.
+ * When a caveat appears more than once (client attenuation), the most
+ * restrictive value is reported: the earliest expires_at, the lowest price_sats
+ * and max_uses.
+ *
+ * @param {string[]} caveats
+ * @returns {{resourceId: string|null, expiresAt: number|null, service: string|null, priceSats: number|null, tier: string|null, maxUses: number|null}}
+ */
+function summarizeCaveats(caveats) {
+    const info = { resourceId: null, expiresAt: null, service: null, priceSats: null, tier: null, maxUses: null };
+    let scope = null;
+    for (const caveat of caveats) {
+        const parsed = parseCaveat(caveat);
+        if (!parsed) continue;
+        const { key, value } = parsed;
+        if (key === 'resource_id') info.resourceId = value;
+        else if (key === 'scope') scope = value;
+        else if (key === 'expires_at') info.expiresAt = minOrValue(info.expiresAt, parseInt(value));
+        else if (key === 'service') info.service = value;
+        else if (key === 'services' && info.service === null) info.service = value.split(',')[0].split(':')[0].trim();
+        else if (key.endsWith(VALID_UNTIL_SUFFIX)) info.expiresAt = minOrValue(info.expiresAt, parseInt(value));
+        else if (key === 'price_sats') info.priceSats = minOrValue(info.priceSats, parseInt(value));
+        else if (key === 'tier' && info.tier === null) info.tier = value;
+        else if (key === 'max_uses') info.maxUses = minOrValue(info.maxUses, parseInt(value));
+    }
+    // A token bound to a scope reports the scope, unless narrowed to one resource
+    if (info.resourceId === null) info.resourceId = scope;
+    return info;
+}
+
+const CAPABILITIES_SUFFIX = '_capabilities';
+const VALID_UNTIL_SUFFIX = '_valid_until';
+
+function minOrValue(current, value) {
+    return current === null ? value : Math.min(current, value);
+}
+
+// Friendly option names accepted by formatCaveats(), mapped to caveat keys
+const CAVEAT_ALIASES = {
+    expiresAt: 'expires_at',
+    notBefore: 'not_before',
+    method: 'method',
+    pathPrefix: 'path_prefix',
+    clientIp: 'client_ip',
+    maxBytes: 'max_bytes',
+};
+
+/**
+ * Turn a caveat spec into "key = value" strings.
+ *
+ * Accepts an array of raw caveat strings, or an object:
+ *   { expiresIn: 300, method: 'GET', pathPrefix: '/api/stream/abc' }
+ * expiresIn (seconds from now) becomes expires_at; expiresAt and notBefore
+ * take Unix seconds or a Date; method and clientIp take a string or an
+ * array. Unrecognized keys are written as-is (`account: 'acme'` → `account = acme`).
+ *
+ * @param {string[]|Object} spec
+ * @returns {string[]}
+ */
+function formatCaveats(spec) {
+    if (Array.isArray(spec)) {
+        for (const caveat of spec) {
+            if (typeof caveat !== 'string' || !parseCaveat(caveat)) {
+                throw new Error(`Invalid caveat '${caveat}' — expected "key = value"`);
+            }
+        }
+        return spec;
+    }
+
+    if (!spec || typeof spec !== 'object') {
+        throw new Error('Caveats must be an array of "key = value" strings or an object');
+    }
+
+    const caveats = [];
+    for (const [name, raw] of Object.entries(spec)) {
+        if (raw === undefined || raw === null) continue;
+
+        let key = CAVEAT_ALIASES[name] || name;
+        let value = raw;
+
+        if (name === 'expiresIn') {
+            key = 'expires_at';
+            value = Math.floor(Date.now() / 1000) + parseInt(raw);
+        } else if (raw instanceof Date) {
+            value = Math.floor(raw.getTime() / 1000);
+        } else if (Array.isArray(raw)) {
+            value = raw.join(',');
+        }
+
+        value = String(value).trim();
+        if (!/^[A-Za-z0-9_.-]+$/.test(key) || value === '' || /[\r\n]/.test(value)) {
+            throw new Error(`Invalid caveat ${name}: '${raw}'`);
+        }
+        caveats.push(`${key} = ${value}`);
+    }
+    return caveats;
+}
+
+/**
+ * Build the context satisfiers see.
+ *
+ * @param {Object} params
+ * @param {http.IncomingMessage} [params.req] - Request being authorized (omit for offline verification)
+ * @param {string} params.resourceId - Requested resource
+ * @param {number} params.priceSats - Price of the requested resource
+ * @param {number} [params.contentLength] - Size of the response body, for max_bytes
+ * @param {Object<string, string[]>} [params.bundles] - Bundle members already resolved, by name
+ * @param {Function} [params.resolveBundle] - (name) => string[] for bundles not in params.bundles
+ * @param {Object<string, Object>} [params.passes] - Pass definitions by tier name
+ * @param {string[]} [params.tokenCaveats] - The token's caveats, to recognize a pass
+ * @param {string} [params.capability] - Capability the route requires, e.g. 'download'
+ * @param {string|null} [params.clientIp] - Client address for client_ip, when it isn't the
+ *   connection's (behind a trusted proxy). Default: req.socket.remoteAddress
+ * @param {Object} [params.extra] - Application fields for custom satisfiers
+ * @returns {Object}
+ */
+function createCaveatContext({ req, resourceId, priceSats, contentLength, bundles, resolveBundle, passes, tokenCaveats, capability, clientIp, extra }) {
+    const paidSats = tokenCaveats ? summarizeCaveats(tokenCaveats).priceSats : null;
+    return {
+        now: Math.floor(Date.now() / 1000),
+        resourceId: resourceId,
+        priceSats: priceSats,
+        capability: capability || null,
+        bundles: bundles || null,
+        resolveBundle: resolveBundle || null,
+        passes: passes || {},
+        paidSats: paidSats,
+        pass: findPass(tokenCaveats || [], passes || {}, paidSats),
+        req: req || null,
+        method: req ? req.method : null,
+        // Express rewrites req.url under mounted routers; originalUrl is the full path
+        path: req ? new URL(req.originalUrl || req.url, 'http://localhost').pathname : null,
+        clientIp: !req ? null
+            : clientIp !== undefined ? normalizeIp(clientIp) : normalizeIp(req.socket && req.socket.remoteAddress),
+        range: req ? req.headers['range'] || null : null,
+        contentLength: typeof contentLength === 'number' ? contentLength : null,
+        ...extra,
+    };
+}
+
+/**
+ * The pass a token was bought as, or null. A token is a pass when every tier
+ * caveat names a defined pass and the amount paid covers that pass's price —
+ * so appending `tier = ...` to an ordinary token doesn't make it one.
+ */
+function findPass(tokenCaveats, passes, paidSats) {
+    let pass = null;
+    for (const caveat of tokenCaveats) {
+        const parsed = parseCaveat(caveat);
+        if (!parsed || parsed.key !== 'tier') continue;
+        const candidate = Object.prototype.hasOwnProperty.call(passes, parsed.value) ? passes[parsed.value] : null;
+        if (!candidate || !(paidSats >= candidate.price)) return null;
+        pass = pass || candidate;
+    }
+    return pass;
+}
+
+function normalizeIp(ip) {
+    if (!ip) return null;
+    // IPv4 clients on a dual-stack socket show up as ::ffff:1.2.3.4
+    return ip.startsWith('::ffff:') && net.isIPv4(ip.substring(7)) ? ip.substring(7) : ip;
+}
+
+function requireRequest(context, key) {
+    if (!context.req) {
+        throw new Error(`Caveat '${key}' needs the request to verify`);
+    }
+}
+
+/**
+ * Number of body bytes this request asks for, or null if unknown.
+ * Handles a single "bytes=start-end", "bytes=start-" or "bytes=-suffix" range.
+ * A range that can't be satisfied as written is null too: servers ignore an
+ * invalid Range and send the whole body (RFC 9110), so it can't count as small.
+ */
+function requestedBytes(context) {
+    if (!context.range) return context.contentLength;
+
+    const match = /^bytes=(\d*)-(\d*)$/.exec(context.range.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    const start = match[1] === '' ? null : parseInt(match[1]);
+    const end = match[2] === '' ? null : parseInt(match[2]);
+
+    if (start !== null && end !== null) return end >= start ? end - start + 1 : null;
+    if (start === null) return end > 0 ? end : null; // suffix range: last N bytes
+    if (context.contentLength === null || start >= context.contentLength) return null;
+    return context.contentLength - start;
+}
+
+// ===========================================
+// Resource Scopes
+// ===========================================
+
+// A scope caveat holds a comma-separated list of entries, each an exact
+// resource ID, a glob ('collection/2025/*'), or a named bundle
+// ('bundle:series-1') that the application resolves to IDs or globs. A
+// resource_id caveat is always one exact ID, as in tokens minted before
+// scopes existed: their IDs may contain '*' or ',' and mean them literally.
+const BUNDLE_PREFIX = 'bundle:';
+
+/**
+ * Turn a scope spec into the scope caveat value.
+ *
+ * @param {string|string[]} scope - Resource ID, glob, 'bundle:<name>', or a list of them
+ * @returns {string}
+ */
+function formatScope(scope) {
+    const entries = Array.isArray(scope) ? scope : [scope];
+    if (entries.length === 0) {
+        throw new Error('Resource scope is empty');
+    }
+    for (const entry of entries) {
+        if (typeof entry !== 'string' || entry.trim() === '' || /[,\r\n]/.test(entry)) {
+            throw new Error(`Invalid resource scope entry '${entry}'`);
+        }
+    }
+    return entries.map(e => e.trim()).join(',');
+}
+
+/**
+ * The caveat binding a token to a scope: resource_id for a single exact ID,
+ * scope for a list, a glob or a bundle.
+ *
+ * @param {string|string[]} scope - As for formatScope()
+ * @returns {{key: string, value: string}}
+ */
+function scopeCaveat(scope) {
+    const value = formatScope(scope);
+    const exact = !value.includes(',') && !value.includes('*') && !value.startsWith(BUNDLE_PREFIX);
+    return { key: exact ? 'resource_id' : 'scope', value: value };
+}
+
+function globToRegExp(glob) {
+    const escaped = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp('^' + escaped.join('.*') + '$');
+}
+
+function matchesEntry(entry, resourceId) {
+    return entry.includes('*') ? globToRegExp(entry).test(resourceId) : entry === resourceId;
+}
+
+/**
+ * Members of a named bundle: resolved up front by checkL402Auth() (which can
+ * await an async resolver) or, failing that, by calling the resolver here.
+ */
+function bundleMembers(name, context) {
+    if (context.bundles && Object.prototype.hasOwnProperty.call(context.bundles, name)) {
+        return context.bundles[name];
+    }
+    if (typeof context.resolveBundle !== 'function') {
+        throw new Error(`Token is for bundle '${name}', but no bundle resolver is configured`);
+    }
+    const members = context.resolveBundle(name);
+    if (members && typeof members.then === 'function') {
+        throw new Error(`Bundle '${name}' resolves asynchronously — verify through checkL402Auth()`);
+    }
+    return members;
+}
+
+/**
+ * Does a scope cover the resource? Bundle members may be IDs or globs, but
+ * not further bundles.
+ *
+ * @param {string} scope - scope caveat value
+ * @param {string} resourceId
+ * @param {Object} [context] - Verification context, for bundle resolution
+ * @returns {boolean}
+ */
+function scopeMatches(scope, resourceId, context) {
+    for (const entry of scope.split(',').map(e => e.trim()).filter(Boolean)) {
+        if (entry.startsWith(BUNDLE_PREFIX)) {
+            const members = bundleMembers(entry.substring(BUNDLE_PREFIX.length), context || {});
+            if (Array.isArray(members) && members.some(m => !m.startsWith(BUNDLE_PREFIX) && matchesEntry(m, resourceId))) {
+                return true;
+            }
+        } else if (matchesEntry(entry, resourceId)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Names of the bundles referenced by a token's scope caveats.
+ *
+ * @param {string[]} caveats
+ * @returns {string[]}
+ */
+function bundleNames(caveats) {
+    const names = new Set();
+    for (const caveat of caveats) {
+        const parsed = parseCaveat(caveat);
+        if (!parsed || parsed.key !== 'scope') continue;
+        for (const entry of parsed.value.split(',').map(e => e.trim())) {
+            if (entry.startsWith(BUNDLE_PREFIX)) names.add(entry.substring(BUNDLE_PREFIX.length));
+        }
+    }
+    return [...names];
+}
+
+/**
+ * Built-in satisfiers.
+ */
+const BUILTIN_SATISFIERS = {
+    // resource_id = video-123 — exactly that ID, whatever characters it holds
+    resource_id(value, context) {
+        if (value !== context.resourceId) {
+            throw l402Error(ERROR_CODES.WRONG_RESOURCE, `Token for resource '${value}', but requested '${context.resourceId}'`);
+        }
+        return true;
+    },
+
+    // scope = a,b,c  or  collection/2025/*  or  bundle:series-1
+    scope(value, context) {
+        if (!scopeMatches(value, context.resourceId, context)) {
+            throw l402Error(ERROR_CODES.WRONG_RESOURCE, `Token for resources '${value}', but requested '${context.resourceId}'`);
+        }
+        return true;
+    },
+
+    // Accept any service value — allows cross-service token delegation
+    service() {
+        return true;
+    },
+
+    // services = videos:0,search:1 — Aperture's service list. Like service,
+    // any value is accepted; only the format is checked.
+    services(value) {
+        const entries = value.split(',').map(e => e.trim());
+        if (!entries.every(entry => /^[^:\s]+:\d+$/.test(entry))) {
+            throw new Error(`Invalid services caveat '${value}'`);
+        }
+        return true;
+    },
+
+    // A pass covers every resource in its scope, whatever the item's own price
+    price_sats(value, context) {
+        if (context.pass) return true;
+        if (!(parseInt(value) >= context.priceSats)) {
+            throw new Error(`Token paid ${value} sats, but this resource costs ${context.priceSats} sats`);
+        }
+        return true;
+    },
+
+    // Every expires_at must be in the future, so the earliest one wins
+    expires_at(value, context) {
+        if (!(parseInt(value) >= context.now)) {
+            throw l402Error(ERROR_CODES.TOKEN_EXPIRED, 'Token expired');
+        }
+        return true;
+    },
+
+    // capabilities = preview,stream — what the token may be used for. Checked
+    // when the route names a capability; the error carries `upgrade` so the
+    // 402 can offer the missing one.
+    capabilities(value, context) {
+        if (!context.capability) return true;
+        const allowed = value.split(',').map(c => c.trim()).filter(Boolean);
+        if (!allowed.includes(context.capability)) {
+            const err = new Error(`Token covers ${allowed.join(', ')}, not ${context.capability}`);
+            err.upgrade = { from: allowed, to: context.capability };
+            throw err;
+        }
+        return true;
+    },
+
+    // tier = day-pass — the token was bought as this pass (see findPass)
+    tier(value, context) {
+        const pass = Object.prototype.hasOwnProperty.call(context.passes, value) ? context.passes[value] : null;
+        if (!pass) {
+            throw new Error(`Pass '${value}' is not offered by this service`);
+        }
+        if (!(context.paidSats >= pass.price)) {
+            throw new Error(`Token was not purchased as a '${value}' pass`);
+        }
+        return true;
+    },
+
+    // max_uses = 100 — metered token. The count lives in the usage store and
+    // is spent by checkL402Auth() after verification; here it is only validated.
+    max_uses(value) {
+        if (!(parseInt(value) > 0)) {
+            throw new Error(`Invalid max_uses '${value}'`);
+        }
+        return true;
+    },
+
+    // topup_for = <payment hash> — a top-up token, only redeemable at the top-up route
+    topup_for(value, context) {
+        if (context.topUpFor !== value) {
+            throw new Error('Top-up tokens can only be redeemed at the top-up route');
+        }
+        return true;
+    },
+
+    credits(value) {
+        if (!(parseInt(value) > 0)) {
+            throw new Error(`Invalid credits '${value}'`);
+        }
+        return true;
+    },
+
+    not_before(value, context) {
+        if (!(context.now >= parseInt(value))) {
+            throw new Error(`Token not valid until ${new Date(parseInt(value) * 1000).toISOString()}`);
+        }
+        return true;
+    },
+
+    // method = GET  or  method = GET,HEAD
+    method(value, context) {
+        requireRequest(context, 'method');
+        const allowed = value.split(',').map(m => m.trim().toUpperCase());
+        if (!allowed.includes(context.method.toUpperCase())) {
+            throw new Error(`Token restricted to ${allowed.join(', ')} requests`);
+        }
+        return true;
+    },
+
+    // path_prefix = /api/stream/abc  matches /api/stream/abc and /api/stream/abc/...
+    path_prefix(value, context) {
+        requireRequest(context, 'path_prefix');
+        const prefix = value.endsWith('/') ? value.slice(0, -1) : value;
+        const path = context.path;
+        if (!(path === prefix || path.startsWith(prefix + '/') || (prefix === '' && path.startsWith('/')))) {
+            throw new Error(`Token restricted to paths under '${value}'`);
+        }
+        return true;
+    },
+
+    // client_ip = 203.0.113.7  or  client_ip = 203.0.113.0/24, 2001:db8::/32
+    client_ip(value, context) {
+        requireRequest(context, 'client_ip');
+        const ip = context.clientIp;
+        const family = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+        const list = new net.BlockList();
+        for (const entry of value.split(',').map(e => e.trim()).filter(Boolean)) {
+            const [address, bits] = entry.split('/');
+            const entryFamily = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+            if (bits === undefined) list.addAddress(address, entryFamily);
+            else list.addSubnet(address, parseInt(bits), entryFamily);
+        }
+        if (!ip || !list.check(ip, family)) {
+            throw new Error('Token not valid from this client address');
+        }
+        return true;
+    },
+
+    // max_bytes = 1048576 — caps the body size served per request
+    max_bytes(value, context) {
+        const bytes = requestedBytes(context);
+        if (bytes === null) {
+            throw new Error(context.range
+                ? 'Token has a max_bytes limit, but the Range header is invalid or unbounded'
+                : 'Token has a max_bytes limit, but the response size is unknown');
+        }
+        if (bytes > parseInt(value)) {
+            throw new Error(`Token limited to ${value} bytes per request, but ${bytes} requested`);
+        }
+        return true;
+    },
+};
+
+/**
+ * Satisfiers for Aperture's per-service caveats, by key suffix. They apply
+ * whatever the service prefix, so a token naming several services is held to
+ * the strictest of them.
+ */
+const SUFFIX_SATISFIERS = {
+    // videos_valid_until = 1767225600
+    [VALID_UNTIL_SUFFIX]: BUILTIN_SATISFIERS.expires_at,
+
+    // videos_capabilities = stream,preview — checked when the route names a capability
+    [CAPABILITIES_SUFFIX]: BUILTIN_SATISFIERS.capabilities,
+};
+
+/**
+ * Built-in caveats whose outcome depends only on the token, the requested
+ * resource, price and capability, the clock and the configured passes —
+ * never on the request itself. A verification of a token carrying nothing
+ * else can be cached (see lib/token-cache.js). Bundle scopes are excluded:
+ * the resolver's answer may change.
+ */
+const CACHEABLE_CAVEATS = new Set([
+    'resource_id', 'scope', 'service', 'services', 'price_sats', 'expires_at', 'capabilities', 'tier', 'max_uses', 'credits',
+]);
+
+function suffixSatisfier(key) {
+    for (const [suffix, satisfier] of Object.entries(SUFFIX_SATISFIERS)) {
+        if (key.length > suffix.length && key.endsWith(suffix)) return satisfier;
+    }
+    return null;
+}
+
+/**
+ * Create a caveat registry with the built-in satisfiers plus any custom ones.
+ *
+ * @param {Object<string, function(string, Object): boolean>} [custom] - key -> satisfier
+ * @returns {{register: Function, satisfy: Function, has: Function, isCacheable: Function}}
+ */
+function createCaveatRegistry(custom) {
+    const satisfiers = { ...BUILTIN_SATISFIERS };
+
+    function register(key, satisfier) {
+        if (typeof satisfier !== 'function') {
+            throw new Error(`Satisfier for caveat '${key}' must be a function`);
+        }
+        satisfiers[key] = satisfier;
+    }
+
+    for (const [key, satisfier] of Object.entries(custom || {})) {
+        register(key, satisfier);
+    }
+
+    return {
+        /**
+         * Register (or replace) the satisfier for a caveat key.
+         *
+         * @param {string} key - Caveat key, e.g. 'account'
+         * @param {function(string, Object): boolean} satisfier - (value, context) => boolean, may throw
+         */
+        register,
+
+        has(key) {
+            return Object.prototype.hasOwnProperty.call(satisfiers, key) || suffixSatisfier(key) !== null;
+        },
+
+        /**
+         * Whether a caveat's outcome can be cached: a built-in satisfier that
+         * hasn't been replaced with register(), and reads nothing from the
+         * request (see CACHEABLE_CAVEATS).
+         *
+         * @param {string} caveat - Raw "key = value" caveat
+         * @returns {boolean}
+         */
+        isCacheable(caveat) {
+            const parsed = parseCaveat(caveat);
+            if (!parsed) return false;
+            if (Object.prototype.hasOwnProperty.call(satisfiers, parsed.key)) {
+                if (!CACHEABLE_CAVEATS.has(parsed.key) || satisfiers[parsed.key] !== BUILTIN_SATISFIERS[parsed.key]) return false;
+                return parsed.key !== 'scope' || bundleNames([caveat]).length === 0;
+            }
+            return suffixSatisfier(parsed.key) !== null;
+        },
+
+        /**
+         * Check one caveat against the context. Throws with the rejection reason.
+         *
+         * @param {string} caveat - Raw "key = value" caveat
+         * @param {Object} context - From createCaveatContext()
+         * @param {boolean} [strict] - Reject caveats with no registered satisfier
+         * @returns {boolean}
+         */
+        satisfy(caveat, context, strict) {
+            const parsed = parseCaveat(caveat);
+            if (!parsed) return false;
+
+            const satisfier = (Object.prototype.hasOwnProperty.call(satisfiers, parsed.key) && satisfiers[parsed.key])
+                || suffixSatisfier(parsed.key);
+            if (!satisfier) {
+                if (strict) {
+                    throw new Error(`Unknown caveat '${parsed.key}'`);
+                }
+                // Unknown caveats from client attenuation — accept them in
+                // lenient mode. The server can't enforce what it doesn't know.
+                return true;
+            }
+
+            if (!satisfier(parsed.value, context)) {
+                throw new Error(`Caveat not satisfied: ${caveat}`);
+            }
+            return true;
+        },
+    };
+}
+
+module.exports = {
+    BUILTIN_SATISFIERS,
+    bundleNames,
+    createCaveatRegistry,
+    createCaveatContext,
+    formatCaveats,
+    formatScope,
+    scopeCaveat,
+    normalizeIp,
+    parseCaveat,
+    scopeMatches,
+    summarizeCaveats,
+};
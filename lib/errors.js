@@ -0,0 +1,65 @@
+/**
+ * lib/errors.js — Machine-readable error codes
+ *
+ * Failed verifications, and the 402/401/500 bodies that report them, carry an
+ * `error_code` next to the human-readable message. Clients branch on the code
+ * instead of parsing English:
+ *
+ *   token_malformed      Fix the Authorization header; paying again won't help
+ *   preimage_mismatch    The preimage isn't the one for this token's invoice
+ *   signature_invalid    The token wasn't issued by this server (or its key is gone)
+ *   token_expired        Pay the new invoice for a fresh token
+ *   wrong_resource       The token is for another resource; pay for this one
+ *   revoked              The token was revoked; pay for a new one
+ *   caveat_unsatisfied   Some other restriction failed (method, path, price, credits...)
+ *   backend_unavailable  The server can't reach its Lightning node or stores; retry later
+ *   rate_limited         Too many unpaid requests (challenges, bad tokens); retry after Retry-After
+ *
+ * The codes are part of the public API: new ones may be added, existing ones
+ * don't change meaning.
+ */
+
+const ERROR_CODES = Object.freeze({
+    TOKEN_MALFORMED: 'token_malformed',
+    PREIMAGE_MISMATCH: 'preimage_mismatch',
+    SIGNATURE_INVALID: 'signature_invalid',
+    TOKEN_EXPIRED: 'token_expired',
+    WRONG_RESOURCE: 'wrong_resource',
+    REVOKED: 'revoked',
+    CAVEAT_UNSATISFIED: 'caveat_unsatisfied',
+    BACKEND_UNAVAILABLE: 'backend_unavailable',
+    RATE_LIMITED: 'rate_limited',
+});
+
+const KNOWN_CODES = new Set(Object.values(ERROR_CODES));
+
+/**
+ * An Error carrying one of ERROR_CODES in `code`. Caveat satisfiers throw
+ * these to report a specific code; a plain Error reports caveat_unsatisfied.
+ *
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message
+ * @returns {Error}
+ */
+function l402Error(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+/**
+ * The error's code if it is one of ERROR_CODES, otherwise the fallback.
+ *
+ * @param {Error} err
+ * @param {string} fallback
+ * @returns {string}
+ */
+function codeOf(err, fallback) {
+    return err && KNOWN_CODES.has(err.code) ? err.code : fallback;
+}
+
+module.exports = {
+    ERROR_CODES,
+    codeOf,
+    l402Error,
+};
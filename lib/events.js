@@ -0,0 +1,104 @@
+/**
+ * lib/events.js — Event hooks
+ *
+ * An L402 instance reports what it does as events with structured payloads,
+ * for metrics, analytics and audit trails:
+ *
+ *   initialized      initLnd() succeeded
+ *   challengeIssued  A 402 (or pass or top-up offer) with an invoice was built
+ *   accessGranted    A token was accepted
+ *   accessDenied     A request was refused (a 402 for a bad token, a 429, a 500...)
+ *   invoiceError     The Lightning backend failed to create an invoice
+ *
+ * The payload fields are listed in docs/ARCHITECTURE.md. Listeners are
+ * called synchronously, in the order they were added, once the outcome is
+ * decided; they can't change it. A listener that throws, or returns a
+ * promise that rejects, is logged and the request carries on.
+ *
+ * The event names are part of the public API, like the error codes: payloads
+ * may gain fields, existing ones don't change meaning.
+ */
+
+const EVENTS = Object.freeze(['initialized', 'challengeIssued', 'accessGranted', 'accessDenied', 'invoiceError']);
+
+/**
+ * Check a hooks option: { <event>: listener or [listeners] }.
+ *
+ * @param {Object<string, Function|Function[]>} [hooks]
+ */
+function checkHooks(hooks) {
+    for (const [event, listeners] of Object.entries(hooks || {})) {
+        if (!EVENTS.includes(event)) {
+            throw new Error(`Unknown event '${event}' (expected ${EVENTS.join(', ')})`);
+        }
+        if ([].concat(listeners).some(listener => typeof listener !== 'function')) {
+            throw new Error(`Listeners for '${event}' must be functions`);
+        }
+    }
+}
+
+/**
+ * Create an instance's listener registry.
+ *
+ * @param {Object<string, Function|Function[]>} [hooks] - Listeners to start with
+ * @param {function(string, Error)} onListenerError - Called when a listener throws or rejects
+ * @returns {{on: Function, off: Function, has: Function, emit: Function}}
+ */
+function createHooks(hooks, onListenerError) {
+    checkHooks(hooks);
+    const listeners = new Map(EVENTS.map(event => [event, []]));
+
+    function listenersOf(event) {
+        const list = listeners.get(event);
+        if (!list) {
+            throw new Error(`Unknown event '${event}' (expected ${EVENTS.join(', ')})`);
+        }
+        return list;
+    }
+
+    const registry = {
+        on(event, listener) {
+            checkHooks({ [event]: listener });
+            listenersOf(event).push(listener);
+        },
+
+        off(event, listener) {
+            const list = listenersOf(event);
+            const index = list.indexOf(listener);
+            if (index !== -1) list.splice(index, 1);
+        },
+
+        /**
+         * Whether anyone listens: lets callers skip building costly payloads.
+         */
+        has(event) {
+            return listenersOf(event).length > 0;
+        },
+
+        emit(event, payload) {
+            for (const listener of listenersOf(event).slice()) {
+                try {
+                    const result = listener(payload);
+                    if (result && typeof result.then === 'function') {
+                        result.then(null, err => onListenerError(event, err));
+                    }
+                } catch (err) {
+                    onListenerError(event, err);
+                }
+            }
+        },
+    };
+
+    for (const [event, list] of Object.entries(hooks || {})) {
+        for (const listener of [].concat(list)) {
+            registry.on(event, listener);
+        }
+    }
+    return registry;
+}
+
+module.exports = {
+    EVENTS,
+    checkHooks,
+    createHooks,
+};
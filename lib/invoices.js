@@ -0,0 +1,216 @@
+/**
+ * lib/invoices.js — Challenge reuse and invoice pooling
+ *
+ * Every 402 costs a Lightning invoice: a round trip to the node, and one
+ * more open invoice in its database. A crawler or an agent retrying in a
+ * loop turns that into thousands of invoices. Two ways to cut it down:
+ *
+ * - Challenge reuse: a client asking again for the same resource at the same
+ *   price within a window gets the invoice and macaroon it was already given,
+ *   unless they have been used. One invoice per window, not per request.
+ * - Invoice pool: invoices for chosen price points are created ahead of time
+ *   and refilled in the background, so a 402 doesn't wait on the node.
+ *
+ * Both are used by buildL402Challenge() in l402.js, and both are off unless
+ * configured (L402_CHALLENGE_REUSE_SECONDS, L402_INVOICE_POOL).
+ */
+
+/**
+ * Parse an invoice pool spec: "10:5,100:3" (5 invoices of 10 sats, 3 of
+ * 100) or an object { 10: 5, 100: 3 }.
+ *
+ * @param {string|Object<string, number>|null} [value]
+ * @returns {Object<number, number>} Price in sats -> invoices to keep ready
+ */
+function parseInvoicePool(value) {
+    if (!value) return {};
+    const entries = typeof value === 'string'
+        ? value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => entry.split(':'))
+        : Object.entries(value);
+
+    const sizes = {};
+    for (const [price, size] of entries) {
+        const sats = Number(price);
+        const count = Number(size);
+        if (!Number.isInteger(sats) || sats <= 0 || !Number.isInteger(count) || count <= 0) {
+            throw new Error(`Invalid invoice pool entry '${price}:${size}' — expected <price sats>:<count>`);
+        }
+        sizes[sats] = count;
+    }
+    return sizes;
+}
+
+/**
+ * Create the store of recently issued challenges, by reuse key. Entries are
+ * dropped when their window ends, when the challenge's payment hash is seen
+ * on a token (forget()), and oldest first beyond maxEntries.
+ *
+ * @param {Object} options
+ * @param {number} options.maxEntries
+ * @returns {{reuse: Function, forget: Function, stats: Function}}
+ */
+function createChallengeCache(options) {
+    const maxEntries = options.maxEntries;
+    const entries = new Map();
+    const keysByHash = new Map();
+    let reused = 0;
+
+    function remove(key) {
+        const entry = entries.get(key);
+        if (!entry) return;
+        entries.delete(key);
+        if (entry.paymentHash) keysByHash.delete(entry.paymentHash);
+    }
+
+    return {
+        /**
+         * The challenge issued under this key if its window is still open,
+         * else a new one from create(), kept for windowSeconds. Concurrent
+         * requests with the same key share one create().
+         *
+         * @param {string} key
+         * @param {number} windowSeconds
+         * @param {function(): Promise<{paymentHash: string}>} create
+         * @returns {Promise<Object>} What create() resolved to
+         */
+        reuse(key, windowSeconds, create) {
+            const now = Date.now();
+            const entry = entries.get(key);
+            if (entry && entry.expiresAt > now) {
+                reused++;
+                return entry.promise;
+            }
+            remove(key);
+
+            const fresh = { promise: create(), expiresAt: now + windowSeconds * 1000, paymentHash: null };
+            entries.set(key, fresh);
+            while (entries.size > maxEntries) {
+                remove(entries.keys().next().value);
+            }
+            fresh.promise.then(challenge => {
+                if (entries.get(key) !== fresh) return;
+                fresh.paymentHash = challenge.paymentHash;
+                keysByHash.set(challenge.paymentHash, key);
+            }, () => {
+                // Don't hand a failure to the next request: it gets a new attempt
+                if (entries.get(key) === fresh) entries.delete(key);
+            });
+            return fresh.promise;
+        },
+
+        /**
+         * Stop reusing the challenge for this payment hash — its invoice has
+         * been paid.
+         *
+         * @param {string} paymentHash
+         */
+        forget(paymentHash) {
+            const key = keysByHash.get(paymentHash);
+            if (key !== undefined) remove(key);
+        },
+
+        /**
+         * @returns {{size: number, reused: number}}
+         */
+        stats() {
+            return { size: entries.size, reused };
+        },
+    };
+}
+
+/**
+ * Create a pool of ready-made invoices per price point. take() hands one out
+ * and starts a background refill; invoices older than maxAgeSeconds are
+ * discarded so every invoice handed out has most of its expiry left.
+ *
+ * @param {Object} options
+ * @param {Object<number, number>} options.sizes - From parseInvoicePool()
+ * @param {function(number, string): Promise<{paymentHash: string, paymentRequest: string}>} options.createInvoice
+ * @param {string} options.memo - Memo of every pooled invoice (they aren't tied to a resource yet)
+ * @param {number} options.maxAgeSeconds
+ * @param {function(Error, number)} options.onError - Called when a refill fails, with the
+ *   price in sats
+ * @returns {{take: Function, fill: Function, stats: Function}}
+ */
+function createInvoicePool(options) {
+    const { sizes, createInvoice, memo, maxAgeSeconds, onError } = options;
+    if (typeof onError !== 'function') {
+        throw new Error('Invoice pool needs an onError function for failed refills');
+    }
+    const ready = {};
+    const refills = {};
+    for (const price of Object.keys(sizes)) {
+        ready[price] = [];
+    }
+
+    function prune(price) {
+        const oldest = Date.now() - maxAgeSeconds * 1000;
+        while (ready[price].length > 0 && ready[price][0].createdAt < oldest) {
+            ready[price].shift();
+        }
+    }
+
+    // One refill per price at a time; a failure ends it until the next take()
+    function refill(price) {
+        if (!refills[price]) {
+            refills[price] = (async () => {
+                try {
+                    prune(price);
+                    while (ready[price].length < sizes[price]) {
+                        const { paymentHash, paymentRequest } = await createInvoice(Number(price), memo);
+                        ready[price].push({ paymentHash, paymentRequest, createdAt: Date.now() });
+                    }
+                } catch (err) {
+                    onError(err, Number(price));
+                } finally {
+                    refills[price] = null;
+                }
+            })();
+        }
+        return refills[price];
+    }
+
+    return {
+        /**
+         * A ready invoice for this price, or null if the price isn't pooled
+         * or the pool has run dry (the caller creates one as usual).
+         *
+         * @param {number} priceSats
+         * @returns {{paymentHash: string, paymentRequest: string}|null}
+         */
+        take(priceSats) {
+            if (!ready[priceSats]) return null;
+            prune(priceSats);
+            const invoice = ready[priceSats].shift() || null;
+            refill(priceSats);
+            return invoice && { paymentHash: invoice.paymentHash, paymentRequest: invoice.paymentRequest };
+        },
+
+        /**
+         * Fill every price point. Failures go to onError, not thrown.
+         *
+         * @returns {Promise<void>}
+         */
+        async fill() {
+            await Promise.all(Object.keys(sizes).map(refill));
+        },
+
+        /**
+         * @returns {Object<string, {ready: number, size: number}>} By price in sats
+         */
+        stats() {
+            const stats = {};
+            for (const price of Object.keys(sizes)) {
+                prune(price);
+                stats[price] = { ready: ready[price].length, size: sizes[price] };
+            }
+            return stats;
+        },
+    };
+}
+
+module.exports = {
+    parseInvoicePool,
+    createChallengeCache,
+    createInvoicePool,
+};
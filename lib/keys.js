@@ -0,0 +1,213 @@
+/**
+ * lib/keys.js — Root key ring
+ *
+ * Every token is signed with a root key derived from one master secret in the
+ * ring and the token's payment hash:
+ *
+ *   rootKey = HMAC-SHA256(masterSecret, "l402-token-key:" + keyId + ":" + paymentHash)
+ *
+ * The key ID travels in the macaroon identifier ("<keyId>:<paymentHash>"), so
+ * verification knows which master secret to derive from. Rotating means
+ * adding a new active secret and retiring the old one with a cutoff: tokens
+ * signed with it keep verifying until then. A leaked derived key only signs
+ * tokens for its own payment hash — it reveals nothing about the master
+ * secret or any other token's key.
+ *
+ * Tokens minted before key IDs existed have the bare payment hash as their
+ * identifier and were signed with the master secret directly. They verify
+ * against the active secret and any retired secret still before its cutoff.
+ *
+ * Aperture-format tokens (lib/aperture.js) have a binary identifier with no
+ * room for a key ID. Their root key is derived the same way; verification
+ * tries the active key and each retired key still before its cutoff.
+ */
+
+const crypto = require('crypto');
+
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const PAYMENT_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Build the macaroon identifier for a new token.
+ *
+ * @param {string} keyId
+ * @param {string} paymentHash - Hex payment hash
+ * @returns {string}
+ */
+function formatIdentifier(keyId, paymentHash) {
+    return `${keyId}:${paymentHash}`;
+}
+
+/**
+ * Split a macaroon identifier into key ID and payment hash.
+ *
+ * @param {string} identifier
+ * @returns {{keyId: string|null, paymentHash: string}|null} keyId is null for
+ *   legacy tokens; null if the identifier isn't one of ours
+ */
+function parseIdentifier(identifier) {
+    if (PAYMENT_HASH_PATTERN.test(identifier)) {
+        return { keyId: null, paymentHash: identifier };
+    }
+    const colonIndex = identifier.lastIndexOf(':');
+    if (colonIndex === -1) return null;
+
+    const keyId = identifier.substring(0, colonIndex);
+    const paymentHash = identifier.substring(colonIndex + 1);
+    if (!KEY_ID_PATTERN.test(keyId) || !PAYMENT_HASH_PATTERN.test(paymentHash)) return null;
+    return { keyId, paymentHash };
+}
+
+/**
+ * Parse a cutoff: Unix seconds, a Date, or a date string ('2026-12-31').
+ */
+function parseCutoff(value) {
+    if (value instanceof Date) return Math.floor(value.getTime() / 1000);
+    if (typeof value === 'number') return value;
+    if (/^\d+$/.test(String(value))) return parseInt(value);
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) {
+        throw new Error(`Invalid key cutoff '${value}'`);
+    }
+    return Math.floor(ms / 1000);
+}
+
+/**
+ * Parse L402_RETIRED_KEYS: comma-separated "keyId:secret:cutoff" entries,
+ * cutoff in Unix seconds or as a date (2026-12-31).
+ *
+ * @param {string} [value]
+ * @returns {Array<{id: string, secret: string, validUntil: string}>}
+ */
+function parseRetiredKeys(value) {
+    if (!value) return [];
+    return value.split(',').map(e => e.trim()).filter(Boolean).map(entry => {
+        const first = entry.indexOf(':');
+        const second = entry.indexOf(':', first + 1);
+        if (first === -1 || second === -1) {
+            throw new Error('L402_RETIRED_KEYS entries must be keyId:secret:cutoff');
+        }
+        return {
+            id: entry.substring(0, first),
+            secret: entry.substring(first + 1, second),
+            validUntil: entry.substring(second + 1),
+        };
+    });
+}
+
+/**
+ * Create a key ring.
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Active master secret (min 32 characters)
+ * @param {string} options.keyId - Active key ID
+ * @param {Array<{id: string, secret: string, validUntil: number|string|Date}>|string} [options.retiredKeys]
+ *   Previous secrets; their tokens verify until validUntil. A string is parsed
+ *   as L402_RETIRED_KEYS.
+ * @returns {Object}
+ */
+function createKeyring({ secret, keyId, retiredKeys }) {
+    if (!KEY_ID_PATTERN.test(keyId)) {
+        throw new Error(`Invalid key ID '${keyId}' (letters, digits, _ and -, up to 32)`);
+    }
+
+    const retired = new Map();
+    const retiredList = typeof retiredKeys === 'string' ? parseRetiredKeys(retiredKeys) : retiredKeys;
+    for (const key of retiredList || []) {
+        if (!KEY_ID_PATTERN.test(key.id) || key.id === keyId) {
+            throw new Error(`Invalid retired key ID '${key.id}'`);
+        }
+        if (!key.secret || key.secret.length < 32) {
+            throw new Error(`Retired key '${key.id}' needs a secret of at least 32 characters`);
+        }
+        retired.set(key.id, { id: key.id, secret: key.secret, validUntil: parseCutoff(key.validUntil) });
+    }
+
+    function derive(masterSecret, id, paymentHash) {
+        return crypto.createHmac('sha256', masterSecret)
+            .update(`l402-token-key:${id}:${paymentHash}`)
+            .digest();
+    }
+
+    return {
+        activeKeyId: keyId,
+
+        /**
+         * Identifier and root key for a new token.
+         *
+         * @param {string} paymentHash
+         * @returns {{identifier: string, rootKey: Buffer}}
+         */
+        signingKey(paymentHash) {
+            return {
+                identifier: formatIdentifier(keyId, paymentHash),
+                rootKey: derive(secret, keyId, paymentHash),
+            };
+        },
+
+        /**
+         * Root keys that may have signed a token with this identifier. Throws
+         * if its key is unknown or past its cutoff.
+         *
+         * @param {{keyId: string|null, paymentHash: string}} parsed - From parseIdentifier()
+         * @param {number} now - Unix seconds
+         * @returns {Array<Buffer|string>}
+         */
+        verificationKeys(parsed, now) {
+            const usable = [...retired.values()].filter(key => key.validUntil >= now);
+
+            // Legacy token: signed with a master secret directly
+            if (parsed.keyId === null) {
+                return [secret, ...usable.map(key => key.secret)];
+            }
+
+            if (parsed.keyId === keyId) {
+                return [derive(secret, keyId, parsed.paymentHash)];
+            }
+
+            const key = retired.get(parsed.keyId);
+            if (!key) {
+                throw new Error(`Token signed with unknown key '${parsed.keyId}'`);
+            }
+            if (key.validUntil < now) {
+                throw new Error(`Token signed with key '${parsed.keyId}', retired on ${new Date(key.validUntil * 1000).toISOString()}`);
+            }
+            return [derive(key.secret, key.id, parsed.paymentHash)];
+        },
+
+        /**
+         * Derived root keys for a token whose identifier names no key
+         * (Aperture format): the active key's, then each usable retired key's.
+         *
+         * @param {string} paymentHash
+         * @param {number} now - Unix seconds
+         * @returns {Array<{keyId: string, rootKey: Buffer}>}
+         */
+        derivedKeys(paymentHash, now) {
+            const usable = [...retired.values()].filter(key => key.validUntil >= now);
+            return [
+                { keyId: keyId, rootKey: derive(secret, keyId, paymentHash) },
+                ...usable.map(key => ({ keyId: key.id, rootKey: derive(key.secret, key.id, paymentHash) })),
+            ];
+        },
+
+        /**
+         * Key IDs and cutoffs, without secrets — for admin display.
+         *
+         * @returns {{active: string, retired: Array<{id: string, validUntil: number}>}}
+         */
+        describe() {
+            return {
+                active: keyId,
+                retired: [...retired.values()].map(key => ({ id: key.id, validUntil: key.validUntil })),
+            };
+        },
+    };
+}
+
+module.exports = {
+    createKeyring,
+    formatIdentifier,
+    parseIdentifier,
+    parseRetiredKeys,
+};
@@ -0,0 +1,81 @@
+/**
+ * lib/logger.js — Logger interface and the default console logger
+ *
+ * l402.js logs through a logger object with one method per level:
+ *
+ * @typedef {Object} L402Logger
+ * @property {function(string, Object=)} debug
+ * @property {function(string, Object=)} info
+ * @property {function(string, Object=)} warn
+ * @property {function(string, Object=)} error
+ *
+ * Each method gets a message and, for most lines, an object of structured
+ * fields (resourceId, paymentHash, error...). The default logger prints the
+ * message to the console with the [L402] prefix and drops the fields. Pass
+ * any object with these four methods as `logger` to send both to your own
+ * logging stack: winston-style loggers, which take (message, fields), fit as
+ * they are; for pino, swap the arguments.
+ */
+
+// Lowest level printed by the default logger; 'silent' prints nothing
+const LOG_LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40, silent: 50 });
+
+const CONSOLE_METHODS = {
+    debug: 'debug',
+    info: 'log',
+    warn: 'warn',
+    error: 'error',
+};
+
+/**
+ * Validate a log level name (L402_LOG_LEVEL).
+ *
+ * @param {string} [value] - Default: 'info'
+ * @returns {string}
+ */
+function parseLogLevel(value) {
+    const level = String(value || 'info').trim().toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(LOG_LEVELS, level)) {
+        throw new Error(`Unknown log level '${value}' (expected debug, info, warn, error or silent)`);
+    }
+    return level;
+}
+
+/**
+ * Check that a custom logger has every level's method.
+ *
+ * @param {L402Logger} logger
+ */
+function checkLogger(logger) {
+    for (const level of Object.keys(CONSOLE_METHODS)) {
+        if (!logger || typeof logger[level] !== 'function') {
+            throw new Error(`logger must have a ${level}() method`);
+        }
+    }
+}
+
+/**
+ * The default logger: "[L402] <message>" on the console, info on
+ * console.log, warnings and errors on console.warn and console.error.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.level] - Lowest level printed (default: 'info')
+ * @returns {L402Logger}
+ */
+function createConsoleLogger(options) {
+    const threshold = LOG_LEVELS[parseLogLevel(options && options.level)];
+    const logger = {};
+    for (const [level, method] of Object.entries(CONSOLE_METHODS)) {
+        logger[level] = LOG_LEVELS[level] >= threshold
+            ? message => console[method](`[L402] ${message}`)
+            : () => {};
+    }
+    return logger;
+}
+
+module.exports = {
+    LOG_LEVELS,
+    parseLogLevel,
+    checkLogger,
+    createConsoleLogger,
+};
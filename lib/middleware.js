@@ -0,0 +1,196 @@
+/**
+ * lib/middleware.js — Express, Fastify and Koa adapters
+ *
+ * Thin wrappers around an L402 instance's checkL402Auth(). Each adapter
+ * resolves the resource ID from the request, verifies the token, attaches
+ * the verified token to the request for downstream handlers, and sends the
+ * 402 through the framework's own response API.
+ *
+ * No framework is a dependency — the adapters only use the request/response
+ * objects each framework passes in.
+ */
+
+/**
+ * Resolve the resourceId option: a fixed string or a (possibly async)
+ * function of the framework's request object (Express req, Fastify request,
+ * Koa ctx).
+ */
+async function resolveResourceId(resourceId, frameworkReq) {
+    return typeof resourceId === 'function' ? resourceId(frameworkReq) : resourceId;
+}
+
+/**
+ * Price, bundle and capability functions in the adapters receive the framework's request
+ * object, not the raw Node.js request the core sees.
+ */
+function wrapRequestFn(fn, frameworkReq) {
+    return typeof fn === 'function'
+        ? (req, resourceId) => fn(frameworkReq, resourceId)
+        : fn;
+}
+
+/**
+ * Options of a route declared with defineRoute(): its handleL402Auth()
+ * options, and a resourceId function reading the framework's req.params
+ * (Express and Fastify) or ctx.params (Koa).
+ */
+function routeOptions(name, routeName, instance) {
+    const route = instance.getRoute(routeName);
+    if (!route) {
+        throw new Error(`l402.${name}: unknown route '${routeName}'`);
+    }
+    if (!route.paid) {
+        throw new Error(`l402.${name}: route '${routeName}' is free`);
+    }
+    return {
+        ...route.options,
+        resourceId: frameworkReq => route.resourceId(frameworkReq.params || {}, frameworkReq),
+    };
+}
+
+function splitOptions(name, options, instance) {
+    const { route, ...rest } = options || {};
+    const merged = route === undefined ? rest : { ...routeOptions(name, route, instance), ...rest };
+    const { resourceId, price, bundle, capability, ...challengeOptions } = merged;
+    if (resourceId === undefined || resourceId === null) {
+        throw new Error(`l402.${name}: resourceId option is required`);
+    }
+    return { resourceId, price, bundle, capability, challengeOptions };
+}
+
+/**
+ * Create the adapters for one L402 instance.
+ *
+ * @param {Object} instance - Object with checkL402Auth() and getRoute() (see l402.js)
+ * @returns {{express: Function, fastify: Function, koa: Function}}
+ */
+function createMiddleware(instance) {
+    /**
+     * Express (and Connect-style) middleware.
+     * The verified token is available as req.l402.
+     *
+     * Usage:
+     *   app.get('/api/resource/:id',
+     *       l402.express({ resourceId: req => req.params.id, price: 50 }),
+     *       (req, res) => res.json({ paid: true, token: req.l402 }));
+     *
+     * With a route declared by defineRoute(), its price, hints and resource ID
+     * (from req.params) apply; other options override them:
+     *   app.get('/api/resource/:id', l402.express({ route: 'resource' }), handler);
+     *
+     * @param {Object} options - handleL402Auth() options plus resourceId
+     * @param {string|Function} [options.resourceId] - Resource ID, or req => resourceId
+     *   (required unless options.route is given)
+     * @param {string} [options.route] - Route declared with defineRoute() to take the options from
+     * @param {number|Function} [options.price] - Price in sats, or (req, resourceId) => sats
+     * @param {Object|Function} [options.bundle] - Bundle offer, or (req, resourceId) => offer|null
+     * @param {string|Function} [options.capability] - Capability needed, or (req, resourceId) => name
+     * @returns {Function} (req, res, next) middleware
+     */
+    function express(options) {
+        const { resourceId, price, bundle, capability, challengeOptions } = splitOptions('express', options, instance);
+
+        return function l402Express(req, res, next) {
+            (async () => {
+                const id = await resolveResourceId(resourceId, req);
+                const result = await instance.checkL402Auth(req, id, {
+                    ...challengeOptions,
+                    price: wrapRequestFn(price, req),
+                    bundle: wrapRequestFn(bundle, req),
+                    capability: wrapRequestFn(capability, req),
+                });
+
+                if (result.authorized) {
+                    req.l402 = result.token;
+                    res.set(result.headers);
+                    next();
+                    return;
+                }
+
+                res.status(result.response.status).set(result.response.headers);
+                // The paywall page is a string; res.json() would quote it
+                if (typeof result.response.body === 'string') res.send(result.response.body);
+                else res.json(result.response.body);
+            })().catch(next);
+        };
+    }
+
+    /**
+     * Fastify preHandler hook.
+     * The verified token is available as request.l402.
+     *
+     * Usage:
+     *   fastify.decorateRequest('l402', null);
+     *   fastify.get('/api/resource/:id', {
+     *       preHandler: l402.fastify({ resourceId: request => request.params.id }),
+     *   }, async (request) => ({ paid: true, token: request.l402 }));
+     *
+     * @param {Object} options - Same as express()
+     * @returns {Function} async (request, reply) preHandler
+     */
+    function fastify(options) {
+        const { resourceId, price, bundle, capability, challengeOptions } = splitOptions('fastify', options, instance);
+
+        return async function l402Fastify(request, reply) {
+            const id = await resolveResourceId(resourceId, request);
+            const result = await instance.checkL402Auth(request.raw, id, {
+                ...challengeOptions,
+                price: wrapRequestFn(price, request),
+                bundle: wrapRequestFn(bundle, request),
+                capability: wrapRequestFn(capability, request),
+            });
+
+            if (result.authorized) {
+                request.l402 = result.token;
+                reply.headers(result.headers);
+                return;
+            }
+
+            reply.code(result.response.status)
+                .headers(result.response.headers)
+                .send(result.response.body);
+            return reply;
+        };
+    }
+
+    /**
+     * Koa middleware.
+     * The verified token is available as ctx.state.l402.
+     *
+     * Usage:
+     *   router.get('/api/resource/:id',
+     *       l402.koa({ resourceId: ctx => ctx.params.id }),
+     *       ctx => { ctx.body = { paid: true, token: ctx.state.l402 }; });
+     *
+     * @param {Object} options - Same as express(); functions receive ctx
+     * @returns {Function} async (ctx, next) middleware
+     */
+    function koa(options) {
+        const { resourceId, price, bundle, capability, challengeOptions } = splitOptions('koa', options, instance);
+
+        return async function l402Koa(ctx, next) {
+            const id = await resolveResourceId(resourceId, ctx);
+            const result = await instance.checkL402Auth(ctx.req, id, {
+                ...challengeOptions,
+                price: wrapRequestFn(price, ctx),
+                bundle: wrapRequestFn(bundle, ctx),
+                capability: wrapRequestFn(capability, ctx),
+            });
+
+            if (result.authorized) {
+                ctx.state.l402 = result.token;
+                ctx.set(result.headers);
+                await next();
+                return;
+            }
+
+            ctx.status = result.response.status;
+            ctx.set(result.response.headers);
+            ctx.body = result.response.body;
+        };
+    }
+
+    return { express, fastify, koa };
+}
+
+module.exports = { createMiddleware };
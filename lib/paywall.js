@@ -0,0 +1,212 @@
+/**
+ * lib/paywall.js — HTML paywall page for browser visitors
+ *
+ * A person opening a gated URL in a browser gets a page instead of the 402's
+ * JSON: the price, a QR code of the invoice (rendered here by lib/qr.js, so
+ * the invoice never leaves the server), a copy button, and a form to paste the
+ * preimage and retry with the token. Agents asking for JSON get the JSON.
+ *
+ * The page is self-contained — inline CSS, inline SVG and a small inline
+ * script, no external requests.
+ */
+
+const qr = require('./qr');
+
+/**
+ * Does the request prefer HTML to JSON? True only when text/html is listed
+ * explicitly with a higher q than application/json or a wildcard covering
+ * it. Browsers get the page; curl's bare wildcard, or a tie, keeps JSON.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {boolean}
+ */
+function prefersHtml(req) {
+    const accept = req && req.headers && req.headers['accept'];
+    if (!accept) return false;
+
+    let html = 0;
+    let json = 0;
+    for (const part of accept.split(',')) {
+        const [type, ...params] = part.trim().toLowerCase().split(';').map(p => p.trim());
+        const qParam = params.find(p => p.startsWith('q='));
+        const q = qParam ? parseFloat(qParam.substring(2)) : 1;
+        if (Number.isNaN(q)) continue;
+        if (type === 'text/html') html = Math.max(html, q);
+        else if (type === 'application/json' || type === 'application/*' || type === '*/*') json = Math.max(json, q);
+    }
+    return html > json;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// JSON inside <script>: escape '<' so the data can't close the element
+function scriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * Render the paywall page for a 402 challenge.
+ *
+ * After the preimage is pasted, the script retries the page's own URL with
+ * the token: through the query parameter when that source is enabled,
+ * otherwise with an Authorization header — reloading if the server answers
+ * with a token cookie, or showing the response it got. When the challenge
+ * links a payment status route, the page also listens there and unlocks by
+ * itself once the invoice is paid, no preimage needed.
+ *
+ * @param {Object} challenge - The 402 JSON body from buildL402Challenge()
+ * @param {Object} [options]
+ * @param {string} [options.title] - Resource title (default: the resource ID)
+ * @param {string|null} [options.queryParam] - Query parameter tokens are read from, if enabled
+ * @param {boolean} [options.tokenCookie] - The server sets a token cookie on success
+ * @returns {string} HTML document
+ */
+function renderPaywallPage(challenge, options) {
+    const { title, queryParam, tokenCookie } = options || {};
+    const name = title || challenge.resource_id || 'this resource';
+    const invoice = challenge.invoice;
+    const code = qr.toSvg(qr.encode(`lightning:${invoice}`.toUpperCase()), { title: 'Lightning invoice QR code' });
+    const notice = challenge.error_code ? `<p class="notice">${escapeHtml(challenge.message)}</p>` : '';
+    const summary = challenge.error_code ? `Pay ${challenge.price_sats} sats to access this resource` : challenge.message;
+    const statusUrl = challenge.payment_status ? challenge.payment_status.url : null;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(name)} — ${escapeHtml(challenge.price_sats)} sats</title>
+<style>
+body { font-family: system-ui, sans-serif; background: #f4f4f5; color: #18181b; margin: 0; padding: 2rem 1rem; }
+main { max-width: 26rem; margin: 0 auto; background: #fff; border-radius: 12px; padding: 1.5rem; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); }
+h1 { font-size: 1.25rem; margin: 0 0 0.25rem; overflow-wrap: anywhere; }
+.price { font-size: 2rem; font-weight: 700; margin: 0.5rem 0; }
+.notice { background: #fef3c7; border-radius: 6px; padding: 0.5rem 0.75rem; }
+.qr { display: block; width: 100%; max-width: 20rem; margin: 1rem auto; }
+.invoice { font-family: ui-monospace, monospace; font-size: 0.75rem; word-break: break-all; background: #f4f4f5; border-radius: 6px; padding: 0.5rem; max-height: 4.5rem; overflow: auto; }
+.actions { display: flex; gap: 0.5rem; margin: 0.75rem 0 1.5rem; }
+button, .button { flex: 1; font: inherit; padding: 0.6rem; border-radius: 6px; border: 1px solid #d4d4d8; background: #fff; color: inherit; text-align: center; text-decoration: none; cursor: pointer; }
+.primary { background: #f7931a; border-color: #f7931a; color: #fff; font-weight: 600; }
+label { display: block; font-weight: 600; margin-bottom: 0.25rem; }
+input { box-sizing: border-box; width: 100%; font-family: ui-monospace, monospace; padding: 0.5rem; border-radius: 6px; border: 1px solid #d4d4d8; margin-bottom: 0.5rem; }
+#status { min-height: 1.25rem; color: #b91c1c; }
+.waiting { color: #52525b; }
+details { margin-top: 1.5rem; font-size: 0.875rem; color: #52525b; }
+code { font-size: 0.75rem; word-break: break-all; }
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(name)}</h1>
+<p>${escapeHtml(summary)}</p>
+${notice}
+<p class="price">${escapeHtml(challenge.price_sats)} sats</p>
+<div class="qr">${code}</div>
+<div class="invoice" id="invoice">${escapeHtml(invoice)}</div>
+<div class="actions">
+<button type="button" id="copy">Copy invoice</button>
+<a class="button primary" href="lightning:${escapeHtml(invoice)}">Open wallet</a>
+</div>
+${statusUrl ? '<p class="waiting" id="waiting">Waiting for payment — this page unlocks by itself once the invoice is paid.</p>\n' : ''}<form id="unlock">
+<label for="preimage">${statusUrl ? 'Wallet showed a preimage? Paste it' : 'Paid? Paste the preimage'}</label>
+<input id="preimage" name="preimage" autocomplete="off" spellcheck="false" placeholder="64 hex characters from your wallet">
+<button type="submit" class="primary">Unlock</button>
+<p id="status" role="status"></p>
+</form>
+<noscript><p>Without JavaScript, request this URL again with the header <code>Authorization: L402 &lt;macaroon&gt;:&lt;preimage&gt;</code>.</p></noscript>
+<details>
+<summary>For developers</summary>
+<p>Send <code>Authorization: L402 &lt;macaroon&gt;:&lt;preimage&gt;</code>, or request this URL with <code>Accept: application/json</code> for the machine-readable challenge.</p>
+<p>Macaroon: <code>${escapeHtml(challenge.macaroon)}</code></p>
+</details>
+</main>
+<script id="l402-data" type="application/json">${scriptJson({
+        macaroon: challenge.macaroon,
+        invoice: invoice,
+        statusUrl: statusUrl,
+        queryParam: queryParam || null,
+        tokenCookie: !!tokenCookie,
+    })}</script>
+<script>
+(function () {
+    var data = JSON.parse(document.getElementById('l402-data').textContent);
+    var status = document.getElementById('status');
+
+    document.getElementById('copy').addEventListener('click', function () {
+        var button = this;
+        navigator.clipboard.writeText(data.invoice).then(function () {
+            button.textContent = 'Copied';
+        }, function () {
+            getSelection().selectAllChildren(document.getElementById('invoice'));
+        });
+    });
+
+    document.getElementById('unlock').addEventListener('submit', function (event) {
+        event.preventDefault();
+        var preimage = document.getElementById('preimage').value.trim().toLowerCase();
+        if (!/^[0-9a-f]{64}$/.test(preimage)) {
+            status.textContent = 'The preimage is 64 hex characters — your wallet shows it after paying.';
+            return;
+        }
+        unlock(data.macaroon + ':' + preimage);
+    });
+
+    // Retry this URL with the token
+    function unlock(credentials) {
+        if (data.queryParam && !data.tokenCookie) {
+            var url = new URL(location.href);
+            url.searchParams.set(data.queryParam, credentials);
+            location.replace(url);
+            return;
+        }
+
+        status.textContent = '';
+        fetch(location.href, { headers: { Authorization: 'L402 ' + credentials }, credentials: 'same-origin' })
+            .then(function (res) {
+                if (res.ok) {
+                    if (data.tokenCookie) return location.reload();
+                    return res.blob().then(function (blob) {
+                        location.href = URL.createObjectURL(blob);
+                    });
+                }
+                return res.json().then(function (body) {
+                    status.textContent = body.message || body.error;
+                }, function () {
+                    status.textContent = 'Request failed (' + res.status + ')';
+                });
+            })
+            .catch(function (err) {
+                status.textContent = err.message;
+            });
+    }
+
+    // Wallets that never show the preimage: the server hands over the token once paid
+    if (data.statusUrl && window.EventSource) {
+        var waiting = document.getElementById('waiting');
+        var events = new EventSource(data.statusUrl + '?macaroon=' + encodeURIComponent(data.macaroon));
+        events.addEventListener('settled', function (event) {
+            events.close();
+            var paid = JSON.parse(event.data);
+            if (!paid.token) return;
+            waiting.textContent = 'Paid — unlocking…';
+            unlock(paid.token);
+        });
+        events.addEventListener('canceled', function () {
+            events.close();
+            waiting.textContent = 'This invoice expired. Reload the page for a new one.';
+        });
+    }
+})();
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    prefersHtml,
+    renderPaywallPage,
+};
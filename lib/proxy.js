@@ -0,0 +1,340 @@
+/**
+ * lib/proxy.js — Resource-level L402 reverse proxy
+ *
+ * Puts L402 in front of any HTTP service, whatever language it is written
+ * in. Each request path is matched against the configured routes: regular
+ * expressions whose capture groups build the resource ID. The token is
+ * verified for that resource, then the request is streamed to the upstream
+ * with the L402 credentials removed, and the upstream's response is streamed
+ * back untouched (range requests, chunked bodies, HEAD). bin/l402-proxy.js
+ * is the command-line wrapper.
+ *
+ * Config (JSON):
+ *   {
+ *     "upstream": "http://127.0.0.1:8000",
+ *     "routes": [
+ *       { "match": "^/health$", "free": true },
+ *       { "match": "^/videos/([^/]+)/", "resourceId": "video-$1", "price": 100 },
+ *       { "match": "^/reports/(?<id>[^/]+)$", "methods": ["GET"], "resourceId": "report-$<id>", "price": 50 }
+ *     ]
+ *   }
+ *
+ * Routes are tried in order and the first match wins. A request no route
+ * matches gets a 404, unless "unmatched" is "free".
+ */
+
+const http = require('http');
+const https = require('https');
+const { ERROR_CODES } = require('./errors');
+
+// Fields a route may have. handleL402Auth() receives the last five.
+const ROUTE_FIELDS = ['match', 'methods', 'free', 'resourceId', 'price', 'title', 'consumption', 'credits', 'cost'];
+const AUTH_OPTION_FIELDS = ['price', 'title', 'consumption', 'credits', 'cost'];
+const CONFIG_FIELDS = ['upstream', 'routes', 'unmatched', 'preserveHost', 'port', 'host'];
+
+// Connection-level headers, never forwarded in either direction (RFC 9110 section 7.6.1)
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+    'proxy-connection', 'te', 'trailer', 'transfer-encoding', 'upgrade'];
+
+const L402_AUTHORIZATION_PATTERN = /^\s*(L402|LSAT)\s/i;
+
+/**
+ * Validate a proxy config and compile its routes. Throws on the first problem,
+ * naming the field, so a typo in the file fails at startup rather than
+ * opening or closing a route by accident.
+ *
+ * @param {Object} config - Parsed config file (see the header)
+ * @returns {{upstream: URL, routes: Object[], unmatched: string, preserveHost: boolean, port: number|null, host: string|null}}
+ */
+function compileProxyConfig(config) {
+    if (!config || typeof config !== 'object') {
+        throw new Error('Invalid proxy config: expected a JSON object');
+    }
+    for (const field of Object.keys(config)) {
+        if (!CONFIG_FIELDS.includes(field)) {
+            throw new Error(`Invalid proxy config: unknown field '${field}'`);
+        }
+    }
+
+    let upstream;
+    try {
+        upstream = new URL(config.upstream);
+    } catch (err) {
+        throw new Error(`Invalid proxy config: upstream must be an http(s) URL, got '${config.upstream}'`);
+    }
+    if (upstream.protocol !== 'http:' && upstream.protocol !== 'https:') {
+        throw new Error(`Invalid proxy config: upstream must be an http(s) URL, got '${config.upstream}'`);
+    }
+
+    if (!Array.isArray(config.routes) || config.routes.length === 0) {
+        throw new Error('Invalid proxy config: routes must be a non-empty array');
+    }
+    const unmatched = config.unmatched === undefined ? 'deny' : config.unmatched;
+    if (unmatched !== 'deny' && unmatched !== 'free') {
+        throw new Error(`Invalid proxy config: unmatched must be 'deny' or 'free', got '${unmatched}'`);
+    }
+    if (config.port !== undefined && (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535)) {
+        throw new Error(`Invalid proxy config: port must be an integer from 0 to 65535, got '${config.port}'`);
+    }
+
+    return {
+        upstream: upstream,
+        routes: config.routes.map(compileRoute),
+        unmatched: unmatched,
+        preserveHost: Boolean(config.preserveHost),
+        port: config.port === undefined ? null : config.port,
+        host: config.host || null,
+    };
+}
+
+function compileRoute(route, index) {
+    const where = `Invalid proxy config: routes[${index}]`;
+    if (!route || typeof route !== 'object') {
+        throw new Error(`${where}: expected an object`);
+    }
+    for (const field of Object.keys(route)) {
+        if (!ROUTE_FIELDS.includes(field)) {
+            throw new Error(`${where}: unknown field '${field}'`);
+        }
+    }
+
+    if (typeof route.match !== 'string' || route.match.length === 0) {
+        throw new Error(`${where}.match: expected a regular expression string`);
+    }
+    let pattern;
+    try {
+        pattern = new RegExp(route.match);
+    } catch (err) {
+        throw new Error(`${where}.match: ${err.message}`);
+    }
+    if (route.methods !== undefined && (!Array.isArray(route.methods) || route.methods.length === 0)) {
+        throw new Error(`${where}.methods: expected a non-empty array of HTTP methods`);
+    }
+
+    const free = route.free === true;
+    if (free && route.price !== undefined) {
+        throw new Error(`${where}: a free route has no price`);
+    }
+    if (route.price !== undefined && (!Number.isInteger(route.price) || route.price <= 0)) {
+        throw new Error(`${where}.price: expected a positive integer, got '${route.price}'`);
+    }
+    if (route.resourceId !== undefined && typeof route.resourceId !== 'string') {
+        throw new Error(`${where}.resourceId: expected a string template such as "video-$1"`);
+    }
+
+    const options = {};
+    for (const field of AUTH_OPTION_FIELDS) {
+        if (route[field] !== undefined) options[field] = route[field];
+    }
+
+    return {
+        pattern: pattern,
+        methods: route.methods ? route.methods.map(method => String(method).toUpperCase()) : null,
+        free: free,
+        resourceId: route.resourceId || null,
+        options: options,
+    };
+}
+
+/**
+ * Fill a resource ID template from a regex match: $0 is the whole match,
+ * $1..$9 the numbered groups, $<name> the named ones. A group that didn't
+ * participate expands to ''.
+ *
+ * @param {string} template
+ * @param {RegExpExecArray} match
+ * @returns {string}
+ */
+function expandTemplate(template, match) {
+    return template.replace(/\$(\d)|\$<([A-Za-z_][A-Za-z0-9_]*)>/g, (whole, number, name) => {
+        const value = number !== undefined ? match[Number(number)] : (match.groups || {})[name];
+        return value === undefined ? '' : value;
+    });
+}
+
+function findRoute(routes, method, pathname) {
+    for (const route of routes) {
+        if (route.methods && !route.methods.includes(method) && !(method === 'HEAD' && route.methods.includes('GET'))) {
+            continue;
+        }
+        const match = route.pattern.exec(pathname);
+        if (match) return { route, match };
+    }
+    return null;
+}
+
+function listTokenSources(l402Config) {
+    const sources = l402Config.tokenSources || ['header'];
+    return Array.isArray(sources) ? sources : String(sources).split(',').map(source => source.trim());
+}
+
+function stripHopByHop(headers) {
+    const result = { ...headers };
+    const listed = String(headers.connection || '').split(',').map(name => name.trim().toLowerCase());
+    for (const name of [...HOP_BY_HOP_HEADERS, ...listed]) {
+        delete result[name];
+    }
+    return result;
+}
+
+function sendJson(res, status, body, headers) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the proxy's request handler.
+ *
+ * Usage:
+ *   const l402 = require('l402-toolkit');
+ *   l402.initLnd();
+ *   const handler = createProxyHandler(l402, JSON.parse(fs.readFileSync('proxy.json', 'utf8')));
+ *   http.createServer(handler).listen(8402);
+ *
+ * @param {Object} instance - The l402 module or a createL402() instance
+ * @param {Object} config - Proxy config (see the header); validated here
+ * @returns {Function} async (req, res) handler
+ */
+function createProxyHandler(instance, config) {
+    const proxy = compileProxyConfig(config);
+    const l402Config = instance.config || instance.CONFIG || {};
+    const transport = proxy.upstream.protocol === 'https:' ? https : http;
+    const upstreamBase = proxy.upstream.pathname.replace(/\/+$/, '');
+
+    /**
+     * Headers for the upstream: the client's, minus hop-by-hop headers and the
+     * L402 credentials, plus X-Forwarded-* and what the proxy verified.
+     */
+    function upstreamHeaders(req) {
+        const headers = stripHopByHop(req.headers);
+        const sources = listTokenSources(l402Config);
+
+        if (headers.authorization && L402_AUTHORIZATION_PATTERN.test(headers.authorization)) {
+            delete headers.authorization;
+        }
+        if (headers.cookie && sources.includes('cookie')) {
+            const cookieName = l402Config.tokenCookieName || 'l402_token';
+            const kept = headers.cookie.split(';')
+                .filter(cookie => cookie.split('=')[0].trim() !== cookieName)
+                .join(';').trim();
+            if (kept) headers.cookie = kept;
+            else delete headers.cookie;
+        }
+
+        // The upstream trusts these, so a client must not be able to set them
+        for (const name of Object.keys(headers)) {
+            if (name.startsWith('x-l402-')) delete headers[name];
+        }
+        if (req.l402) {
+            headers['x-l402-resource-id'] = req.l402.resourceId;
+            headers['x-l402-payment-hash'] = req.l402.paymentHash;
+        }
+
+        const remote = req.socket && req.socket.remoteAddress;
+        if (remote) {
+            headers['x-forwarded-for'] = headers['x-forwarded-for'] ? `${headers['x-forwarded-for']}, ${remote}` : remote;
+        }
+        headers['x-forwarded-proto'] = headers['x-forwarded-proto']
+            || (req.socket && req.socket.encrypted ? 'https' : 'http');
+        if (req.headers.host) {
+            headers['x-forwarded-host'] = headers['x-forwarded-host'] || req.headers.host;
+        }
+        if (!proxy.preserveHost) {
+            headers.host = proxy.upstream.host;
+        }
+        return headers;
+    }
+
+    // Upstream path: the upstream's base path + the request path, minus the token query parameter
+    function upstreamPath(url) {
+        if (listTokenSources(l402Config).includes('query')) {
+            url.searchParams.delete(l402Config.tokenQueryParam || 'token');
+        }
+        return `${upstreamBase}${url.pathname}${url.search}`;
+    }
+
+    function forward(req, res, url) {
+        const upstreamReq = transport.request({
+            protocol: proxy.upstream.protocol,
+            hostname: proxy.upstream.hostname.replace(/^\[|\]$/g, ''),
+            port: proxy.upstream.port || undefined,
+            method: req.method,
+            path: upstreamPath(url),
+            headers: upstreamHeaders(req),
+        });
+
+        upstreamReq.on('response', upstreamRes => {
+            const headers = stripHopByHop(upstreamRes.headers);
+            // Keep the token cookie and credit headers handleL402Auth() set,
+            // next to the upstream's own cookies
+            for (const name of res.getHeaderNames()) {
+                if (name === 'set-cookie' && headers['set-cookie']) {
+                    headers['set-cookie'] = [].concat(res.getHeader(name), headers['set-cookie']);
+                } else if (headers[name] === undefined) {
+                    headers[name] = res.getHeader(name);
+                }
+            }
+            res.writeHead(upstreamRes.statusCode, upstreamRes.statusMessage, headers);
+            upstreamRes.pipe(res);
+        });
+
+        upstreamReq.on('error', err => {
+            instance.getLogger().error(`Upstream request failed: ${req.method} ${url.pathname}: ${err.message}`, {
+                method: req.method,
+                path: url.pathname,
+                error: err.message,
+            });
+            if (!res.headersSent) sendJson(res, 502, { error: 'Upstream unavailable' });
+            else res.destroy();
+        });
+
+        // Client went away: stop the upstream transfer too
+        res.on('close', () => {
+            if (!res.writableFinished) upstreamReq.destroy();
+        });
+
+        req.pipe(upstreamReq);
+    }
+
+    return async function l402Proxy(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        // The payment status route (L402_PAYMENT_STATUS_PATH) is answered by the proxy
+        const statusPath = l402Config.paymentStatusPath && l402Config.paymentStatusPath.replace(/\/+$/, '');
+        if (statusPath && url.pathname.startsWith(`${statusPath}/`)) {
+            await instance.handlePaymentStatus(req, res, url.pathname.substring(statusPath.length + 1));
+            return;
+        }
+
+        const found = findRoute(proxy.routes, req.method, url.pathname);
+        if (!found && proxy.unmatched !== 'free') {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        if (found && !found.route.free) {
+            const resourceId = found.route.resourceId
+                ? expandTemplate(found.route.resourceId, found.match)
+                : url.pathname;
+            try {
+                const authorized = await instance.handleL402Auth(req, res, resourceId, found.route.options);
+                if (!authorized) return;
+            } catch (err) {
+                instance.getLogger().error(`Authorization failed for ${resourceId}: ${err.message}`, { resourceId: resourceId, error: err.message });
+                if (!res.headersSent) {
+                    sendJson(res, 500, { error: 'Payment system unavailable', error_code: ERROR_CODES.BACKEND_UNAVAILABLE },
+                        { 'Retry-After': '30' });
+                }
+                return;
+            }
+        }
+
+        forward(req, res, url);
+    };
+}
+
+module.exports = {
+    compileProxyConfig,
+    createProxyHandler,
+    expandTemplate,
+};
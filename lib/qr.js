@@ -0,0 +1,431 @@
+/**
+ * lib/qr.js — QR code encoder for the paywall page
+ *
+ * Renders BOLT11 invoices as QR codes in-process, so the paywall page doesn't
+ * send the invoice to a third-party QR service or pull in a dependency.
+ * Implements ISO/IEC 18004 model 2: byte and alphanumeric modes, versions
+ * 1–40, all four error correction levels and automatic mask selection.
+ *
+ * Usage:
+ *   const qr = encode('LIGHTNING:LNBC10U1P...');
+ *   const svg = toSvg(qr);
+ *
+ * BOLT11 invoices are case-insensitive, and the uppercase form fits
+ * alphanumeric mode, which makes a noticeably smaller code than byte mode.
+ */
+
+// ===========================================
+// Tables
+// ===========================================
+
+// Error correction levels: index into the tables below, and format-info bits
+const ECC_LEVELS = {
+    L: { ordinal: 0, formatBits: 1 },
+    M: { ordinal: 1, formatBits: 0 },
+    Q: { ordinal: 2, formatBits: 3 },
+    H: { ordinal: 3, formatBits: 2 },
+};
+
+// ECC codewords per block, by level then version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+
+// Error correction blocks, by level then version (index 0 unused)
+const NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+const ALPHANUMERIC_PATTERN = /^[0-9A-Z $%*+\-./:]*$/;
+
+// Mode indicator and character-count bit widths for versions 1–9, 10–26, 27–40
+const MODES = {
+    alphanumeric: { indicator: 0x2, countBits: [9, 11, 13] },
+    byte: { indicator: 0x4, countBits: [8, 16, 16] },
+};
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+// ===========================================
+// Encoding
+// ===========================================
+
+/**
+ * Encode text as a QR code, in the smallest version that fits.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.ecl] - Error correction level: 'L', 'M' (default), 'Q' or 'H'
+ * @returns {{version: number, size: number, modules: boolean[][]}} modules[y][x], true = dark
+ */
+function encode(text, options) {
+    const ecl = ECC_LEVELS[(options && options.ecl) || 'M'];
+    if (!ecl) {
+        throw new Error(`Unknown QR error correction level '${options.ecl}'`);
+    }
+
+    const mode = ALPHANUMERIC_PATTERN.test(text) ? 'alphanumeric' : 'byte';
+    const data = mode === 'byte' ? Buffer.from(text, 'utf8') : text;
+
+    let version = 1;
+    for (; version <= 40; version++) {
+        if (segmentBits(mode, data.length, version) <= dataCodewords(version, ecl) * 8) break;
+    }
+    if (version > 40) {
+        throw new Error(`Text too long for a QR code (${data.length} characters)`);
+    }
+
+    const codewords = addErrorCorrection(encodeData(mode, data, version, ecl), version, ecl);
+    return buildMatrix(codewords, version, ecl);
+}
+
+function countBitsFor(mode, version) {
+    return MODES[mode].countBits[version <= 9 ? 0 : version <= 26 ? 1 : 2];
+}
+
+function segmentBits(mode, length, version) {
+    const payload = mode === 'byte' ? length * 8 : Math.floor(length / 2) * 11 + (length % 2) * 6;
+    return 4 + countBitsFor(mode, version) + payload;
+}
+
+// Modules available for data and ECC, once the function patterns are placed
+function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function dataCodewords(version, ecl) {
+    return Math.floor(rawDataModules(version) / 8)
+        - ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] * NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+}
+
+/**
+ * The segment, terminator and padding, as data codewords.
+ */
+function encodeData(mode, data, version, ecl) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    append(MODES[mode].indicator, 4);
+    append(data.length, countBitsFor(mode, version));
+    if (mode === 'byte') {
+        for (const b of data) append(b, 8);
+    } else {
+        for (let i = 0; i + 1 < data.length; i += 2) {
+            append(ALPHANUMERIC_CHARSET.indexOf(data[i]) * 45 + ALPHANUMERIC_CHARSET.indexOf(data[i + 1]), 11);
+        }
+        if (data.length % 2 === 1) append(ALPHANUMERIC_CHARSET.indexOf(data[data.length - 1]), 6);
+    }
+
+    const capacity = dataCodewords(version, ecl) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+/**
+ * Split the data into blocks, append each block's Reed-Solomon ECC, and
+ * interleave the blocks into the final codeword sequence.
+ */
+function addErrorCorrection(data, version, ecl) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+    const divisor = reedSolomonDivisor(eccLength);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const block = data.slice(k, k + shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1));
+        k += block.length;
+        const ecc = reedSolomonRemainder(block, divisor);
+        if (i < numShortBlocks) block.push(0); // placeholder, skipped when interleaving
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - eccLength || j >= numShortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+// ===========================================
+// Reed-Solomon over GF(2^8), polynomial 0x11D
+// ===========================================
+
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+        const factor = b ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+}
+
+// ===========================================
+// Matrix
+// ===========================================
+
+function buildMatrix(codewords, version, ecl) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                setFunction(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    // Alignment patterns, except where they would overlap the finders
+    const positions = alignmentPositions(version, size);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+        positions.forEach((cx, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Reserve the format areas (written per mask below) and the dark module
+    drawFormatBits(setFunction, size, ecl, 0);
+
+    // Version information, versions 7 and up
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    }
+
+    // Data, in two-module columns zigzagging up and down from the bottom right
+    let bit = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5; // skip the vertical timing pattern
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            const y = upward ? size - 1 - vertical : vertical;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (reserved[y][x] || bit >= codewords.length * 8) continue;
+                modules[y][x] = ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+                bit++;
+            }
+        }
+    }
+
+    // Pick the mask with the lowest penalty
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        const candidate = modules.map(row => row.slice());
+        applyMask(candidate, reserved, MASKS[mask]);
+        drawFormatBits((x, y, dark) => { candidate[y][x] = dark; }, size, ecl, mask);
+        const score = penalty(candidate);
+        if (!best || score < best.score) best = { score, modules: candidate };
+    }
+
+    return { version, size, modules: best.modules };
+}
+
+function alignmentPositions(version, size) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let position = size - 7; result.length < numAlign; position -= step) {
+        result.splice(1, 0, position);
+    }
+    return result;
+}
+
+function drawFormatBits(set, size, ecl, mask) {
+    const data = (ecl.formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bitAt = (i) => ((bits >>> i) & 1) === 1;
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) set(8, i, bitAt(i));
+    set(8, 7, bitAt(6));
+    set(8, 8, bitAt(7));
+    set(7, 8, bitAt(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bitAt(i));
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bitAt(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bitAt(i));
+    set(8, size - 8, true);
+}
+
+function applyMask(modules, reserved, mask) {
+    for (let y = 0; y < modules.length; y++) {
+        for (let x = 0; x < modules.length; x++) {
+            if (!reserved[y][x] && mask(x, y)) modules[y][x] = !modules[y][x];
+        }
+    }
+}
+
+// Finder-like runs (1:1:3:1:1 with four light modules on one side)
+const FINDER_LIKE = ['10111010000', '00001011101'];
+
+/**
+ * The standard mask penalty: runs of five or more, 2x2 blocks, finder-like
+ * patterns and dark/light imbalance.
+ */
+function penalty(modules) {
+    const size = modules.length;
+    let score = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i].map(Number).join(''));
+        lines.push(modules.map(row => Number(row[i])).join(''));
+    }
+    for (const line of lines) {
+        for (const run of line.match(/0{5,}|1{5,}/g) || []) score += run.length - 2;
+        for (const pattern of FINDER_LIKE) {
+            for (let at = line.indexOf(pattern); at !== -1; at = line.indexOf(pattern, at + 1)) score += 40;
+        }
+    }
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x + 1 < size && y + 1 < size) {
+                const color = modules[y][x];
+                if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) {
+                    score += 3;
+                }
+            }
+        }
+    }
+
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+}
+
+// ===========================================
+// Rendering
+// ===========================================
+
+/**
+ * Render a QR code as a standalone SVG: one path, dark on light.
+ *
+ * @param {{size: number, modules: boolean[][]}} qr - From encode()
+ * @param {Object} [options]
+ * @param {number} [options.border] - Quiet zone in modules (default: 4, the minimum the spec allows)
+ * @param {string} [options.title] - Accessible title
+ * @returns {string}
+ */
+function toSvg(qr, options) {
+    const border = options && options.border !== undefined ? options.border : 4;
+    const dimension = qr.size + border * 2;
+    let path = '';
+    for (let y = 0; y < qr.size; y++) {
+        for (let x = 0; x < qr.size; x++) {
+            if (qr.modules[y][x]) path += `M${x + border},${y + border}h1v1h-1z`;
+        }
+    }
+    const title = options && options.title ? `<title>${escapeXml(options.title)}</title>` : '';
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges" role="img">`
+        + `${title}<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+module.exports = {
+    encode,
+    toSvg,
+};
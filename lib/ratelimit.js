@@ -0,0 +1,255 @@
+/**
+ * lib/ratelimit.js — Rate limits on 402 challenges
+ *
+ * Every 402 creates a Lightning invoice, so a client requesting challenges in
+ * a loop makes the node do work for free, and a client submitting bad tokens
+ * gets a full verification per attempt. Token buckets sit in front of both:
+ *
+ * - client: per client address (X-Forwarded-For counts only when the
+ *   connection comes from a trusted proxy)
+ * - resource: per resource ID, across all clients
+ * - global: everything the instance serves
+ *
+ * A bucket holds `limit` requests and refills at limit/windowSeconds per
+ * second: short bursts pass, a steady flood is held to the rate. Requests with
+ * a valid token never spend from a bucket. checkL402Auth() in l402.js does the
+ * spending; buckets are kept in a store:
+ *
+ * @typedef {Object} RateLimitStore
+ * @property {string} name - Store identifier ('memory', ...)
+ * @property {function(string, RateLimitBucket): Promise<RateLimitResult>} take
+ *   Spend one request from the bucket if it has one. Must be atomic per key.
+ * @property {function(string, RateLimitBucket): Promise<RateLimitResult>} peek
+ *   Whether take() would succeed, without spending.
+ *
+ * @typedef {Object} RateLimitBucket
+ * @property {number} capacity - Requests the bucket holds when full (the burst)
+ * @property {number} refillPerSecond
+ *
+ * @typedef {Object} RateLimitResult
+ * @property {boolean} allowed
+ * @property {number} retryAfterSeconds - Whole seconds until a request is available (0 if allowed)
+ *
+ * Any object with these two methods works — pass it as `rateLimitStore` to
+ * share buckets between processes.
+ */
+
+const net = require('net');
+const { normalizeIp } = require('./caveats');
+
+// Checked in this order; a request turned away by one doesn't spend from the next
+const SCOPES = ['client', 'resource', 'global'];
+
+// Buckets the memory store keeps before dropping the least recently used
+const DEFAULT_MAX_KEYS = 100000;
+
+/**
+ * Parse rate limits: "client=20/60,resource=200/60,global=1000/60" (20
+ * requests per 60 seconds per client, ...) or an object such as
+ * { client: '20/60', global: { limit: 1000, windowSeconds: 60 } }.
+ * Scopes left out are not limited.
+ *
+ * @param {string|Object|null} [value]
+ * @returns {Object<string, {limit: number, windowSeconds: number}>} By scope
+ */
+function parseRateLimits(value) {
+    if (!value) return {};
+    const entries = typeof value === 'string'
+        ? value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+            const index = entry.indexOf('=');
+            return index === -1 ? [entry, ''] : [entry.substring(0, index).trim(), entry.substring(index + 1).trim()];
+        })
+        : Object.entries(value);
+
+    const limits = {};
+    for (const [scope, spec] of entries) {
+        if (!SCOPES.includes(scope)) {
+            throw new Error(`Unknown rate limit scope '${scope}' (expected client, resource or global)`);
+        }
+        const [limit, windowSeconds] = spec && typeof spec === 'object'
+            ? [spec.limit, spec.windowSeconds]
+            : String(spec).split('/').map(part => (part.trim() === '' ? NaN : Number(part)));
+        if (!Number.isInteger(limit) || limit <= 0 || !Number.isInteger(windowSeconds) || windowSeconds <= 0) {
+            throw new Error(`Invalid rate limit for '${scope}' — expected <requests>/<seconds>, got '${typeof spec === 'object' ? JSON.stringify(spec) : spec}'`);
+        }
+        limits[scope] = { limit, windowSeconds };
+    }
+    return limits;
+}
+
+/**
+ * Parse trusted proxy addresses: "127.0.0.1, 10.0.0.0/8" or an array of
+ * addresses and CIDR ranges.
+ *
+ * @param {string|string[]|null} [value]
+ * @returns {net.BlockList|null} null if there are none
+ */
+function parseTrustedProxies(value) {
+    const entries = (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(entry => String(entry).trim())
+        .filter(Boolean);
+    if (entries.length === 0) return null;
+
+    const list = new net.BlockList();
+    for (const entry of entries) {
+        const [address, bits] = entry.split('/');
+        const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        const prefix = Number(bits);
+        if (!net.isIP(address) || (bits !== undefined
+            && (!Number.isInteger(prefix) || prefix < 0 || prefix > (family === 'ipv6' ? 128 : 32)))) {
+            throw new Error(`Invalid trusted proxy '${entry}' — expected an IP address or CIDR range`);
+        }
+        if (bits === undefined) list.addAddress(address, family);
+        else list.addSubnet(address, prefix, family);
+    }
+    return list;
+}
+
+function isTrusted(trustedProxies, ip) {
+    return Boolean(net.isIP(ip)) && trustedProxies.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * The client's address. Without trusted proxies that's the connection's
+ * address. With them, X-Forwarded-For is read from the nearest hop back, and
+ * the first address not belonging to a trusted proxy is the client — hops
+ * further left were written by the client itself and prove nothing.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {net.BlockList|null} trustedProxies - From parseTrustedProxies()
+ * @returns {string|null}
+ */
+function clientAddress(req, trustedProxies) {
+    let address = normalizeIp(req.socket && req.socket.remoteAddress);
+    if (!trustedProxies || !address) return address;
+
+    const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')
+        .map(hop => normalizeIp(hop.trim()))
+        .filter(Boolean);
+    while (isTrusted(trustedProxies, address) && forwarded.length > 0) {
+        const hop = forwarded.pop();
+        if (!net.isIP(hop)) break; // Garbled header: the last proxy is as far as we can trust
+        address = hop;
+    }
+    return address;
+}
+
+function toBucket({ limit, windowSeconds }) {
+    return { capacity: limit, refillPerSecond: limit / windowSeconds };
+}
+
+function bucketKey(scope, keys) {
+    if (scope === 'client') return keys.client ? `client:${keys.client}` : null;
+    if (scope === 'resource') return `resource:${keys.resource}`;
+    return 'global';
+}
+
+/**
+ * Spend one request from each limited scope, client first. Stops at the first
+ * empty bucket, so a client that is turned away doesn't use up the resource
+ * and global budgets.
+ *
+ * @param {RateLimitStore} store
+ * @param {Object} limits - From parseRateLimits()
+ * @param {{client: string|null, resource: string}} keys - A null client is not limited per client
+ * @returns {Promise<{allowed: boolean, scope: string|null, retryAfterSeconds: number}>}
+ *   scope: the bucket that was empty
+ */
+async function takeRequest(store, limits, keys) {
+    for (const scope of SCOPES) {
+        const key = limits[scope] ? bucketKey(scope, keys) : null;
+        if (key === null) continue;
+        const result = await store.take(key, toBucket(limits[scope]));
+        if (!result.allowed) {
+            return { allowed: false, scope: scope, retryAfterSeconds: result.retryAfterSeconds };
+        }
+    }
+    return { allowed: true, scope: null, retryAfterSeconds: 0 };
+}
+
+/**
+ * Whether the client's own bucket has a request left, without spending it.
+ *
+ * @param {RateLimitStore} store
+ * @param {Object} limits - From parseRateLimits()
+ * @param {string|null} client
+ * @returns {Promise<{allowed: boolean, scope: string|null, retryAfterSeconds: number}>}
+ */
+async function peekClient(store, limits, client) {
+    if (!limits.client || !client) return { allowed: true, scope: null, retryAfterSeconds: 0 };
+    const result = await store.peek(bucketKey('client', { client }), toBucket(limits.client));
+    return { allowed: result.allowed, scope: result.allowed ? null : 'client', retryAfterSeconds: result.retryAfterSeconds };
+}
+
+/**
+ * In-memory bucket store. Operations complete without yielding, so take() is
+ * atomic within one process. Full buckets are swept out once the store holds
+ * maxKeys; if that isn't enough, the least recently spent are dropped, which
+ * hands those clients a full bucket again.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxKeys] - Default: 100000
+ * @returns {RateLimitStore}
+ */
+function createMemoryRateLimitStore(options) {
+    const maxKeys = (options && options.maxKeys) || DEFAULT_MAX_KEYS;
+    // Insertion order doubles as least-recently-spent order: take() re-inserts
+    const buckets = new Map();
+    let lastSweep = 0;
+
+    function level(entry, bucket, now) {
+        return Math.min(bucket.capacity, entry.tokens + (now - entry.updatedAt) / 1000 * bucket.refillPerSecond);
+    }
+
+    function check(key, bucket, now) {
+        const entry = buckets.get(key);
+        const tokens = entry ? level(entry, bucket, now) : bucket.capacity;
+        return {
+            tokens: tokens,
+            result: tokens >= 1
+                ? { allowed: true, retryAfterSeconds: 0 }
+                : { allowed: false, retryAfterSeconds: Math.max(1, Math.ceil((1 - tokens) / bucket.refillPerSecond)) },
+        };
+    }
+
+    function evict(now) {
+        // A sweep walks every bucket: at most one a second, however hard we're hit
+        if (now - lastSweep >= 1000) {
+            lastSweep = now;
+            for (const [key, entry] of buckets) {
+                if (level(entry, entry, now) >= entry.capacity) buckets.delete(key);
+            }
+        }
+        while (buckets.size > maxKeys) {
+            buckets.delete(buckets.keys().next().value);
+        }
+    }
+
+    return {
+        name: 'memory',
+
+        async take(key, bucket) {
+            const now = Date.now();
+            const { tokens, result } = check(key, bucket, now);
+            if (!result.allowed) return result;
+
+            buckets.delete(key);
+            buckets.set(key, { tokens: tokens - 1, updatedAt: now, ...bucket });
+            if (buckets.size > maxKeys) evict(now);
+            return result;
+        },
+
+        async peek(key, bucket) {
+            return check(key, bucket, Date.now()).result;
+        },
+    };
+}
+
+module.exports = {
+    parseRateLimits,
+    parseTrustedProxies,
+    clientAddress,
+    takeRequest,
+    peekClient,
+    createMemoryRateLimitStore,
+};
@@ -0,0 +1,114 @@
+/**
+ * lib/revocation.js — Revocation list for individual tokens
+ *
+ * Tokens are revoked by payment hash (the macaroon identifier), so cutting off
+ * one leaked token leaves every other customer's token working — unlike
+ * rotating L402_SECRET.
+ *
+ * Store methods are synchronous: verifyMacaroon() checks the list inside
+ * verification, which is synchronous. A store backed by a shared database
+ * should keep a local copy of the list and refresh it in the background.
+ *
+ * @typedef {Object} RevocationStore
+ * @property {string} name - Store identifier ('memory', 'file', ...)
+ * @property {function(string): RevocationEntry|null} get - Entry for a payment hash
+ * @property {function(RevocationEntry): void} set - Add or replace an entry
+ * @property {function(string): boolean} delete - Remove an entry; true if it existed
+ * @property {function(): RevocationEntry[]} list - Every entry
+ *
+ * @typedef {Object} RevocationEntry
+ * @property {string} paymentHash - Hex payment hash of the revoked token
+ * @property {string} reason - Shown to whoever presents the token
+ * @property {number} revokedAt - Unix seconds
+ * @property {number|null} expiresAt - When the token would have expired anyway
+ *   (null until known — it's filled in the first time the token is presented)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create an in-memory revocation store. Entries are lost on restart.
+ *
+ * @returns {RevocationStore}
+ */
+function createMemoryRevocationStore() {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+        get: (paymentHash) => entries.get(paymentHash) || null,
+        set: (entry) => { entries.set(entry.paymentHash, entry); },
+        delete: (paymentHash) => entries.delete(paymentHash),
+        list: () => [...entries.values()],
+    };
+}
+
+/**
+ * Create a revocation store kept in a JSON file. The file is read once at
+ * startup and rewritten (temp file + rename) on every change — revocations
+ * are rare admin actions, so writes are synchronous.
+ *
+ * @param {Object} options
+ * @param {string} options.path - JSON file (created if missing)
+ * @returns {RevocationStore}
+ */
+function createFileRevocationStore(options) {
+    const filePath = options && options.path;
+    if (!filePath) {
+        throw new Error('File revocation store needs a path (L402_REVOCATION_FILE)');
+    }
+
+    const entries = new Map();
+    try {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        for (const entry of saved.revoked || []) {
+            entries.set(entry.paymentHash, entry);
+        }
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            throw new Error(`Could not read revocation file ${filePath}: ${err.message}`);
+        }
+    }
+
+    function save() {
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(tmpPath, JSON.stringify({ revoked: [...entries.values()] }, null, 2));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    return {
+        name: 'file',
+        get: (paymentHash) => entries.get(paymentHash) || null,
+        set(entry) {
+            entries.set(entry.paymentHash, entry);
+            save();
+        },
+        delete(paymentHash) {
+            const existed = entries.delete(paymentHash);
+            if (existed) save();
+            return existed;
+        },
+        list: () => [...entries.values()],
+    };
+}
+
+/**
+ * Build a revocation store from a config object (see CONFIG in l402.js):
+ * the file store if config.revocationFile is set, otherwise memory.
+ *
+ * @param {Object} config
+ * @returns {RevocationStore}
+ */
+function createRevocationStore(config) {
+    return config.revocationFile
+        ? createFileRevocationStore({ path: config.revocationFile })
+        : createMemoryRevocationStore();
+}
+
+module.exports = {
+    createRevocationStore,
+    createMemoryRevocationStore,
+    createFileRevocationStore,
+};
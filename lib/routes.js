@@ -0,0 +1,566 @@
+/**
+ * lib/routes.js — Paid-route registry and discovery documents
+ *
+ * Each route is declared once: path, method, how the resource ID is read
+ * from it, price, consumption hints and a description. Everything an agent
+ * reads to find the routes is generated from those declarations:
+ *
+ *   - the self-describing root document (Pattern 1 in docs/AGENT-DISCOVERY.md)
+ *   - an OpenAPI 3 spec with an L402 security scheme and per-operation prices
+ *   - the /.well-known/l402 manifest a service directory registers (Pattern 11)
+ *
+ * The handlers that charge for a route read the same declaration, so the
+ * documents can't drift from the prices actually charged.
+ *
+ * Paths use the `:param` syntax Express, Koa and Fastify share. A last
+ * segment `*param` matches the rest of the path, slashes included
+ * (`/api/stream/:id/*file` for `/api/stream/abc/720p/seg_004.ts`).
+ */
+
+const ROUTE_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const PARAM_PATTERN = /^([:*])([A-Za-z_][A-Za-z0-9_]*)$/;
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const WELL_KNOWN_PATH = '/.well-known/l402';
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a route path such as '/api/resource/:id'.
+ *
+ * @param {string} path
+ * @returns {{pattern: RegExp, params: string[], template: string}} template is
+ *   the OpenAPI form, '/api/resource/{id}'
+ */
+function compilePath(path) {
+    if (typeof path !== 'string' || !path.startsWith('/')) {
+        throw new Error(`Invalid route path '${path}' (must start with /)`);
+    }
+    const params = [];
+    const regexParts = [];
+    const templateParts = [];
+    const segments = path.split('/').slice(1);
+    segments.forEach((segment, i) => {
+        const param = PARAM_PATTERN.exec(segment);
+        if (!param) {
+            regexParts.push(escapeRegExp(segment));
+            templateParts.push(segment);
+            return;
+        }
+        if (params.includes(param[2])) {
+            throw new Error(`Route path '${path}' repeats parameter ${param[2]}`);
+        }
+        const rest = param[1] === '*';
+        if (rest && i !== segments.length - 1) {
+            throw new Error(`Route path '${path}': *${param[2]} must be the last segment`);
+        }
+        params.push(param[2]);
+        regexParts.push(rest ? '(.+)' : '([^/]+)');
+        templateParts.push(`{${param[2]}}`);
+    });
+    return {
+        pattern: new RegExp(`^/${regexParts.join('/')}$`),
+        params: params,
+        template: `/${templateParts.join('/')}`,
+    };
+}
+
+/**
+ * Capability table of a route as 402-style offers, or undefined.
+ */
+function capabilityOffers(capabilities) {
+    if (!capabilities) return undefined;
+    return Object.entries(capabilities).map(([name, value]) => ({
+        capability: name,
+        price_sats: value !== null && typeof value === 'object' ? value.price : value,
+        description: (value && value.description) || undefined,
+    }));
+}
+
+/**
+ * Create an empty route registry. Each L402 instance has its own.
+ *
+ * The document builders take a context describing the instance:
+ *   { baseUrl, enabled, priceSats, expirySeconds, passes, paymentStatusPath }
+ * baseUrl (e.g. 'https://api.example.com') makes the manifest's URLs
+ * absolute; without it they stay paths.
+ *
+ * @returns {Object} Registry API
+ */
+function createRouteRegistry() {
+    const routes = new Map();
+    let service = {};
+
+    /**
+     * Describe the service as a whole. Unknown fields are copied into the
+     * root document, after the pricing summary.
+     *
+     * @param {Object} info
+     * @param {string} info.name
+     * @param {string} [info.description]
+     * @param {string} [info.url] - Public base URL, e.g. 'https://api.example.com'
+     *   (default: from each request's Host header)
+     * @param {string} [info.version] - API version for the OpenAPI spec (default: '1.0.0')
+     * @param {string|string[]} [info.rootPath] - Path(s) of the root document (default: '/api')
+     * @param {string} [info.openapiPath] - Path of the OpenAPI spec (default: '/openapi.json')
+     * @param {string[]} [info.flow] - Replaces the generated l402_flow steps
+     * @param {string[]} [info.notes] - Lines appended to l402_flow
+     */
+    function defineService(info) {
+        const { name, description, url, version, rootPath = '/api', openapiPath = '/openapi.json', flow, notes, ...extra } = info || {};
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new Error('defineService: name is required');
+        }
+        const rootPaths = Array.isArray(rootPath) ? rootPath : [rootPath];
+        for (const path of [...rootPaths, openapiPath]) {
+            compilePath(path);
+        }
+        service = {
+            name: name,
+            description: description || null,
+            url: url ? url.replace(/\/+$/, '') : null,
+            version: version || '1.0.0',
+            rootPaths: rootPaths,
+            openapiPath: openapiPath,
+            flow: flow || null,
+            notes: notes || [],
+            extra: extra,
+        };
+    }
+
+    /**
+     * Declare a route. Defining a name again replaces the earlier route.
+     *
+     * Every field other than those below is passed to handleL402Auth() when
+     * the route is charged for: price, capabilities, capability, bundle,
+     * credits, consumption, title and the rest.
+     *
+     * @param {string} name - Route name, the key in the root document's endpoints
+     * @param {Object} definition
+     * @param {string} definition.path - e.g. '/api/resource/:id'
+     * @param {string} [definition.method] - HTTP method (default: 'GET'; HEAD matches GET routes)
+     * @param {string} [definition.auth] - 'L402' (default) or 'none' for a free route
+     * @param {string|Function} [definition.resourceId] - Fixed ID, or (params, req) => ID that
+     *   may be async. Required for paid paths with parameters; otherwise defaults to the name
+     * @param {string} [definition.description]
+     * @param {string} [definition.pricing] - Explains a price that isn't fixed
+     *   ("per item — see cost_sats on each /api/catalog result")
+     * @param {Object<string, string>} [definition.query] - Query parameters, name -> description
+     */
+    function defineRoute(name, definition) {
+        if (typeof name !== 'string' || !ROUTE_NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid route name '${name}'`);
+        }
+        const { path, method = 'GET', auth = 'L402', resourceId, description, pricing, query, ...options } = definition || {};
+        const compiled = compilePath(path);
+        const upperMethod = String(method).toUpperCase();
+        if (!METHODS.includes(upperMethod)) {
+            throw new Error(`Route '${name}': unsupported method '${method}'`);
+        }
+        if (auth !== 'L402' && auth !== 'none') {
+            throw new Error(`Route '${name}': auth must be 'L402' or 'none'`);
+        }
+        const paid = auth === 'L402';
+        if (paid && options.price !== undefined && typeof options.price !== 'function'
+            && (!Number.isInteger(options.price) || options.price <= 0)) {
+            throw new Error(`Route '${name}': price must be a positive integer or a function`);
+        }
+        if (paid && resourceId === undefined && compiled.params.length > 0) {
+            throw new Error(`Route '${name}': resourceId is required for a path with parameters`);
+        }
+        if (resourceId !== undefined && typeof resourceId !== 'string' && typeof resourceId !== 'function') {
+            throw new Error(`Route '${name}': resourceId must be a string or a function`);
+        }
+
+        const fixedId = resourceId === undefined ? name : resourceId;
+        routes.set(name, {
+            name: name,
+            path: path,
+            template: compiled.template,
+            pattern: compiled.pattern,
+            params: compiled.params,
+            method: upperMethod,
+            paid: paid,
+            resourceId: typeof fixedId === 'function' ? fixedId : () => fixedId,
+            description: description || null,
+            pricing: pricing || null,
+            query: query || null,
+            options: options,
+        });
+    }
+
+    function getRoute(name) {
+        return routes.get(name) || null;
+    }
+
+    /**
+     * Find the route for a method and path.
+     *
+     * @param {string} method
+     * @param {string} pathname - URL path without the query string
+     * @returns {{name: string, params: Object<string, string>}|null}
+     */
+    function matchRoute(method, pathname) {
+        const upperMethod = String(method || 'GET').toUpperCase();
+        for (const route of routes.values()) {
+            if (route.method !== upperMethod && !(upperMethod === 'HEAD' && route.method === 'GET')) continue;
+            const match = route.pattern.exec(pathname);
+            if (!match) continue;
+            const params = {};
+            try {
+                route.params.forEach((param, i) => { params[param] = decodeURIComponent(match[i + 1]); });
+            } catch (err) {
+                continue; // Malformed percent-encoding
+            }
+            return { name: route.name, params: params };
+        }
+        return null;
+    }
+
+    /**
+     * The URL of a route with its parameters filled in (Pattern 7).
+     *
+     * @param {string} name
+     * @param {Object<string, string>} [params]
+     * @returns {string}
+     */
+    function routeUrl(name, params) {
+        const route = routes.get(name);
+        if (!route) {
+            throw new Error(`Unknown route '${name}'`);
+        }
+        return route.path.split('/').map(segment => {
+            const param = PARAM_PATTERN.exec(segment);
+            if (!param) return segment;
+            const value = params && params[param[2]];
+            if (value === undefined || value === null) {
+                throw new Error(`Route '${name}': missing parameter ${param[2]}`);
+            }
+            // A rest parameter keeps its slashes
+            return param[1] === '*'
+                ? String(value).split('/').map(encodeURIComponent).join('/')
+                : encodeURIComponent(value);
+        }).join('/');
+    }
+
+    function paidRoutes() {
+        return [...routes.values()].filter(route => route.paid);
+    }
+
+    function absolute(context, path) {
+        return context.baseUrl ? context.baseUrl + path : path;
+    }
+
+    // The fixed price of a route, or null when it depends on the request. A
+    // route that explains its pricing without setting a price isn't charged
+    // the default: its handler prices it (per item, per capability...).
+    function fixedPrice(route, context) {
+        if (route.options.capabilities) return null;
+        const price = route.options.price;
+        if (typeof price === 'function') return null;
+        if (price === undefined) return route.pricing ? null : context.priceSats;
+        return price;
+    }
+
+    // cost_sats, capabilities, credits and pricing of an endpoint entry
+    function priceFields(route, context) {
+        const price = fixedPrice(route, context);
+        return {
+            cost_sats: price === null ? undefined : price,
+            capabilities: capabilityOffers(route.options.capabilities),
+            credits: route.options.credits || undefined,
+            pricing: route.pricing || (price === null && !route.options.capabilities
+                ? 'varies by resource — the 402 response states the price'
+                : undefined),
+        };
+    }
+
+    // price_sats when every paid route costs the same, else price_sats_range.
+    // Nothing when a price depends on the request: the endpoints explain it.
+    function priceSummary(context) {
+        const prices = new Set();
+        for (const route of paidRoutes()) {
+            const offers = capabilityOffers(route.options.capabilities);
+            if (offers) {
+                offers.forEach(offer => prices.add(offer.price_sats));
+                continue;
+            }
+            const price = fixedPrice(route, context);
+            if (price === null) return {};
+            prices.add(price);
+        }
+        if (prices.size === 0) return {};
+        if (prices.size === 1) return { price_sats: [...prices][0] };
+        return { price_sats_range: { min: Math.min(...prices), max: Math.max(...prices) } };
+    }
+
+    function generatedFlow(context) {
+        const steps = [];
+        const free = [...routes.values()].filter(route => !route.paid);
+        if (free.length > 0) {
+            steps.push(`${free.map(route => `${route.method} ${route.template}`).join(' or ')} to browse (free)`);
+        }
+        const target = paidRoutes()[0];
+        steps.push(target ? `${target.method} ${target.template} for the resource you want` : 'Request the paid resource');
+        steps.push('Receive 402 with WWW-Authenticate: L402 macaroon="...", invoice="lnbc..."');
+        steps.push('Pay the Lightning invoice. Your wallet returns a preimage (64-char hex).');
+        steps.push('Re-request with header: Authorization: L402 <macaroon>:<preimage>');
+        steps.push('Receive the resource.');
+        const flow = steps.map((step, i) => `${i + 1}. ${step}`);
+        if (context.paymentStatusPath) {
+            flow.push('No preimage from your wallet? GET payment_status.url from the 402 with Authorization: L402 <macaroon> — it returns the token once the invoice is paid.');
+        }
+        return flow;
+    }
+
+    function serviceName(context) {
+        return service.name || context.name || 'L402 service';
+    }
+
+    function rootPath() {
+        return (service.rootPaths || ['/api'])[0];
+    }
+
+    function openapiPath() {
+        return service.openapiPath || '/openapi.json';
+    }
+
+    /**
+     * The self-describing root document (Pattern 1).
+     *
+     * @param {Object} context
+     * @returns {Object}
+     */
+    function describeService(context) {
+        const endpoints = {
+            info: { url: rootPath(), method: 'GET', auth: 'none', description: 'This endpoint. Service info and L402 flow.' },
+        };
+        for (const route of routes.values()) {
+            endpoints[route.name] = {
+                url: route.template,
+                method: route.method,
+                auth: route.paid ? 'L402' : 'none',
+                ...(route.paid ? priceFields(route, context) : {}),
+                description: route.description || undefined,
+                query: route.query || undefined,
+                consumption: route.paid ? route.options.consumption : undefined,
+            };
+        }
+        if (context.paymentStatusPath && !endpoints.payment_status) {
+            endpoints.payment_status = {
+                url: `${context.paymentStatusPath.replace(/\/+$/, '')}/{payment_hash}`,
+                method: 'GET',
+                auth: 'L402 macaroon',
+                description: 'Check an invoice from a 402. Once paid, returns the complete token (?wait=60 to long-poll, or Accept: text/event-stream).',
+            };
+        }
+        if (!endpoints.openapi) {
+            endpoints.openapi = { url: openapiPath(), method: 'GET', auth: 'none', description: 'OpenAPI 3 spec of these endpoints.' };
+        }
+        if (!endpoints.manifest) {
+            endpoints.manifest = { url: WELL_KNOWN_PATH, method: 'GET', auth: 'none', description: 'Service manifest for L402 directories.' };
+        }
+
+        return {
+            name: serviceName(context),
+            description: service.description || undefined,
+            protocol: 'L402',
+            l402_enabled: context.enabled,
+            ...priceSummary(context),
+            token_expiry_seconds: context.expirySeconds,
+            ...service.extra,
+            endpoints: endpoints,
+            passes: context.passes && context.passes.length > 0 ? context.passes : undefined,
+            l402_flow: [...(service.flow || generatedFlow(context)), ...(service.notes || [])],
+        };
+    }
+
+    /**
+     * The inline protocol hint for results that link to a route (Pattern 9).
+     *
+     * @param {string} name
+     * @param {Object} context
+     * @returns {Object}
+     */
+    function routeHint(name, context) {
+        const route = routes.get(name);
+        if (!route) {
+            throw new Error(`Unknown route '${name}'`);
+        }
+        return {
+            ...priceFields(route, context),
+            token_expiry_seconds: context.expirySeconds,
+            endpoint: route.template,
+            flow: [
+                `${route.method} ${route.template} → receive 402 with invoice`,
+                'Pay the Lightning invoice',
+                'Re-request with Authorization: L402 {macaroon}:{preimage}',
+            ],
+        };
+    }
+
+    /**
+     * OpenAPI 3 spec. Paid operations require the L402 security scheme and
+     * state their price in x-l402-price-sats (fixed prices), x-l402-capabilities
+     * (capability tables) or x-l402-pricing (anything else).
+     *
+     * @param {Object} context
+     * @returns {Object}
+     */
+    function buildOpenApi(context) {
+        const paths = {};
+        for (const route of routes.values()) {
+            const price = route.paid ? priceFields(route, context) : {};
+            const parameters = [
+                ...route.params.map(param => ({ name: param, in: 'path', required: true, schema: { type: 'string' } })),
+                ...Object.entries(route.query || {}).map(([param, description]) => ({
+                    name: param,
+                    in: 'query',
+                    required: false,
+                    description: description,
+                    schema: { type: 'string' },
+                })),
+            ];
+            paths[route.template] = paths[route.template] || {};
+            paths[route.template][route.method.toLowerCase()] = {
+                operationId: route.name,
+                description: route.description || undefined,
+                parameters: parameters.length > 0 ? parameters : undefined,
+                security: route.paid ? [{ L402: [] }] : [],
+                responses: route.paid
+                    ? {
+                        200: { description: 'The resource, once paid' },
+                        402: { $ref: '#/components/responses/PaymentRequired' },
+                    }
+                    : { 200: { description: 'OK' } },
+                'x-l402-price-sats': price.cost_sats,
+                'x-l402-capabilities': price.capabilities,
+                'x-l402-credits': price.credits,
+                'x-l402-pricing': price.pricing,
+                'x-l402-consumption': route.paid ? route.options.consumption : undefined,
+            };
+        }
+
+        return {
+            openapi: '3.0.3',
+            info: {
+                title: serviceName(context),
+                description: service.description || undefined,
+                version: service.version || '1.0.0',
+            },
+            servers: context.baseUrl ? [{ url: context.baseUrl }] : undefined,
+            paths: paths,
+            components: {
+                securitySchemes: {
+                    L402: {
+                        type: 'http',
+                        scheme: 'L402',
+                        description: 'Request without credentials to get a 402 with a macaroon and a Lightning invoice. '
+                            + 'Pay the invoice, then send Authorization: L402 <macaroon>:<preimage>. '
+                            + `Tokens are valid for ${context.expirySeconds} seconds.`,
+                    },
+                },
+                responses: {
+                    PaymentRequired: {
+                        description: 'Payment required. Pay the invoice and retry with the token.',
+                        headers: {
+                            'WWW-Authenticate': {
+                                description: 'L402 macaroon="...", invoice="lnbc..."',
+                                schema: { type: 'string' },
+                            },
+                        },
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    properties: {
+                                        error: { type: 'string' },
+                                        message: { type: 'string' },
+                                        error_code: { type: 'string' },
+                                        price_sats: { type: 'integer' },
+                                        token_expiry_seconds: { type: 'integer' },
+                                        resource_id: { type: 'string' },
+                                        macaroon: { type: 'string' },
+                                        invoice: { type: 'string' },
+                                    },
+                                    required: ['price_sats', 'macaroon', 'invoice'],
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        };
+    }
+
+    /**
+     * The /.well-known/l402 manifest: a directory entry (Pattern 11) with
+     * absolute URLs, pointing at the root document and the OpenAPI spec.
+     *
+     * @param {Object} context
+     * @returns {Object}
+     */
+    function buildManifest(context) {
+        return {
+            name: serviceName(context),
+            description: service.description || undefined,
+            protocol: 'L402',
+            api_url: absolute(context, rootPath()),
+            openapi_url: absolute(context, openapiPath()),
+            ...priceSummary(context),
+            token_expiry_seconds: context.expirySeconds,
+            endpoints: paidRoutes().map(route => ({
+                name: route.name,
+                url: absolute(context, route.template),
+                method: route.method,
+                ...priceFields(route, context),
+                description: route.description || undefined,
+            })),
+            passes: context.passes && context.passes.length > 0
+                ? context.passes.map(pass => ({
+                    ...pass,
+                    purchase_url: pass.purchase_url ? absolute(context, pass.purchase_url) : undefined,
+                }))
+                : undefined,
+        };
+    }
+
+    function serviceUrl() {
+        return service.url || null;
+    }
+
+    /**
+     * Which discovery document a path serves: 'root', 'openapi', 'manifest' or null.
+     *
+     * @param {string} pathname
+     * @returns {string|null}
+     */
+    function discoveryDocument(pathname) {
+        if ((service.rootPaths || ['/api']).includes(pathname)) return 'root';
+        if (pathname === openapiPath()) return 'openapi';
+        if (pathname === WELL_KNOWN_PATH) return 'manifest';
+        return null;
+    }
+
+    return {
+        defineService,
+        defineRoute,
+        getRoute,
+        matchRoute,
+        routeUrl,
+        routeHint,
+        describeService,
+        buildOpenApi,
+        buildManifest,
+        discoveryDocument,
+        serviceUrl,
+    };
+}
+
+module.exports = {
+    WELL_KNOWN_PATH,
+    compilePath,
+    createRouteRegistry,
+};
@@ -0,0 +1,242 @@
+/**
+ * lib/stream.js — HLS streaming helpers
+ *
+ * Serving an HLS stream behind L402 takes three things beyond the token
+ * check itself: mapping /api/stream/<id>/<file> to a resource and a file on
+ * disk, answering the byte-range requests players make for segments, and,
+ * for players that can't set an Authorization header, carrying the token in
+ * every URI of the playlists. handleStream() in l402.js puts them together;
+ * these helpers are exported for servers that store media elsewhere.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+    '.m4s': 'video/iso.segment',
+    '.mp4': 'video/mp4',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.vtt': 'text/vtt',
+    '.key': 'application/octet-stream',
+};
+
+// Playlists are small and rewritten whole; never served by range
+const PLAYLIST_EXTENSION = '.m3u8';
+
+/**
+ * Split a stream URL path into the stream ID and the file within it:
+ * '/api/stream/clip-1/720p/seg_004.ts' -> { id: 'clip-1', file: '720p/seg_004.ts' }.
+ * Returns null for paths outside the prefix, and for file paths that try to
+ * leave the stream's directory.
+ *
+ * @param {string} pathname - URL path, still percent-encoded
+ * @param {string} [prefix] - Default: '/api/stream'
+ * @returns {{id: string, file: string}|null}
+ */
+function parseStreamPath(pathname, prefix) {
+    const base = `${(prefix || '/api/stream').replace(/\/+$/, '')}/`;
+    if (!pathname.startsWith(base)) return null;
+
+    let segments;
+    try {
+        segments = pathname.substring(base.length).split('/').map(decodeURIComponent);
+    } catch (err) {
+        return null; // Malformed percent-encoding
+    }
+    if (segments.length < 2 || segments.some(segment => segment === '' || segment === '.' || segment === '..'
+        || /[/\\\0]/.test(segment))) {
+        return null;
+    }
+    return { id: segments[0], file: segments.slice(1).join('/') };
+}
+
+/**
+ * The file for a stream under a media root: <root>/<id>/<file>. Null if the
+ * result would fall outside the stream's directory.
+ *
+ * @param {string} root - Media directory
+ * @param {string} id
+ * @param {string} file
+ * @returns {string|null} Absolute path
+ */
+function resolveStreamFile(root, id, file) {
+    const directory = path.resolve(root, id);
+    const resolved = path.resolve(directory, file);
+    if (path.dirname(directory) !== path.resolve(root) || !resolved.startsWith(directory + path.sep)) {
+        return null;
+    }
+    return resolved;
+}
+
+function isPlaylist(filePath) {
+    return path.extname(filePath).toLowerCase() === PLAYLIST_EXTENSION;
+}
+
+function contentType(filePath) {
+    return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Parse a Range header against a file size. Only single byte ranges are
+ * honoured; anything else (several ranges, other units) is ignored and the
+ * whole file is sent, which RFC 9110 allows.
+ *
+ * @param {string} [header]
+ * @param {number} size
+ * @returns {{start: number, end: number}|null|false} null: send everything;
+ *   false: unsatisfiable (416)
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        const length = parseInt(match[2]);
+        if (length === 0) return false;
+        start = Math.max(0, size - length);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+        if (end < start) return start >= size ? false : null;
+    }
+    if (start >= size) return false;
+    return { start, end };
+}
+
+function sendNotFound(res) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found' }));
+}
+
+/**
+ * Send a file, honouring a single-range Range header (206, or 416 when it
+ * can't be satisfied) and HEAD. Paid media is marked Cache-Control: private
+ * so shared caches don't hand it to clients without a token.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} filePath
+ * @returns {Promise<void>} Resolves once the response is under way (404 if there is no such file)
+ */
+async function serveFile(req, res, filePath) {
+    let stats;
+    try {
+        stats = await fs.promises.stat(filePath);
+    } catch (err) {
+        stats = null;
+    }
+    if (!stats || !stats.isFile()) {
+        sendNotFound(res);
+        return;
+    }
+
+    const headers = {
+        'Content-Type': contentType(filePath),
+        'Accept-Ranges': 'bytes',
+        'Last-Modified': stats.mtime.toUTCString(),
+        'Cache-Control': 'private',
+    };
+    const range = parseRange(req.headers['range'], stats.size);
+    if (range === false) {
+        res.writeHead(416, { ...headers, 'Content-Range': `bytes */${stats.size}` });
+        res.end();
+        return;
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : stats.size - 1;
+    if (range) headers['Content-Range'] = `bytes ${start}-${end}/${stats.size}`;
+    headers['Content-Length'] = String(stats.size === 0 ? 0 : end - start + 1);
+    res.writeHead(range ? 206 : 200, headers);
+
+    if (req.method === 'HEAD' || stats.size === 0) {
+        res.end();
+        return;
+    }
+    const file = fs.createReadStream(filePath, { start, end });
+    file.on('error', () => res.destroy());
+    res.on('close', () => file.destroy());
+    file.pipe(res);
+}
+
+// Absolute (scheme or protocol-relative) URIs point at other servers: never send them the token
+function isRelativeUri(uri) {
+    return !/^[A-Za-z][A-Za-z0-9+.-]*:/.test(uri) && !uri.startsWith('//');
+}
+
+function withTokenParam(uri, param, credentials) {
+    if (!isRelativeUri(uri)) return uri;
+    const hashIndex = uri.indexOf('#');
+    const base = hashIndex === -1 ? uri : uri.substring(0, hashIndex);
+    const fragment = hashIndex === -1 ? '' : uri.substring(hashIndex);
+    const query = base.includes('?') ? base.substring(base.indexOf('?') + 1) : '';
+    if (new URLSearchParams(query).has(param)) return uri;
+    return `${base}${base.includes('?') ? '&' : '?'}${param}=${encodeURIComponent(credentials)}${fragment}`;
+}
+
+/**
+ * Add the token as a query parameter to every relative URI in a playlist:
+ * segment and variant lines, and the URI="..." attributes of EXT-X-KEY,
+ * EXT-X-MAP, EXT-X-MEDIA and the like. Players that can't set headers then
+ * send the token with each request they make from the playlist.
+ *
+ * @param {string} playlist - .m3u8 text
+ * @param {string} param - Query parameter name, e.g. 'token'
+ * @param {string} credentials - "<macaroon>:<preimage>"
+ * @returns {string}
+ */
+function rewritePlaylist(playlist, param, credentials) {
+    return playlist.split('\n').map(line => {
+        const trimmed = line.trim();
+        if (trimmed === '') return line;
+        if (trimmed.startsWith('#')) {
+            return line.replace(/URI="([^"]*)"/g, (attribute, uri) => `URI="${withTokenParam(uri, param, credentials)}"`);
+        }
+        return line.replace(trimmed, withTokenParam(trimmed, param, credentials));
+    }).join('\n');
+}
+
+/**
+ * Send a playlist with the token added to its URIs (see rewritePlaylist()).
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} filePath
+ * @param {string} param - Query parameter name
+ * @param {string} credentials - "<macaroon>:<preimage>"
+ * @returns {Promise<void>}
+ */
+async function servePlaylist(req, res, filePath, param, credentials) {
+    let playlist;
+    try {
+        playlist = await fs.promises.readFile(filePath, 'utf8');
+    } catch (err) {
+        sendNotFound(res);
+        return;
+    }
+    const body = Buffer.from(rewritePlaylist(playlist, param, credentials), 'utf8');
+    // Carries a credential: must not be cached anywhere
+    res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[PLAYLIST_EXTENSION],
+        'Content-Length': String(body.length),
+        'Cache-Control': 'no-store',
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+module.exports = {
+    parseStreamPath,
+    resolveStreamFile,
+    isPlaylist,
+    parseRange,
+    serveFile,
+    servePlaylist,
+    rewritePlaylist,
+};
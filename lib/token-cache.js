@@ -0,0 +1,108 @@
+/**
+ * lib/token-cache.js — LRU cache of verified tokens
+ *
+ * A player streaming HLS presents the same token for every segment, and each
+ * presentation would otherwise redo the full verification: deserialize, hash
+ * the preimage, walk the HMAC chain. The cache remembers successful
+ * verifications so a repeat is a map lookup.
+ *
+ * Keys are SHA-256 hashes of everything the result depends on (see
+ * tokenCacheKey()), so the cache holds no usable credentials. Entries expire
+ * with the token; the least recently used entry is evicted when the cache is
+ * full. What may be cached, and rechecking revocation on a hit, is up to the
+ * caller (checkL402Auth() in l402.js).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Cache key for one verification: the full token (macaroon, discharges,
+ * preimage) and the request parameters it was verified against.
+ *
+ * @param {Object} parts
+ * @param {string} parts.macaroon
+ * @param {string[]} [parts.discharges]
+ * @param {string} parts.preimage
+ * @param {string} parts.resourceId
+ * @param {number} parts.priceSats
+ * @param {string} [parts.capability]
+ * @returns {string} Hex SHA-256
+ */
+function tokenCacheKey({ macaroon, discharges, preimage, resourceId, priceSats, capability }) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([macaroon, discharges || [], preimage, resourceId, priceSats, capability || null]))
+        .digest('hex');
+}
+
+/**
+ * Create an LRU cache of verification results.
+ *
+ * @param {Object} options
+ * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+ * @returns {{get: Function, set: Function, clear: Function, stats: Function}}
+ */
+function createTokenCache(options) {
+    const maxEntries = options.maxEntries;
+    // Map iteration order is insertion order: re-inserting on a hit keeps the
+    // least recently used entry first
+    const entries = new Map();
+    let hits = 0;
+    let misses = 0;
+    let evictions = 0;
+
+    return {
+        /**
+         * The cached result for a key, or null (counted as a miss) if there is
+         * none or it has expired.
+         *
+         * @param {string} key - From tokenCacheKey()
+         * @param {number} now - Unix seconds
+         * @returns {Object|null}
+         */
+        get(key, now) {
+            const entry = entries.get(key);
+            if (!entry || entry.validUntil < now) {
+                if (entry) entries.delete(key);
+                misses++;
+                return null;
+            }
+            entries.delete(key);
+            entries.set(key, entry);
+            hits++;
+            return entry.result;
+        },
+
+        /**
+         * Remember a result until validUntil (Unix seconds, inclusive, like expires_at).
+         *
+         * @param {string} key
+         * @param {Object} result
+         * @param {number} validUntil
+         */
+        set(key, result, validUntil) {
+            entries.delete(key);
+            entries.set(key, { result, validUntil });
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+                evictions++;
+            }
+        },
+
+        delete(key) {
+            entries.delete(key);
+        },
+
+        clear() {
+            entries.clear();
+        },
+
+        /**
+         * @returns {{size: number, maxEntries: number, hits: number, misses: number, evictions: number}}
+         */
+        stats() {
+            return { size: entries.size, maxEntries, hits, misses, evictions };
+        },
+    };
+}
+
+module.exports = { createTokenCache, tokenCacheKey };
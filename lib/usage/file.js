@@ -0,0 +1,124 @@
+/**
+ * lib/usage/file.js — JSON file usage store
+ *
+ * Same metering as the memory store, with every change written to a JSON
+ * file so counters survive a restart. Writes go to a temp file that is then
+ * renamed over the original, so a crash mid-write never leaves a truncated
+ * file behind.
+ *
+ * A change counts once it is on disk: consume() and addCredits() resolve
+ * after the write that holds it. Changes made while a write is in flight are
+ * batched into the next one, so a busy server writes the file once per batch,
+ * not once per request. If a write fails, every change not yet on disk is
+ * undone and its caller gets the error — a use is never granted unrecorded.
+ *
+ * One process per file: counters are updated in memory and flushed in order,
+ * which is atomic within this process but not across several. Use the SQLite
+ * store, or your own behind the UsageStore interface, for that.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { consumeRecord, creditRecord, createPruner } = require('./memory');
+
+/**
+ * Create a file-backed usage store.
+ *
+ * @param {Object} options
+ * @param {string} options.path - JSON file to keep counters in (created if missing)
+ * @returns {UsageStore}
+ */
+function createFileUsageStore(options) {
+    const filePath = options && options.path;
+    if (!filePath) {
+        throw new Error('File usage store needs a path (L402_USAGE_FILE)');
+    }
+
+    const records = new Map();
+    const prune = createPruner(records);
+    // The file's contents as last written: what a failed write rolls back to
+    let durable = JSON.stringify({ records: {} });
+    try {
+        durable = fs.readFileSync(filePath, 'utf8');
+        restore();
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            throw new Error(`Could not read usage file ${filePath}: ${err.message}`);
+        }
+    }
+
+    function restore() {
+        records.clear();
+        for (const [paymentHash, record] of Object.entries(JSON.parse(durable).records || {})) {
+            records.set(paymentHash, record);
+        }
+    }
+
+    // Callers whose change is in memory but not yet on disk
+    let waiting = [];
+    let writing = false;
+
+    async function write(snapshot) {
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, snapshot);
+        await fs.promises.rename(tmpPath, filePath);
+    }
+
+    // One write at a time; each takes every change made before it started
+    async function writeBatches() {
+        writing = true;
+        while (waiting.length > 0) {
+            const batch = waiting;
+            waiting = [];
+            const snapshot = JSON.stringify({ records: Object.fromEntries(records) });
+            try {
+                await write(snapshot);
+                durable = snapshot;
+                batch.forEach(caller => caller.resolve());
+            } catch (err) {
+                // Changes made during the write are lost with the rollback too
+                restore();
+                [...batch, ...waiting].forEach(caller => caller.reject(err));
+                waiting = [];
+            }
+        }
+        writing = false;
+    }
+
+    /**
+     * Resolves once the changes made so far are on disk.
+     */
+    function persist() {
+        return new Promise((resolve, reject) => {
+            waiting.push({ resolve, reject });
+            if (!writing) writeBatches();
+        });
+    }
+
+    return {
+        name: 'file',
+
+        async consume(paymentHash, params) {
+            prune(Math.floor(Date.now() / 1000));
+            const result = consumeRecord(records, paymentHash, params);
+            if (result.allowed) await persist();
+            return result;
+        },
+
+        async addCredits(paymentHash, credits, params) {
+            const result = creditRecord(records, paymentHash, credits, params);
+            if (result.added > 0) await persist();
+            return result;
+        },
+
+        async get(paymentHash) {
+            const record = records.get(paymentHash);
+            return record ? { ...record, topUps: [...record.topUps] } : null;
+        },
+    };
+}
+
+module.exports = {
+    createFileUsageStore,
+};
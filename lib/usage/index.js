@@ -0,0 +1,60 @@
+/**
+ * lib/usage/index.js — Usage store interface
+ *
+ * Metered tokens (a `max_uses` caveat) keep a counter on the server, keyed by
+ * the token's payment hash. l402.js goes through a usage store object:
+ *
+ * @typedef {Object} UsageStore
+ * @property {string} name - Store identifier ('memory', 'file', 'sqlite', ...)
+ * @property {function(string, {limit: number, cost?: number, expiresAt?: number}): Promise<UsageResult>} consume
+ *   Atomically spend `cost` uses (default 1) if the token has that many left.
+ *   `limit` is the token's max_uses; credits added by top-ups are on top of it.
+ * @property {function(string, number, {topUpHash: string, expiresAt?: number}): Promise<{added: number, extraCredits: number, used: number}>} addCredits
+ *   Add credits from a paid top-up. Must be idempotent per topUpHash.
+ * @property {function(string): Promise<{used: number, limit: number|null, extraCredits: number, topUps: string[], expiresAt: number|null}|null>} get
+ *   Current record for a payment hash, or null if the token was never used.
+ *
+ * @typedef {Object} UsageResult
+ * @property {boolean} allowed - Whether the uses were spent
+ * @property {number} used - Uses spent so far
+ * @property {number} limit - max_uses plus top-up credits
+ * @property {number} remaining - Uses left
+ *
+ * Any object with these three methods works — pass it as `usageStore` to
+ * keep counters in a shared database.
+ */
+
+const { createMemoryUsageStore } = require('./memory');
+const { createFileUsageStore } = require('./file');
+const { createSqliteUsageStore } = require('./sqlite');
+
+/**
+ * Build a usage store from a config object (see CONFIG in l402.js).
+ *
+ * @param {Object} config
+ * @param {string} [config.usageStore] - 'memory' (default), 'file' or 'sqlite'
+ * @param {string} [config.usageFile] - Path for the file or SQLite store
+ * @returns {UsageStore}
+ */
+function createUsageStore(config) {
+    switch (config.usageStore || 'memory') {
+        case 'memory':
+            return createMemoryUsageStore();
+
+        case 'file':
+            return createFileUsageStore({ path: config.usageFile });
+
+        case 'sqlite':
+            return createSqliteUsageStore({ path: config.usageFile });
+
+        default:
+            throw new Error(`Unknown L402_USAGE_STORE '${config.usageStore}' (expected memory, file or sqlite)`);
+    }
+}
+
+module.exports = {
+    createUsageStore,
+    createMemoryUsageStore,
+    createFileUsageStore,
+    createSqliteUsageStore,
+};
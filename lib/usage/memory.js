@@ -0,0 +1,134 @@
+/**
+ * lib/usage/memory.js — In-memory usage store
+ *
+ * Keeps per-token usage counters in a Map. Every operation completes without
+ * yielding, so consume() is atomic within one process.
+ *
+ * Nothing is persisted: restarting the process resets every counter, which
+ * hands each metered token its full allowance again. Use the file store (or
+ * your own) when that matters.
+ */
+
+// Expired records are swept at most this often: a sweep walks every record
+const PRUNE_INTERVAL_SECONDS = 60;
+
+/**
+ * Apply one consume() to a record, creating it if needed. Shared with the
+ * file store so both meter identically.
+ *
+ * @param {Map<string, Object>} records
+ * @param {string} paymentHash
+ * @param {{limit: number, cost?: number, expiresAt?: number}} params
+ * @returns {UsageResult}
+ */
+function consumeRecord(records, paymentHash, { limit, cost = 1, expiresAt }) {
+    const record = records.get(paymentHash) || newRecord(expiresAt);
+    const total = limit + record.extraCredits;
+
+    if (record.used + cost > total) {
+        return { allowed: false, used: record.used, limit: total, remaining: Math.max(total - record.used, 0) };
+    }
+
+    record.used += cost;
+    record.limit = limit;
+    if (expiresAt) record.expiresAt = Math.max(record.expiresAt || 0, expiresAt);
+    records.set(paymentHash, record);
+    return { allowed: true, used: record.used, limit: total, remaining: total - record.used };
+}
+
+/**
+ * Apply one addCredits() to a record. A top-up payment hash is only ever
+ * credited once, so replaying a top-up token adds nothing.
+ *
+ * @param {Map<string, Object>} records
+ * @param {string} paymentHash
+ * @param {number} credits
+ * @param {{topUpHash: string, expiresAt?: number}} params
+ * @returns {{added: number, extraCredits: number, used: number}}
+ */
+function creditRecord(records, paymentHash, credits, { topUpHash, expiresAt }) {
+    const record = records.get(paymentHash) || newRecord(expiresAt);
+
+    if (record.topUps.includes(topUpHash)) {
+        return { added: 0, extraCredits: record.extraCredits, used: record.used };
+    }
+
+    record.topUps.push(topUpHash);
+    record.extraCredits += credits;
+    if (expiresAt) record.expiresAt = Math.max(record.expiresAt || 0, expiresAt);
+    records.set(paymentHash, record);
+    return { added: credits, extraCredits: record.extraCredits, used: record.used };
+}
+
+/**
+ * Drop records whose token has expired. Returns true if anything was removed.
+ */
+function pruneRecords(records, now) {
+    let removed = false;
+    for (const [paymentHash, record] of records) {
+        if (record.expiresAt && record.expiresAt < now) {
+            records.delete(paymentHash);
+            removed = true;
+        }
+    }
+    return removed;
+}
+
+/**
+ * pruneRecords() at most once per PRUNE_INTERVAL_SECONDS, so consume() doesn't
+ * walk every record on every call. Records of expired tokens that outlive a
+ * sweep for a while are harmless: verification rejects those tokens first.
+ *
+ * @param {Map<string, Object>} records
+ * @returns {function(number): boolean} (now) => true if anything was removed
+ */
+function createPruner(records) {
+    let lastPrune = 0;
+    return now => {
+        if (now - lastPrune < PRUNE_INTERVAL_SECONDS) return false;
+        lastPrune = now;
+        return pruneRecords(records, now);
+    };
+}
+
+function newRecord(expiresAt) {
+    return { used: 0, limit: null, extraCredits: 0, topUps: [], expiresAt: expiresAt || null };
+}
+
+/**
+ * Create an in-memory usage store.
+ *
+ * @returns {UsageStore}
+ */
+function createMemoryUsageStore() {
+    // paymentHash -> { used, limit, extraCredits, topUps, expiresAt }
+    const records = new Map();
+    const prune = createPruner(records);
+
+    return {
+        name: 'memory',
+
+        async consume(paymentHash, params) {
+            prune(Math.floor(Date.now() / 1000));
+            return consumeRecord(records, paymentHash, params);
+        },
+
+        async addCredits(paymentHash, credits, params) {
+            return creditRecord(records, paymentHash, credits, params);
+        },
+
+        async get(paymentHash) {
+            const record = records.get(paymentHash);
+            return record ? { ...record, topUps: [...record.topUps] } : null;
+        },
+    };
+}
+
+module.exports = {
+    createMemoryUsageStore,
+    consumeRecord,
+    creditRecord,
+    pruneRecords,
+    createPruner,
+    PRUNE_INTERVAL_SECONDS,
+};
@@ -0,0 +1,173 @@
+/**
+ * lib/usage/sqlite.js — SQLite usage store
+ *
+ * Same metering as the memory store, in a SQLite database. Each consume()
+ * and addCredits() is one write transaction, so counters are atomic across
+ * every process sharing the database file, and a use counts only once its
+ * transaction commits.
+ *
+ * Needs better-sqlite3, which isn't a dependency of this package:
+ *
+ *   npm install better-sqlite3
+ *
+ * Or pass an open database as options.database: a better-sqlite3 Database,
+ * or node:sqlite's DatabaseSync on Node 22.5+. Both have the synchronous
+ * exec()/prepare() API used here.
+ */
+
+const { PRUNE_INTERVAL_SECONDS } = require('./memory');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS l402_usage (
+        payment_hash TEXT PRIMARY KEY,
+        used INTEGER NOT NULL,
+        usage_limit INTEGER,
+        extra_credits INTEGER NOT NULL,
+        expires_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS l402_usage_expires_at ON l402_usage (expires_at);
+    CREATE TABLE IF NOT EXISTS l402_usage_top_ups (
+        payment_hash TEXT NOT NULL,
+        top_up_hash TEXT NOT NULL,
+        PRIMARY KEY (payment_hash, top_up_hash)
+    );
+`;
+
+// Milliseconds a write waits for another process's transaction to finish
+const BUSY_TIMEOUT_MS = 5000;
+
+function openDatabase(filePath) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (err) {
+        throw new Error('SQLite usage store needs better-sqlite3 (npm install better-sqlite3)');
+    }
+    const db = new Database(filePath);
+    // Readers don't block the writer, and vice versa
+    db.exec('PRAGMA journal_mode = WAL');
+    return db;
+}
+
+/**
+ * Create a SQLite-backed usage store.
+ *
+ * @param {Object} options
+ * @param {string} [options.path] - Database file (created if missing)
+ * @param {Object} [options.database] - An open database to use instead of options.path
+ * @returns {UsageStore}
+ */
+function createSqliteUsageStore(options) {
+    const { path: filePath, database } = options || {};
+    if (!filePath && !database) {
+        throw new Error('SQLite usage store needs a path (L402_USAGE_FILE)');
+    }
+
+    const db = database || openDatabase(filePath);
+    db.exec(`PRAGMA busy_timeout = ${BUSY_TIMEOUT_MS}`);
+    db.exec(SCHEMA);
+
+    const selectRecord = db.prepare('SELECT used, usage_limit, extra_credits, expires_at FROM l402_usage WHERE payment_hash = ?');
+    const upsertRecord = db.prepare(`
+        INSERT INTO l402_usage (payment_hash, used, usage_limit, extra_credits, expires_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (payment_hash) DO UPDATE SET
+            used = excluded.used,
+            usage_limit = excluded.usage_limit,
+            extra_credits = excluded.extra_credits,
+            expires_at = excluded.expires_at
+    `);
+    const selectTopUps = db.prepare('SELECT top_up_hash FROM l402_usage_top_ups WHERE payment_hash = ? ORDER BY rowid');
+    const selectTopUp = db.prepare('SELECT 1 AS found FROM l402_usage_top_ups WHERE payment_hash = ? AND top_up_hash = ?');
+    const insertTopUp = db.prepare('INSERT INTO l402_usage_top_ups (payment_hash, top_up_hash) VALUES (?, ?)');
+    const deleteExpired = db.prepare('DELETE FROM l402_usage WHERE expires_at IS NOT NULL AND expires_at < ?');
+    const deleteOrphanTopUps = db.prepare('DELETE FROM l402_usage_top_ups WHERE payment_hash NOT IN (SELECT payment_hash FROM l402_usage)');
+
+    let lastPrune = 0;
+
+    // BEGIN IMMEDIATE takes the write lock up front, so no other process can
+    // change the record between our read and our write
+    function transaction(fn) {
+        db.exec('BEGIN IMMEDIATE');
+        try {
+            const result = fn();
+            db.exec('COMMIT');
+            return result;
+        } catch (err) {
+            db.exec('ROLLBACK');
+            throw err;
+        }
+    }
+
+    // The record as the memory store keeps it, or a new one
+    function readRecord(paymentHash, expiresAt) {
+        const row = selectRecord.get(paymentHash);
+        return row
+            ? { used: row.used, limit: row.usage_limit, extraCredits: row.extra_credits, expiresAt: row.expires_at }
+            : { used: 0, limit: null, extraCredits: 0, expiresAt: expiresAt || null };
+    }
+
+    function writeRecord(paymentHash, record) {
+        upsertRecord.run(paymentHash, record.used, record.limit, record.extraCredits, record.expiresAt);
+    }
+
+    function prune(now) {
+        if (now - lastPrune < PRUNE_INTERVAL_SECONDS) return;
+        lastPrune = now;
+        transaction(() => {
+            deleteExpired.run(now);
+            deleteOrphanTopUps.run();
+        });
+    }
+
+    return {
+        name: 'sqlite',
+
+        async consume(paymentHash, { limit, cost = 1, expiresAt }) {
+            prune(Math.floor(Date.now() / 1000));
+            return transaction(() => {
+                const record = readRecord(paymentHash, expiresAt);
+                const total = limit + record.extraCredits;
+                if (record.used + cost > total) {
+                    return { allowed: false, used: record.used, limit: total, remaining: Math.max(total - record.used, 0) };
+                }
+
+                record.used += cost;
+                record.limit = limit;
+                if (expiresAt) record.expiresAt = Math.max(record.expiresAt || 0, expiresAt);
+                writeRecord(paymentHash, record);
+                return { allowed: true, used: record.used, limit: total, remaining: total - record.used };
+            });
+        },
+
+        async addCredits(paymentHash, credits, { topUpHash, expiresAt }) {
+            return transaction(() => {
+                const record = readRecord(paymentHash, expiresAt);
+                if (selectTopUp.get(paymentHash, topUpHash)) {
+                    return { added: 0, extraCredits: record.extraCredits, used: record.used };
+                }
+
+                insertTopUp.run(paymentHash, topUpHash);
+                record.extraCredits += credits;
+                if (expiresAt) record.expiresAt = Math.max(record.expiresAt || 0, expiresAt);
+                writeRecord(paymentHash, record);
+                return { added: credits, extraCredits: record.extraCredits, used: record.used };
+            });
+        },
+
+        async get(paymentHash) {
+            const row = selectRecord.get(paymentHash);
+            if (!row) return null;
+            return {
+                used: row.used,
+                limit: row.usage_limit,
+                extraCredits: row.extra_credits,
+                topUps: selectTopUps.all(paymentHash).map(topUp => topUp.top_up_hash),
+                expiresAt: row.expires_at,
+            };
+        },
+    };
+}
+
+module.exports = {
+    createSqliteUsageStore,
+};
@@ -14,6 +14,7 @@
  *   - check_invoice   — Check if an invoice has been paid
  *   - get_balance     — Check channel balance
  *   - get_budget      — Check remaining spending budget
+ *   - attenuate_token — Narrow an L402 macaroon before handing it to someone else
  *
  * Security model:
  *   The LND macaroon should be baked with minimal permissions:
@@ -39,6 +40,7 @@ import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { z } from "zod";
 import https from "node:https";
+import crypto from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
@@ -166,6 +168,87 @@ function lndRequest(method, apiPath, body = null) {
     });
 }
 
+// ===========================================
+// Macaroon Attenuation
+// ===========================================
+
+// L402 macaroons use the libmacaroons V1 format: URL-safe base64 over a
+// sequence of packets, each "<4 hex length><key> <value>\n". Adding a
+// first-party caveat appends a "cid" packet and replaces the signature with
+// HMAC-SHA256(old signature, caveat) — no server secret needed. This mirrors
+// attenuateToken() in l402.js so the MCP server stays dependency-free.
+
+function decodeMacaroonPackets(macaroonB64) {
+    const raw = Buffer.from(macaroonB64.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+    const packets = [];
+    let offset = 0;
+    while (offset < raw.length) {
+        const size = parseInt(raw.subarray(offset, offset + 4).toString("ascii"), 16);
+        if (!size || offset + size > raw.length) throw new Error("Not a valid V1 macaroon");
+        const body = raw.subarray(offset + 4, offset + size - 1);
+        const space = body.indexOf(0x20);
+        if (space < 0) throw new Error("Not a valid V1 macaroon");
+        packets.push({ key: body.subarray(0, space).toString("ascii"), value: body.subarray(space + 1) });
+        offset += size;
+    }
+    if (packets.length === 0 || packets[packets.length - 1].key !== "signature") {
+        throw new Error("Macaroon has no signature packet");
+    }
+    return packets;
+}
+
+function encodeMacaroonPackets(packets) {
+    const parts = packets.map(({ key, value }) => {
+        const size = 4 + key.length + 1 + value.length + 1;
+        return Buffer.concat([
+            Buffer.from(size.toString(16).padStart(4, "0") + key + " ", "ascii"),
+            value,
+            Buffer.from("\n", "ascii"),
+        ]);
+    });
+    return Buffer.concat(parts).toString("base64")
+        .replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// Aperture issues V2 binary macaroons, which end with an end-of-section byte
+// and the signature field (type 6, length 32). Caveats are appended as
+// identifier fields (type 2) before them, written "key=value" as Aperture does.
+
+function attenuateV2Macaroon(raw, caveats) {
+    const end = raw.length - 34;
+    if (end < 1 || raw[end] !== 6 || raw[end + 1] !== 32 || raw[end - 1] !== 0) {
+        throw new Error("Not a valid V2 macaroon");
+    }
+    let signature = raw.subarray(end + 2);
+    const parts = [raw.subarray(0, end - 1)];
+    for (const caveat of caveats.map((c) => c.replace(/\s*=\s*/, "="))) {
+        const value = Buffer.from(caveat, "utf8");
+        const length = [];
+        for (let n = value.length; ; n >>>= 7) {
+            if (n < 0x80) { length.push(n); break; }
+            length.push((n & 0x7f) | 0x80);
+        }
+        parts.push(Buffer.from([2, ...length]), value, Buffer.from([0]));
+        signature = crypto.createHmac("sha256", signature).update(value).digest();
+    }
+    parts.push(Buffer.from([0, 6, 32]), signature);
+    return Buffer.concat(parts).toString("base64");
+}
+
+function attenuateMacaroon(macaroonB64, caveats) {
+    const raw = Buffer.from(macaroonB64.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+    if (raw[0] === 2) return attenuateV2Macaroon(raw, caveats);
+
+    const packets = decodeMacaroonPackets(macaroonB64);
+    let signature = packets.pop().value;
+    for (const caveat of caveats) {
+        packets.push({ key: "cid", value: Buffer.from(caveat, "utf8") });
+        signature = crypto.createHmac("sha256", signature).update(caveat, "utf8").digest();
+    }
+    packets.push({ key: "signature", value: signature });
+    return encodeMacaroonPackets(packets);
+}
+
 // ===========================================
 // MCP Server
 // ===========================================
@@ -409,6 +492,54 @@ server.registerTool(
     }
 );
 
+// --- Tool: attenuate_token ---
+server.registerTool(
+    "attenuate_token",
+    {
+        description: "Narrow an L402 macaroon by adding caveats (shorter expiry, one HTTP method, one path, one client IP, a byte cap). Use this before delegating a paid token to a sub-agent or a browser. The result is used with the SAME preimage: Authorization: L402 <new macaroon>:<preimage>. Caveats can only be added, never removed.",
+        inputSchema: {
+            macaroon: z.string().describe("Base64 macaroon from the L402 challenge"),
+            expires_in_seconds: z.number().int().positive().optional().describe("Token stops working this many seconds from now"),
+            method: z.string().optional().describe("Allowed HTTP method(s), comma-separated, e.g. GET"),
+            path_prefix: z.string().optional().describe("Only paths under this prefix, e.g. /api/stream/video-123"),
+            client_ip: z.string().optional().describe("Allowed client IP or CIDR"),
+            max_bytes: z.number().int().positive().optional().describe("Largest response (or Range span) in bytes"),
+            caveats: z.array(z.string()).optional().describe("Extra raw caveats in \"key = value\" form"),
+        },
+    },
+    async ({ macaroon, expires_in_seconds, method, path_prefix, client_ip, max_bytes, caveats = [] }) => {
+        try {
+            const added = [];
+            if (expires_in_seconds) added.push(`expires_at = ${Math.floor(Date.now() / 1000) + expires_in_seconds}`);
+            if (method) added.push(`method = ${method.toUpperCase()}`);
+            if (path_prefix) added.push(`path_prefix = ${path_prefix}`);
+            if (client_ip) added.push(`client_ip = ${client_ip}`);
+            if (max_bytes) added.push(`max_bytes = ${max_bytes}`);
+            for (const caveat of caveats) {
+                if (!/^[A-Za-z0-9_.-]+\s*=\s*\S/.test(caveat) || /[\r\n]/.test(caveat)) {
+                    throw new Error(`Invalid caveat '${caveat}' — expected "key = value"`);
+                }
+                added.push(caveat);
+            }
+            if (added.length === 0) throw new Error("No caveats given");
+
+            const attenuated = attenuateMacaroon(macaroon, added);
+            const text = [
+                "Attenuated macaroon:",
+                attenuated,
+                "",
+                "Added caveats:",
+                ...added.map((c) => `  ${c}`),
+                "",
+                "Use with the original preimage: Authorization: L402 <attenuated macaroon>:<preimage>",
+            ].join("\n");
+            return { content: [{ type: "text", text }] };
+        } catch (err) {
+            return { content: [{ type: "text", text: `Error attenuating token: ${err.message}` }] };
+        }
+    }
+);
+
 // ===========================================
 // Start
 // ===========================================